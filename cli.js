@@ -0,0 +1,956 @@
+#!/usr/bin/env node
+import path from 'path';
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { Groot, GrootError, ConflictError, NotARepositoryError } from './groot.js';
+
+const program = new Command();
+
+const graphColors = [chalk.red, chalk.green, chalk.yellow, chalk.blue, chalk.magenta, chalk.cyan];
+const short = hash => hash.substring(0, 7);
+const subjectOf = message => message.split('\n')[0];
+const plural = (count, word, suffix = 's') => `${count} ${word}${count === 1 ? '' : suffix}`;
+const printJson = data => console.log(JSON.stringify(data, null, 2));
+
+// Commands work on the repository in the current directory; only init creates one
+const openRepository = async (options = {}) => {
+    const groot = await Groot.open('.', options);
+    groot.on('commit', ({ hash, branch, message }) => {
+        console.log(chalk.green(`✓ Commit created: ${short(hash)}`));
+        console.log(chalk.cyan(`[${branch}] ${subjectOf(message)}`));
+    });
+    groot.on('progress', ({ message }) => console.log(chalk.cyan(message)));
+    groot.on('warning', message => console.log(chalk.yellow(`warning: ${message}`)));
+    groot.on('bisect-step', ({ commit, command, exitCode, term }) => {
+        console.log(chalk.gray(`${short(commit)}: "${command}" exited with ${exitCode}, marking it ${term}`));
+    });
+    return groot;
+};
+
+function labelText(label) {
+    if (label.kind === 'head') return chalk.cyan.bold('HEAD');
+    if (label.kind === 'tag') return chalk.yellow.bold(`tag: ${label.name}`);
+    if (label.kind === 'remote') return chalk.red.bold(label.name);
+
+    const name = chalk.green.bold(label.name);
+    return label.head ? `${chalk.cyan.bold('HEAD ->')} ${name}` : name;
+}
+
+function formatDecorations(labels = []) {
+    if (labels.length === 0) return '';
+    return ` ${chalk.yellow('(')}${labels.map(labelText).join(chalk.yellow(', '))}${chalk.yellow(')')}`;
+}
+
+function printLogEntry(groot, commit, format, decorations) {
+    if (format === 'oneline') {
+        console.log(`${chalk.yellow(short(commit.hash))}${formatDecorations(decorations.get(commit.hash))} ${subjectOf(commit.message)}`);
+        return;
+    }
+
+    if (format) {
+        console.log(groot.formatCommit(format, commit.hash, commit, decorations));
+        return;
+    }
+
+    console.log(chalk.yellow(`commit ${commit.hash}`) + formatDecorations(decorations.get(commit.hash)));
+    if (commit.parents.length > 1) {
+        console.log(`Merge: ${commit.parents.map(short).join(' ')}`);
+    }
+    if (commit.author) {
+        console.log(`Author: ${commit.author.name} <${commit.author.email}>`);
+    }
+    console.log(chalk.cyan(`Date: ${new Date((commit.author || commit).timeStamp).toLocaleString()}`));
+    console.log(`\n${commit.message.replace(/^/gm, '    ')}\n`);
+}
+
+function printPatch(change) {
+    const oldPath = change.oldPath || change.path;
+    console.log(chalk.bold(`diff --groot a/${oldPath} b/${change.path}`));
+
+    if (change.status === 'A') console.log(chalk.bold('new file'));
+    if (change.status === 'D') console.log(chalk.bold('deleted file'));
+    if (change.status === 'R') {
+        console.log(chalk.bold(`rename from ${oldPath}`));
+        console.log(chalk.bold(`rename to ${change.path}`));
+    }
+
+    if (change.binary) {
+        console.log(`Binary files a/${oldPath} and b/${change.path} differ`);
+        return;
+    }
+    if (change.hunks.length === 0) return;
+
+    console.log(chalk.bold(change.status === 'A' ? '--- /dev/null' : `--- a/${oldPath}`));
+    console.log(chalk.bold(change.status === 'D' ? '+++ /dev/null' : `+++ b/${change.path}`));
+
+    for (const hunk of change.hunks) {
+        // Empty ranges point at the line before them, as in Git
+        const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+        const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+        console.log(chalk.cyan(`@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`));
+
+        for (const line of hunk.lines) {
+            if (line.startsWith('+')) {
+                console.log(chalk.green(line));
+            } else if (line.startsWith('-')) {
+                console.log(chalk.red(line));
+            } else {
+                console.log(line);
+            }
+        }
+    }
+}
+
+function printDiffStat(groot, changes) {
+    for (const line of groot.formatDiffStat(changes)) {
+        console.log(line.replace(/^( .* \| +\d+ )(\+*)(-*)$/, (match, prefix, plus, minus) => `${prefix}${chalk.green(plus)}${chalk.red(minus)}`));
+    }
+}
+
+function printBlame({ path: filePath, lines }) {
+    const showPaths = lines.some(entry => entry.path !== filePath);
+    const authorOf = entry => (entry.commit.author || {}).name || 'unknown';
+    const dateOf = entry => new Date((entry.commit.author || entry.commit).timeStamp).toLocaleDateString();
+    const pathWidth = Math.max(...lines.map(entry => entry.path.length));
+    const authorWidth = Math.max(...lines.map(entry => authorOf(entry).length));
+    const dateWidth = Math.max(...lines.map(entry => dateOf(entry).length));
+    const lineWidth = String(Math.max(...lines.map(entry => entry.final))).length;
+
+    for (const entry of lines) {
+        const origin = showPaths ? ` ${entry.path.padEnd(pathWidth)}` : '';
+        const details = `${authorOf(entry).padEnd(authorWidth)} ${dateOf(entry).padStart(dateWidth)} ${String(entry.final).padStart(lineWidth)}`;
+        console.log(`${chalk.yellow(short(entry.hash))}${origin} (${details}) ${entry.content}`);
+    }
+}
+
+function printBlamePorcelain({ lines }) {
+    const described = new Set();
+    lines.forEach((entry, i) => {
+        const before = lines[i - 1];
+        const startsGroup = !before || before.hash !== entry.hash || before.line !== entry.line - 1;
+        let header = `${entry.hash} ${entry.line} ${entry.final}`;
+        if (startsGroup) {
+            let size = 1;
+            while (lines[i + size] && lines[i + size].hash === entry.hash && lines[i + size].line === entry.line + size) size++;
+            header += ` ${size}`;
+        }
+        console.log(header);
+
+        if (!described.has(entry.hash)) {
+            described.add(entry.hash);
+            const { commit } = entry;
+            for (const role of ['author', 'committer']) {
+                const identity = commit[role] || { name: 'unknown', email: '', timeStamp: commit.timeStamp };
+                console.log(`${role} ${identity.name}`);
+                console.log(`${role}-mail <${identity.email}>`);
+                console.log(`${role}-time ${Math.floor(new Date(identity.timeStamp).getTime() / 1000)}`);
+                console.log(`${role}-tz ${identity.timezone || '+0000'}`);
+            }
+            console.log(`summary ${subjectOf(commit.message)}`);
+            console.log(entry.previous ? `previous ${entry.previous.hash} ${entry.previous.path}` : 'boundary');
+        }
+        console.log(`filename ${entry.path}`);
+        console.log(`\t${entry.content}`);
+    });
+}
+
+function printCommitDiff(commit) {
+    console.log(chalk.bold(`\n📋 Changes in commit ${short(commit.hash)}\n`));
+    if (commit.author) {
+        console.log(chalk.cyan(`Author: ${commit.author.name} <${commit.author.email}>`));
+    }
+    console.log(chalk.cyan(`Date: ${new Date(commit.timeStamp).toLocaleString()}`));
+    console.log(`\n${commit.message.replace(/^/gm, '    ')}\n`);
+    commit.changes.forEach(printPatch);
+}
+
+function printStatus(status) {
+    console.log(chalk.bold(`\n📊 Status\n`));
+    if (status.detached) {
+        console.log(chalk.cyan(`HEAD detached at ${short(status.head)}`));
+    } else {
+        console.log(chalk.cyan(`On branch: ${status.branch}`));
+    }
+
+    if (!status.head) {
+        console.log(chalk.yellow('No commits yet\n'));
+    } else {
+        console.log(chalk.gray(`Latest commit: ${short(status.head)}\n`));
+    }
+
+    if (status.merging) {
+        console.log(chalk.yellow('You are in the middle of a merge. Use "groot merge --continue" or "groot merge --abort"\n'));
+    }
+    if (status.bisecting) {
+        console.log(chalk.yellow('You are bisecting. Use "groot bisect reset" to get back to where you started\n'));
+    }
+    if (status.applyingPatches) {
+        console.log(chalk.yellow('You are in the middle of an am session. Use "groot am --continue", "--skip" or "--abort"\n'));
+    }
+
+    const sections = [
+        [status.conflicts, chalk.red, 'Unmerged paths:', file => `! ${file}`],
+        [status.staged, chalk.green, 'Changes staged for commit:', file => `${file.status === 'D' ? '-' : '+'} ${file.path}`],
+        [status.unstaged, chalk.red, 'Changes not staged:', file => `${file.status} ${file.path}`],
+        [status.untracked, chalk.gray, 'Untracked files:', file => `? ${file}`]
+    ];
+    for (const [files, paint, title, describe] of sections) {
+        if (files.length === 0) continue;
+        console.log(paint(title));
+        files.forEach(file => console.log(paint(`  ${describe(file)}`)));
+        console.log();
+    }
+
+    if (status.clean) {
+        console.log(chalk.green('✓ Working directory clean\n'));
+    }
+}
+
+function printGraphRow({ graph, commit, labels }) {
+    const lanes = [...graph].map((cell, position) => (cell === ' ' ? cell : graphColors[Math.ceil(position / 2) % graphColors.length](cell))).join('');
+    if (!commit) {
+        console.log(lanes);
+        return;
+    }
+    const date = chalk.gray(new Date(commit.timeStamp).toLocaleDateString());
+    console.log(`${lanes} ${chalk.yellow(short(commit.hash))}${formatDecorations(labels)} ${chalk.white(subjectOf(commit.message))} (${date})`);
+}
+
+function printSteps(steps) {
+    for (const step of steps) {
+        if (step.status === 'empty') {
+            console.log(chalk.yellow(`No changes left to apply from ${short(step.commit)}${step.subject ? ` ${step.subject}` : ''}, skipping`));
+        }
+    }
+}
+
+function printBisect(result) {
+    if (result.status === 'waiting') {
+        console.log(chalk.yellow(`Waiting for ${result.missing} commit. Mark them with "groot bisect bad" and "groot bisect good".`));
+    } else if (result.status === 'skipped') {
+        console.log(chalk.yellow('There are only skipped commits left to test. The first bad commit could be any of:'));
+        result.candidates.forEach(hash => console.log(chalk.yellow(`  ${hash}`)));
+    } else if (result.status === 'done') {
+        console.log(chalk.bold(`${result.commit.hash} is the first bad commit`));
+        printCommitDiff(result.commit);
+    } else if (result.status === 'checked-out') {
+        console.log(chalk.cyan(`Bisecting: ${plural(result.left, 'revision')} left to test after this (roughly ${plural(result.steps, 'step')})`));
+        console.log(`[${chalk.yellow(short(result.commit.hash))}] ${subjectOf(result.commit.message)}`);
+    }
+}
+
+function printRefUpdates(updates) {
+    for (const update of updates) {
+        if (update.status === 'rejected') {
+            console.log(chalk.yellow(`  ! [rejected]  ${update.name} -> ${update.ref} (would clobber existing tag)`));
+        } else if (update.oldHash) {
+            console.log(chalk.cyan(`  ${short(update.oldHash)}..${short(update.newHash)}  ${update.name} -> ${update.ref || update.name}${update.forced ? ' (forced)' : ''}`));
+        } else {
+            console.log(chalk.cyan(`  ${update.type === 'tag' ? '[new tag]' : '[new branch]'}  ${update.name} -> ${update.ref || update.name}`));
+        }
+    }
+}
+
+function printPush(result) {
+    printRefUpdates(result.updates);
+    if (result.updates.length === 0) {
+        console.log(chalk.green('Everything up to date'));
+        return;
+    }
+    const tags = result.updates.filter(update => update.type === 'tag').length;
+    const what = tags > 0 ? plural(tags, 'tag') : result.updates[0].name;
+    console.log(chalk.green(`✓ Pushed ${what} to ${result.remote} (${result.sent} objects sent)`));
+}
+
+function printRepack({ objects, deltas, pack }) {
+    console.log(pack ? chalk.green(`✓ Packed ${objects} objects (${deltas} as deltas) into ${pack}`) : chalk.yellow('Nothing to pack'));
+}
+
+function printMerge(result) {
+    if (result.status === 'up-to-date') {
+        console.log(chalk.green('Already up to date'));
+    } else if (result.status === 'fast-forward') {
+        console.log(chalk.green(`✓ Fast-forward ${result.branch} to ${result.label} (${short(result.commit)})`));
+    } else if (result.status === 'merged') {
+        console.log(chalk.green(`✓ Merged ${result.label} into ${result.branch}`));
+    }
+}
+
+function printFetch({ remote, received, updates }) {
+    printRefUpdates(updates);
+    console.log(chalk.green(`✓ Fetched ${remote} (${received} objects received)`));
+}
+
+function printError(error) {
+    if (!(error instanceof GrootError)) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        return;
+    }
+
+    console.log(chalk.red(error.message));
+    if (error instanceof NotARepositoryError) {
+        console.log(chalk.gray('Run "groot init" to create a repository here.'));
+    }
+    if (error instanceof ConflictError) {
+        error.conflicts.forEach(({ path: filePath, reason }) => {
+            console.log(chalk.red(`  ✗ ${filePath}${reason ? ` (${reason})` : ''}`));
+        });
+    }
+}
+
+program
+    .name('groot')
+    .description('A lightweight Git-like version control system')
+    .version('2.0.0');
+
+program.hook('preAction', async () => {
+    const local = await Groot.readConfig(path.join('.groot', 'config'));
+    const global = await Groot.readConfig(Groot.globalConfigPath());
+    const color = local.get('color.ui') ?? global.get('color.ui');
+    if (color === 'false' || color === 'never') {
+        chalk.level = 0;
+    }
+});
+
+program.command('init')
+    .description('Initialize a new groot repository')
+    .action(async () => {
+        await openRepository({ create: true });
+        console.log(chalk.green('✓ Initialized groot repository'));
+    });
+
+program.command('add [paths...]')
+    .description('Add files, directories or glob matches to the staging area')
+    .option('-A, --all', 'Stage all changes, including deletions, in the whole tree')
+    .action(async (paths, options) => {
+        const groot = await openRepository();
+        const { added, removed, ignored } = await groot.add(paths, options);
+        ignored.forEach(pathspec => console.log(chalk.yellow(`Ignored: ${pathspec}`)));
+        added.forEach(filePath => console.log(chalk.green(`✓ Added ${filePath}`)));
+        removed.forEach(filePath => console.log(chalk.red(`✓ Removed ${filePath}`)));
+    });
+
+program.command('rm <paths...>')
+    .description('Remove files from the working tree and stage the deletion')
+    .option('--cached', 'Only remove from the index, keeping the working file')
+    .option('-r, --recursive', 'Allow recursive removal of directories')
+    .option('-f, --force', 'Remove even if the file has local changes')
+    .action(async (paths, options) => {
+        const groot = await openRepository();
+        const { removed } = await groot.rm(paths, options);
+        removed.forEach(filePath => console.log(chalk.red(`rm '${filePath}'`)));
+    });
+
+program.command('mv <source> <destination>')
+    .description('Move or rename a tracked file or directory and stage the rename')
+    .option('-f, --force', 'Overwrite an existing destination')
+    .action(async (source, destination, options) => {
+        const groot = await openRepository();
+        const { from, to } = await groot.mv(source, destination, options);
+        console.log(chalk.green(`✓ Renamed ${from} -> ${to}`));
+    });
+
+program.command('restore <paths...>')
+    .description('Discard working tree changes, or unstage with --staged')
+    .option('--staged', 'Reset the index entries to HEAD')
+    .option('--worktree', 'Restore the working tree (default unless --staged)')
+    .action(async (paths, options) => {
+        const groot = await openRepository();
+        const { unstaged, restored } = await groot.restore(paths, options);
+        unstaged.forEach(filePath => console.log(chalk.green(`✓ Unstaged ${filePath}`)));
+        restored.forEach(filePath => console.log(chalk.green(`✓ Restored ${filePath}`)));
+    });
+
+program.command('commit [message]')
+    .description('Commit staged changes')
+    .option('--amend', 'Replace the tip of the current branch with a new commit')
+    .option('-n, --no-verify', 'Skip the pre-commit and commit-msg hooks')
+    .action(async (message, options) => {
+        const groot = await openRepository();
+        await groot.commit(message, options);
+    });
+
+program.command('reset [revision]')
+    .description('Move HEAD to a revision, optionally resetting the index and working tree')
+    .option('--soft', 'Keep the index and working tree')
+    .option('--mixed', 'Reset the index but keep the working tree (default)')
+    .option('--hard', 'Reset the index and working tree')
+    .action(async (revision, options) => {
+        const groot = await openRepository();
+        const { commit } = await groot.reset(revision, options);
+        console.log(chalk.green(`✓ HEAD is now at ${short(commit.hash)} ${subjectOf(commit.message)}`));
+    });
+
+program.command('revert [revisions...]')
+    .description('Create commits that undo the changes of existing commits')
+    .option('-m, --mainline <parent>', 'Parent number to diff a merge commit against')
+    .option('--continue', 'Continue after resolving conflicts')
+    .option('--abort', 'Abort and return to the original HEAD')
+    .action(async (revisions, options) => {
+        const groot = await openRepository();
+        const result = await groot.revert(revisions, options);
+        if (result.aborted) {
+            console.log(chalk.green(`✓ ${result.action} aborted`));
+            return;
+        }
+        printSteps(result.steps);
+    });
+
+program.command('rebase [upstream]')
+    .description('Replay the current branch\'s commits on top of another commit')
+    .option('--onto <newbase>', 'Replay onto this commit instead of the upstream')
+    .option('-i, --interactive', 'Edit the list of commits to replay (GROOT_SEQUENCE_EDITOR)')
+    .option('--continue', 'Continue after resolving conflicts')
+    .option('--skip', 'Skip the commit that stopped the rebase')
+    .option('--abort', 'Abort and return to the original branch')
+    .action(async (upstream, options) => {
+        const groot = await openRepository();
+        const result = await groot.rebase(upstream, options);
+        printSteps(result.steps);
+        if (result.status === 'aborted') {
+            console.log(chalk.green('✓ Rebase aborted'));
+        } else if (result.status === 'up-to-date') {
+            console.log(chalk.green('Current branch is up to date'));
+        } else if (result.status === 'nothing-to-do') {
+            console.log(chalk.yellow('Nothing to do'));
+        } else {
+            console.log(chalk.green(`✓ Successfully rebased and updated ${result.branch ? `refs/heads/${result.branch}` : 'detached HEAD'}`));
+        }
+    });
+
+program.command('reflog [action] [ref]')
+    .description('Show or expire ref logs: show [ref], expire [ref], delete <ref@{n}>')
+    .option('--all', 'Expire the logs of HEAD and every branch')
+    .option('--expire <time>', 'Prune entries older than this (default gc.reflogExpire or 90 days)')
+    .option('--expire-unreachable <time>', 'Prune unreachable entries older than this (default gc.reflogExpireUnreachable or 30 days)')
+    .action(async (action, ref, options) => {
+        const groot = await openRepository();
+        const result = await groot.reflog(action, ref, options);
+        if (result.deleted) {
+            console.log(chalk.green(`✓ Deleted ${result.deleted}`));
+        } else if (result.pruned !== undefined) {
+            console.log(chalk.green(`✓ Expired ${result.pruned} reflog entr${result.pruned === 1 ? 'y' : 'ies'}`));
+        } else if (result.entries.length === 0) {
+            console.log(chalk.yellow(`No reflog for ${result.ref}`));
+        } else {
+            for (const entry of result.entries) {
+                const date = chalk.gray(new Date(entry.timeStamp).toLocaleString());
+                console.log(`${chalk.yellow(short(entry.newHash))} ${entry.selector}: ${entry.message} ${date}`);
+            }
+        }
+    });
+
+program.command('cherry-pick [revisions...]')
+    .description('Apply the changes introduced by existing commits')
+    .option('-m, --mainline <parent>', 'Parent number to diff a merge commit against')
+    .option('--continue', 'Continue after resolving conflicts')
+    .option('--abort', 'Abort and return to the original HEAD')
+    .action(async (revisions, options) => {
+        const groot = await openRepository();
+        const result = await groot.cherryPick(revisions, options);
+        if (result.aborted) {
+            console.log(chalk.green(`✓ ${result.action} aborted`));
+            return;
+        }
+        printSteps(result.steps);
+    });
+
+program.command('migrate')
+    .description('Convert a repository to the compressed object format')
+    .action(async () => {
+        const groot = await openRepository();
+        const { migrated } = await groot.migrate();
+        console.log(chalk.green(migrated > 0
+            ? `✓ Migrated ${migrated} objects to the compressed object format`
+            : 'Repository already uses the current object format'));
+    });
+
+program.command('fsck')
+    .description('Verify object integrity and connectivity')
+    .action(async () => {
+        const groot = await openRepository();
+        const { problems, dangling } = await groot.fsck();
+        problems.forEach(problem => console.log(chalk.red(problem)));
+        dangling.forEach(({ type, hash }) => console.log(chalk.yellow(`dangling ${type} ${hash}`)));
+        if (problems.length > 0) {
+            console.log(chalk.red(`✗ Found ${plural(problems.length, 'problem')}`));
+            process.exitCode = 1;
+        } else {
+            console.log(chalk.green(`✓ No problems found${dangling.length ? ` (${dangling.length} dangling)` : ''}`));
+        }
+    });
+
+program.command('gc')
+    .description('Expire old reflog entries and prune unreachable objects')
+    .option('--prune <date>', 'Prune unreachable objects older than this (default gc.pruneExpire or 2 weeks ago)')
+    .action(async (options) => {
+        const groot = await openRepository();
+        const { expiredReflogEntries, pruned, kept, repack } = await groot.gc(options);
+        console.log(chalk.green(`✓ Expired ${expiredReflogEntries} reflog entr${expiredReflogEntries === 1 ? 'y' : 'ies'}`));
+        console.log(chalk.green(`✓ Pruned ${plural(pruned, 'unreachable object')}${kept ? `, kept ${kept} within the grace period` : ''}`));
+        printRepack(repack);
+    });
+
+program.command('repack')
+    .description('Pack all reachable objects into a single delta-compressed pack file')
+    .action(async () => {
+        const groot = await openRepository();
+        printRepack(await groot.repack());
+    });
+
+program.command('config [key] [value]')
+    .description('Get and set repository or global options')
+    .option('--global', 'Use the per-user config file instead of the repository')
+    .option('-l, --list', 'List all settings')
+    .option('--unset', 'Remove a setting')
+    .action(async (key, value, options) => {
+        // The per-user file needs no repository, so --global works anywhere
+        const groot = options.global ? new Groot('.') : await openRepository();
+        const result = await groot.config(key, value, options);
+        if (options.list) {
+            result.forEach((entryValue, entryKey) => console.log(`${entryKey}=${entryValue}`));
+        } else if (value === undefined && !options.unset) {
+            // Like git config, a missing key prints nothing and fails
+            if (result === null) {
+                process.exitCode = 1;
+                return;
+            }
+            console.log(result);
+        }
+    });
+
+program.command('log [revisions...]')
+    .description('Show commit history from revisions or ranges (a..b), limited to paths given after --')
+    .option('--oneline', 'Show each commit on a single line')
+    .option('-n, --max-count <number>', 'Limit the number of commits shown')
+    .option('--since <date>', 'Show commits more recent than a date (e.g. 2024-01-31, yesterday, "3 days ago", 2.weeks.ago)')
+    .option('--until <date>', 'Show commits older than a date (same forms as --since)')
+    .option('--author <pattern>', 'Only commits whose author matches the pattern')
+    .option('--grep <pattern>', 'Only commits whose message matches the pattern')
+    .option('--all', 'Walk every branch, tag and remote-tracking branch')
+    .option('--format <format>', 'Custom format, e.g. "%h %an %ar %s" (see %H %P %ae %ad %cn %b %d)')
+    .option('--topo-order', 'Show commits in topological order instead of date order')
+    .option('--json', 'Print the commits as JSON')
+    .action(async (args, options) => {
+        // Commander drops the "--" separator, so find the paths that followed it
+        const separator = process.argv.indexOf('--');
+        const paths = separator === -1 ? [] : process.argv.slice(separator + 1);
+        const groot = await openRepository();
+        const revisions = args.slice(0, args.length - paths.length);
+        const commits = await groot.log(revisions, { ...options, paths });
+        if (options.json) {
+            printJson(commits);
+            return;
+        }
+
+        const format = options.oneline ? 'oneline' : options.format;
+        if (!format) {
+            console.log(chalk.bold(`\n📜 Commit History (${revisions.join(' ') || (options.all ? 'all refs' : await groot.getCurrentBranch())})\n`));
+        }
+        if (revisions.length === 0 && !options.all && !await groot.getCurrentHead()) {
+            console.log(chalk.yellow('No commits yet.'));
+            return;
+        }
+
+        const decorations = await groot.getDecorations();
+        commits.forEach(commit => printLogEntry(groot, commit, format, decorations));
+    });
+
+program.command('show [revision]')
+    .description('Show changes in a specific commit')
+    .option('--json', 'Print the commit and its changes as JSON')
+    .action(async (revision = 'HEAD', options) => {
+        const groot = await openRepository();
+        const commit = await groot.showCommitDiff(revision);
+        if (options.json) {
+            printJson(commit);
+        } else {
+            printCommitDiff(commit);
+        }
+    });
+
+program.command('blame <file> [revision]')
+    .description('Show the commit, author and date that last changed each line of a file')
+    .option('-L, --line-range <start,end>', 'Only blame the given lines, e.g. 10,20 or 10,+5')
+    .option('--porcelain', 'Machine-readable output for editors and tools')
+    .action(async (file, revision, options) => {
+        const groot = await openRepository();
+        const blamed = await groot.blame(file, revision, options);
+        if (options.porcelain) {
+            printBlamePorcelain(blamed);
+        } else {
+            printBlame(blamed);
+        }
+    });
+
+program.command('diff [revisions...]')
+    .description('Show changes between the working tree, the index and commits')
+    .option('--cached', 'Compare the index with HEAD (or a given revision)')
+    .option('--staged', 'Synonym for --cached')
+    .option('-U, --unified <lines>', 'Number of context lines')
+    .option('--stat', 'Show a diffstat summary instead of patches')
+    .option('--name-status', 'Show only names and status of changed files')
+    .option('--json', 'Print the changes and their hunks as JSON')
+    .action(async (revisions, options) => {
+        const groot = await openRepository();
+        const changes = await groot.diff(revisions, { ...options, cached: options.cached || options.staged });
+        if (options.json) {
+            printJson(changes);
+        } else if (options.nameStatus) {
+            changes.forEach(change => console.log(change.status === 'R' ? `R100\t${change.oldPath}\t${change.path}` : `${change.status}\t${change.path}`));
+        } else if (options.stat) {
+            printDiffStat(groot, changes);
+        } else {
+            changes.forEach(printPatch);
+        }
+    });
+
+program.command('stash [action] [stash]')
+    .description('Stash changes away: push, list, show, apply, pop, drop, clear')
+    .option('-m, --message <message>', 'Description for the stash entry')
+    .option('-u, --include-untracked', 'Also stash untracked files')
+    .option('-p, --patch', 'Show the full diff with "stash show"')
+    .action(async (action, stash, options) => {
+        const groot = await openRepository();
+        const result = await groot.stash(action, stash, options);
+        if (action === undefined || action === 'push' || action === 'save') {
+            console.log(result ? chalk.green(`✓ Saved working directory and index state ${result.message}`) : chalk.yellow('No local changes to save'));
+        } else if (action === 'list') {
+            result.forEach(entry => console.log(`${chalk.yellow(entry.stash)}: ${entry.message}`));
+        } else if (action === 'show') {
+            if (options.patch) {
+                result.changes.forEach(printPatch);
+            } else {
+                printDiffStat(groot, result.changes);
+            }
+        } else if (action === 'apply' || action === 'pop') {
+            console.log(chalk.green(`✓ Applied ${result.stash}: ${result.message}`));
+            if (result.dropped) {
+                console.log(chalk.green(`✓ Dropped ${result.dropped.stash} (${short(result.dropped.commit)})`));
+            }
+        } else if (action === 'drop') {
+            console.log(chalk.green(`✓ Dropped ${result.stash} (${short(result.commit)})`));
+        } else if (action === 'clear') {
+            console.log(chalk.green('✓ Cleared all stash entries'));
+        }
+    });
+
+program.command('bisect <action> [args...]')
+    .description('Binary-search history for the commit that introduced a bug: start, bad, good, skip, reset, log, replay, run')
+    .allowUnknownOption()
+    .action(async (action, args) => {
+        const groot = await openRepository();
+        const result = await groot.bisect(action, args);
+        if (action === 'log') {
+            result.forEach(line => console.log(line));
+        } else if (action === 'reset') {
+            if (!result.reset) {
+                console.log(chalk.yellow('Not bisecting'));
+                return;
+            }
+            console.log(chalk.green(`✓ Bisect reset, back on ${/^[0-9a-f]{40}$/.test(result.head) ? short(result.head) : result.head}`));
+        } else {
+            printBisect(result);
+        }
+    });
+
+program.command('status')
+    .description('Show working tree status')
+    .option('--json', 'Print the status as JSON')
+    .action(async (options) => {
+        const groot = await openRepository();
+        const status = await groot.status();
+        if (options.json) {
+            printJson(status);
+        } else {
+            printStatus(status);
+        }
+    });
+
+program.command('branch [name] [startPoint]')
+    .description('List, create, or delete branches')
+    .option('-d, --delete', 'Delete a branch')
+    .option('--json', 'Print the branch list as JSON')
+    .action(async (name, startPoint, options) => {
+        const groot = await openRepository();
+        const result = await groot.branch(name, startPoint, options);
+        if (options.delete) {
+            console.log(chalk.green(`✓ Deleted branch: ${result.deleted}`));
+        } else if (name) {
+            console.log(chalk.green(`✓ Created branch: ${result.name}`));
+        } else if (options.json) {
+            printJson(result);
+        } else {
+            console.log(chalk.bold('\n🌳 Branches:\n'));
+            result.forEach(branch => console.log(branch.current ? chalk.green(`* ${branch.name}`) : `  ${branch.name}`));
+            console.log();
+        }
+    });
+
+program.command('tag [name] [revision]')
+    .description('Create, list, or delete tags')
+    .option('-a, --annotate', 'Create an annotated tag object')
+    .option('-m, --message <message>', 'Tag message (implies --annotate)')
+    .option('-l, --list [pattern]', 'List tags, optionally matching a glob pattern')
+    .option('-d, --delete', 'Delete a tag')
+    .option('-f, --force', 'Replace an existing tag')
+    .action(async (name, revision, options) => {
+        const groot = await openRepository();
+        const result = await groot.tag(name, revision, options);
+        if (options.delete) {
+            console.log(chalk.green(`✓ Deleted tag: ${result.deleted}`));
+        } else if (Array.isArray(result)) {
+            for (const tag of result) {
+                console.log(tag.annotated ? `${chalk.yellow(tag.name.padEnd(16))} ${subjectOf(tag.message)}` : chalk.yellow(tag.name));
+            }
+        } else {
+            console.log(chalk.green(`✓ Created ${result.annotated ? 'annotated tag' : 'tag'} ${result.name} at ${short(result.commit)}`));
+        }
+    });
+
+program.command('checkout <target>')
+    .description('Switch to a branch, or detach HEAD at a tag or commit')
+    .option('-f, --force', 'Discard local changes that would be overwritten')
+    .action(async (target, options) => {
+        const groot = await openRepository();
+        const result = await groot.checkout(target, options);
+        if (result.unchanged) {
+            console.log(chalk.yellow(`Already on branch: ${result.branch}`));
+        } else if (result.detached) {
+            console.log(chalk.green(`✓ HEAD is now at ${short(result.commit)}`));
+            console.log(chalk.yellow('You are in \'detached HEAD\' state. Create a branch to keep commits made here.'));
+        } else {
+            console.log(chalk.green(`✓ Switched to branch: ${result.branch}`));
+        }
+    });
+
+program.command('merge [revision]')
+    .description('Merge a branch into current branch')
+    .option('--continue', 'Conclude a merge after resolving conflicts')
+    .option('--abort', 'Abort the current merge and restore the previous state')
+    .option('--no-verify', 'Skip the pre-commit and commit-msg hooks')
+    .action(async (branch, options) => {
+        const groot = await openRepository();
+        const result = await groot.merge(branch, options);
+        if (result.aborted) {
+            console.log(chalk.green('✓ Merge aborted'));
+        } else {
+            printMerge(result);
+        }
+    });
+
+program.command('graph')
+    .description('Show the commit graph with branch lanes, or export it as DOT or Mermaid')
+    .option('--all', 'Include every branch, tag and remote-tracking branch')
+    .option('--format <format>', 'Output format: text, dot or mermaid', 'text')
+    .action(async (options) => {
+        const groot = await openRepository();
+        const result = await groot.graph(options);
+        if (result.format === 'text') {
+            console.log(chalk.bold('\n🌲 Commit Graph\n'));
+        }
+        if (result.commits === 0) {
+            console.log(chalk.yellow('No commits yet.'));
+        } else if (result.format === 'text') {
+            result.rows.forEach(printGraphRow);
+            console.log();
+        } else {
+            console.log(result.text);
+        }
+    });
+
+program.command('remote [action] [name] [url]')
+    .description('List, add, or remove remote repositories')
+    .option('-v, --verbose', 'Show remote URLs')
+    .action(async (action, name, url, options) => {
+        const groot = await openRepository();
+        const result = await groot.remote(action, name, url);
+        if (!action) {
+            result.forEach(remote => console.log(options.verbose ? `${remote.name}\t${remote.url}` : remote.name));
+        } else if (result.added) {
+            console.log(chalk.green(`✓ Added remote ${result.added}: ${result.url}`));
+        } else {
+            console.log(chalk.green(`✓ Removed remote ${result.removed}`));
+        }
+    });
+
+program.command('fetch [remote]')
+    .description('Download objects and refs from a remote repository')
+    .action(async (remote) => {
+        const groot = await openRepository();
+        printFetch(await groot.fetch(remote));
+    });
+
+program.command('clone <source> [directory]')
+    .description('Clone a repository into a new directory')
+    .action(async (source, directory) => {
+        const result = await Groot.clone(source, directory);
+        printFetch(result.fetch);
+        if (!result.branch) {
+            console.log(chalk.yellow('You appear to have cloned an empty repository.'));
+            return;
+        }
+        console.log(chalk.green(`✓ Cloned ${source} into ${result.directory} (branch ${result.branch})`));
+    });
+
+program.command('fast-export [refs...]')
+    .description('Write branches and tags as a Git fast-import stream to stdout (all of them by default)')
+    .action(async (refs) => {
+        const groot = await openRepository();
+        process.stdout.write(await groot.fastExport(refs));
+    });
+
+program.command('fast-import')
+    .description('Read a Git fast-import stream from stdin into commits, branches and tags (file modes are not kept: executables and symlinks become regular files)')
+    .option('-f, --force', 'Update branches and tags even when it is not a fast-forward')
+    .action(async (options) => {
+        const groot = await openRepository();
+        const result = await groot.fastImport(process.stdin, options);
+        result.updated.forEach(({ ref, hash }) => console.log(chalk.cyan(`  ${ref} -> ${short(hash)}`)));
+        result.skipped.forEach(ref => console.log(chalk.red(`  ✗ ${ref} not updated: it is not a fast-forward (use --force)`)));
+        console.log(chalk.green(`✓ Imported ${result.commits} commits, ${result.blobs} blobs and ${result.tags} tags`));
+        if (result.worktreeStale) {
+            const branch = await groot.getCurrentBranch();
+            console.log(chalk.yellow(`${branch} was updated but the working tree was left as it was. Run "groot reset --hard" to check it out.`));
+        }
+        if (result.skipped.length > 0) {
+            process.exitCode = 1;
+        }
+    });
+
+program.command('format-patch [range]')
+    .description('Write commits as mbox-style patch emails (a single revision means <revision>..HEAD)')
+    .option('-o, --output-directory <dir>', 'Directory to write the patch files to')
+    .option('--stdout', 'Print all patches to stdout instead of writing files')
+    .option('-n, --max-count <n>', 'Format only the last <n> commits up to the revision')
+    .option('--root', 'Format every commit reachable from the revision')
+    .action(async (range, options) => {
+        const groot = await openRepository();
+        const patches = await groot.formatPatch(range, options);
+        if (patches.length === 0) {
+            console.log(chalk.yellow('No commits to format'));
+        } else if (options.stdout) {
+            process.stdout.write(patches.map(patch => patch.content).join(''));
+        } else {
+            patches.forEach(patch => console.log(patch.filePath));
+        }
+    });
+
+program.command('apply [patches...]')
+    .description('Apply patch files to the working tree (reads stdin without files)')
+    .option('--check', 'Only check whether the patches apply')
+    .option('--index', 'Apply to the index as well as the working tree')
+    .option('-3, --3way', 'Fall back to a three-way merge when a patch does not apply')
+    .option('--fuzz <n>', 'Context lines a hunk may ignore at each end (default 2)')
+    .action(async (patches, options) => {
+        const groot = await openRepository();
+        const printFiles = ({ files }) => {
+            for (const file of files) {
+                const note = file.conflict ? 'with conflicts' : file.fuzz > 0 ? `with fuzz ${file.fuzz}` : 'cleanly';
+                const verb = options.check ? 'Patch applies to' : 'Applied patch to';
+                console.log((file.conflict ? chalk.yellow : chalk.green)(`${verb} ${file.path} ${note}`));
+            }
+        };
+        try {
+            printFiles(await groot.apply(patches, { ...options, threeWay: options['3way'] }));
+        } catch (error) {
+            if (error.result) printFiles(error.result);
+            throw error;
+        }
+    });
+
+program.command('am [patches...]')
+    .description('Apply a series of patch emails as commits (reads stdin without files)')
+    .option('-3, --3way', 'Fall back to a three-way merge when a patch does not apply')
+    .option('--fuzz <n>', 'Context lines a hunk may ignore at each end (default 2)')
+    .option('--continue', 'Commit the resolved patch and continue')
+    .option('--skip', 'Skip the patch that stopped the session')
+    .option('--abort', 'Abort and return to the original HEAD')
+    .action(async (patches, options) => {
+        const groot = await openRepository();
+        const result = await groot.am(patches, { ...options, threeWay: options['3way'] });
+        if (result.status === 'aborted') {
+            console.log(chalk.green('✓ am aborted'));
+        } else {
+            console.log(chalk.green(`✓ Applied ${plural(result.applied, 'patch', 'es')}${result.skipped > 0 ? `, skipped ${result.skipped}` : ''}`));
+        }
+    });
+
+program.command('bundle <action> [file] [refs...]')
+    .description('Pack refs and their objects into one file: create, verify, list-heads, unbundle')
+    .option('--all', 'Include HEAD and every branch and tag')
+    .action(async (action, file, refs, options) => {
+        const groot = await openRepository();
+        const result = await groot.bundle(action, file, refs, options);
+        const printRefs = list => list.forEach(({ name, hash }) => console.log(`${hash} ${name}`));
+        if (action === 'create') {
+            console.log(chalk.green(`✓ Created ${file} with ${plural(result.refs.length, 'ref')} and ${result.objects} objects`));
+            if (result.prerequisites.length > 0) {
+                console.log(chalk.cyan(`  Requires ${plural(result.prerequisites.length, 'commit')} on the receiving side`));
+            }
+        } else if (action === 'verify') {
+            console.log(`The bundle contains ${plural(result.refs.length, 'ref')} and ${result.objects} objects:`);
+            printRefs(result.refs);
+            if (result.prerequisites.length === 0) {
+                console.log('The bundle records a complete history.');
+            } else {
+                console.log(`The bundle requires ${plural(result.prerequisites.length, 'commit')}:`);
+                result.prerequisites.forEach(({ hash, comment }) => console.log(`${hash} ${comment}`));
+            }
+            if (result.missing.length > 0) {
+                result.missing.forEach(hash => console.log(chalk.red(`  ✗ missing ${hash}`)));
+                console.log(chalk.red(`${file} needs commits this repository does not have`));
+                process.exitCode = 1;
+                return;
+            }
+            console.log(chalk.green(`✓ ${file} is okay`));
+        } else if (action === 'list-heads') {
+            printRefs(result.refs);
+        } else {
+            printRefs(result.refs);
+            console.log(chalk.green(`✓ Unbundled ${result.received} objects`));
+        }
+    });
+
+program.command('serve')
+    .description('Share this repository over HTTP')
+    .option('-p, --port <port>', 'Port to listen on', '8080')
+    .option('--host <host>', 'Interface to bind to')
+    .option('--token <token>', 'Token clients must present to push (or GROOT_SERVE_TOKEN)')
+    .action(async (options) => {
+        const groot = await openRepository();
+        groot.on('request', ({ method, path: requestPath }) => console.log(chalk.gray(`${method} ${requestPath}`)));
+        const server = await groot.serve(options);
+        const token = options.token || process.env.GROOT_SERVE_TOKEN;
+        console.log(chalk.green(`✓ Serving ${path.resolve(groot.workingDir)} on http://${options.host || 'localhost'}:${server.address().port}`));
+        console.log(chalk.gray(token ? 'Push is enabled for clients presenting the token.' : 'Push is disabled: start with --token to allow it.'));
+    });
+
+program.command('push [remote] [branch]')
+    .description('Push commits to remote repository')
+    .option('-f, --force', 'Overwrite the remote branch even if it is not a fast-forward')
+    .option('--tags', 'Push all local tags instead of a branch')
+    .option('--no-verify', 'Skip the pre-push hook')
+    .action(async (remote, branch, options) => {
+        const groot = await openRepository();
+        try {
+            printPush(await groot.push(remote, branch, options));
+        } catch (error) {
+            if (error.result) printRefUpdates(error.result.updates);
+            throw error;
+        }
+    });
+
+program.command('pull [remote] [branch]')
+    .description('Pull commits from remote repository')
+    .action(async (remote, branch) => {
+        const groot = await openRepository();
+        const result = await groot.pull(remote, branch);
+        printFetch(result.fetch);
+        printMerge(result.merge);
+    });
+
+program.parseAsync(process.argv).catch(error => {
+    printError(error);
+    process.exitCode = 1;
+});
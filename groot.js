@@ -2,655 +2,6290 @@
 import path from 'path';
 import fs from 'fs/promises';
 import crypto from 'crypto';
-import { diffLines } from 'diff';
-import chalk from 'chalk';
-import { Command } from 'commander';
+import zlib from 'zlib';
+import http from 'http';
+import os from 'os';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { promisify } from 'util';
+import { diffArrays, structuredPatch } from 'diff';
 import micromatch from 'micromatch';
 
-const program = new Command();
+const deflate = promisify(zlib.deflate);
+const inflate = promisify(zlib.inflate);
 
-class Groot {
+const isHttpUrl = url => /^https?:\/\//i.test(url);
+const isObjectHash = hash => typeof hash === 'string' && /^[0-9a-f]{40}$/.test(hash);
+// Names that arrive from other repositories, streams and patches must stay inside refs/ and the working tree
+const isValidRefName = ref => typeof ref === 'string' && /^refs\/(heads|tags)\/[\w.-]+(\/[\w.-]+)*$/.test(ref) && !ref.includes('..');
+const isSafePath = filePath => typeof filePath === 'string' && !path.isAbsolute(filePath) && !filePath.includes('\0')
+    && filePath.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..' && segment !== '.groot');
+const parseMaxCount = value => {
+    if (value === undefined || value === null) return Infinity;
+    if (!/^\d+$/.test(String(value).trim())) {
+        throw new GrootError(`Invalid commit count: ${value}`, 'EBADARG');
+    }
+    return Number(value);
+};
+const isBundleFile = filePath => fs.stat(filePath).then(stats => stats.isFile(), () => false);
+
+const PACK_TYPES = ['commit', 'tree', 'blob', 'tag'];
+const PACK_WINDOW = 10;
+const PACK_MAX_DEPTH = 10;
+const DELTA_BLOCK = 16;
+const NULL_HASH = '0'.repeat(40);
+const MAX_REQUEST_BODY = 1024 * 1024;
+const MAX_PACK_BODY = 256 * 1024 * 1024;
+const BUNDLE_SIGNATURE = '# v2 groot bundle';
+const PATCH_MAIL_SEPARATOR = /^From ([0-9a-f]{40}) Mon Sep 17 00:00:00 2001$/;
+const BASE85_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~';
+
+class GrootError extends Error {
+
+    constructor(message, code = 'EGROOT') {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+class NotARepositoryError extends GrootError {
+
+    constructor(repoPath) {
+        super(`Not a groot repository: ${repoPath}`, 'ENOTREPO');
+        this.path = repoPath;
+    }
+}
+
+class ObjectNotFoundError extends GrootError {
+
+    constructor(hash) {
+        super(`Object not found: ${hash}`, 'ENOOBJECT');
+        this.hash = hash;
+    }
+}
+
+class CorruptObjectError extends GrootError {
+
+    constructor(message, hash = null) {
+        super(message, 'ECORRUPT');
+        this.hash = hash;
+    }
+}
+
+class RevisionError extends GrootError {
+
+    constructor(message, revision) {
+        super(message, 'EBADREV');
+        this.revision = revision;
+    }
+}
+
+class MergeError extends GrootError {
+
+    constructor(message) {
+        super(message, 'EMERGE');
+    }
+}
+
+class LocalChangesError extends GrootError {
+
+    constructor(paths, message = 'Your local changes to the following files would be overwritten:', hint = 'Commit or discard them first.') {
+        super(`${message}\n${paths.map(file => `  ${file}`).join('\n')}\n${hint}`, 'ELOCALCHANGES');
+        this.paths = paths;
+    }
+}
+
+class ConflictError extends GrootError {
+
+    constructor(message, conflicts = []) {
+        super(message, 'ECONFLICT');
+        this.conflicts = conflicts.map(conflict => (typeof conflict === 'string' ? { path: conflict } : conflict));
+        this.paths = this.conflicts.map(conflict => conflict.path);
+    }
+}
+
+class HookError extends GrootError {
+
+    constructor(hook, exitCode) {
+        super(`${hook} hook failed with exit code ${exitCode}`, 'EHOOK');
+        this.hook = hook;
+        this.exitCode = exitCode;
+    }
+}
+
+class RejectedError extends GrootError {
+
+    constructor(message, refs = []) {
+        super(message, 'EREJECTED');
+        this.refs = refs;
+    }
+}
+
+class Groot extends EventEmitter {
 
     constructor(repoPath = '.') {
+        super();
         this.repoPath = path.join(repoPath, '.groot');
         this.objectsPath = path.join(this.repoPath, 'objects');
+        this.packDir = path.join(this.objectsPath, 'pack');
         this.headPath = path.join(this.repoPath, 'HEAD');
         this.indexPath = path.join(this.repoPath, 'index');
+        this.mergeHeadPath = path.join(this.repoPath, 'MERGE_HEAD');
+        this.mergeMsgPath = path.join(this.repoPath, 'MERGE_MSG');
+        this.origHeadPath = path.join(this.repoPath, 'ORIG_HEAD');
+        this.cherryPickHeadPath = path.join(this.repoPath, 'CHERRY_PICK_HEAD');
+        this.revertHeadPath = path.join(this.repoPath, 'REVERT_HEAD');
+        this.sequencerPath = path.join(this.repoPath, 'sequencer');
+        this.rebaseStatePath = path.join(this.repoPath, 'REBASE_STATE');
+        this.rebaseTodoPath = path.join(this.repoPath, 'REBASE_TODO');
+        this.bisectStatePath = path.join(this.repoPath, 'BISECT_STATE');
+        this.amStatePath = path.join(this.repoPath, 'AM_STATE');
+        this.commitMsgPath = path.join(this.repoPath, 'COMMIT_EDITMSG');
+        this.hooksPath = path.join(this.repoPath, 'hooks');
         this.refsPath = path.join(this.repoPath, 'refs', 'heads');
         this.remotePath = path.join(this.repoPath, 'refs', 'remotes');
+        this.tagsPath = path.join(this.repoPath, 'refs', 'tags');
+        this.logsPath = path.join(this.repoPath, 'logs');
+        this.remotesConfigPath = path.join(this.repoPath, 'remotes.json');
+        this.configPath = path.join(this.repoPath, 'config');
         this.grootIgnorePath = path.join(path.dirname(this.repoPath), '.grootignore');
         this.workingDir = path.dirname(this.repoPath);
-        this.init();
+        this.packs = null;
+        this.packedObjectCache = new Map();
+    }
+
+    static async open(repoPath = '.', options = {}) {
+        const groot = new Groot(repoPath);
+        if (options.create) {
+            await groot.init();
+            return groot;
+        }
+
+        try {
+            await fs.access(groot.objectsPath);
+        } catch {
+            throw new NotARepositoryError(path.resolve(repoPath));
+        }
+        return groot;
     }
 
     async init() {
         await fs.mkdir(this.objectsPath, {recursive: true});
         await fs.mkdir(this.refsPath, {recursive: true});
         await fs.mkdir(this.remotePath, {recursive: true});
+        await fs.mkdir(this.hooksPath, {recursive: true});
 
         try {
-            await fs.writeFile(this.headPath, 'ref: refs/heads/main', {flag: 'wx'});
+            const globalConfig = await Groot.readConfig(Groot.globalConfigPath());
+            const defaultBranch = globalConfig.get('init.defaultbranch') || 'main';
+            await fs.writeFile(this.headPath, `ref: refs/heads/${defaultBranch}`, {flag: 'wx'});
             await fs.writeFile(this.indexPath, JSON.stringify([]), {flag: 'wx'});
         } catch (error) {
             // Already initialized
         }
     }
 
-    hashObject(content) {
-        return crypto.createHash('sha1').update(content, 'utf-8').digest('hex');
+    static globalConfigPath() {
+        return process.env.GROOT_CONFIG_GLOBAL || path.join(os.homedir(), '.grootconfig');
     }
 
-    async getIgnorePatterns() {
+    static async readConfig(configPath) {
+        const entries = new Map();
+        let content;
         try {
-            const ignoreContent = await fs.readFile(this.grootIgnorePath, { encoding: 'utf-8' });
-            return ignoreContent
-                .split('\n')
-                .map(line => line.trim())
-                .filter(line => line && !line.startsWith('#'));
-        } catch (error) {
-            return [];
+            content = await fs.readFile(configPath, { encoding: 'utf-8' });
+        } catch {
+            return entries;
         }
-    }
 
-    async shouldIgnore(filePath) {
-        const patterns = await this.getIgnorePatterns();
-        const relativePath = path.relative(this.workingDir, filePath);
-        return micromatch.isMatch(relativePath, patterns);
+        let section = null;
+        for (const rawLine of content.split('\n')) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+            const header = line.match(/^\[([\w.-]+)(?:\s+"(.*)")?\]$/);
+            if (header) {
+                section = header[1].toLowerCase() + (header[2] !== undefined ? `.${header[2]}` : '');
+                continue;
+            }
+
+            const pair = line.match(/^([\w-]+)\s*(?:=\s*(.*))?$/);
+            if (pair && section) {
+                let value = pair[2] === undefined ? 'true' : pair[2].trim();
+                if (value.startsWith('"') && value.endsWith('"')) {
+                    value = value.slice(1, -1);
+                }
+                entries.set(`${section}.${pair[1].toLowerCase()}`, value);
+            }
+        }
+        return entries;
     }
 
-    async add(fileToBeAdded) {
-        if (await this.shouldIgnore(fileToBeAdded)) {
-            console.log(chalk.yellow(`Ignored: ${fileToBeAdded}`));
-            return;
+    static async writeConfig(configPath, entries) {
+        const sections = new Map();
+        for (const [key, value] of entries) {
+            const lastDot = key.lastIndexOf('.');
+            const sectionKey = key.substring(0, lastDot);
+            if (!sections.has(sectionKey)) sections.set(sectionKey, []);
+            sections.get(sectionKey).push(`\t${key.substring(lastDot + 1)} = ${/^\s|\s$|[#;]/.test(value) ? `"${value}"` : value}`);
         }
 
-        try {
-            const fileData = await fs.readFile(fileToBeAdded, { encoding: 'utf-8' });
-            const fileHash = this.hashObject(fileData);
-            const newFileHashedObjectPath = path.join(this.objectsPath, fileHash);
-            await fs.writeFile(newFileHashedObjectPath, fileData);
-            await this.updateStagingArea(fileToBeAdded, fileHash);
-            console.log(chalk.green(`✓ Added ${fileToBeAdded}`));
-        } catch (error) {
-            console.log(chalk.red(`Error adding file: ${error.message}`));
+        const lines = [];
+        for (const [sectionKey, values] of sections) {
+            const firstDot = sectionKey.indexOf('.');
+            lines.push(firstDot === -1
+                ? `[${sectionKey}]`
+                : `[${sectionKey.substring(0, firstDot)} "${sectionKey.substring(firstDot + 1)}"]`);
+            lines.push(...values);
         }
+
+        await fs.mkdir(path.dirname(configPath), { recursive: true });
+        await fs.writeFile(configPath, lines.join('\n') + '\n');
     }
 
-    async updateStagingArea(filePath, fileHash) {
-        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
-        const existingIndex = index.findIndex(item => item.path === filePath);
+    normalizeConfigKey(key) {
+        const parts = key.split('.');
+        if (parts.length < 2) return null;
+        parts[0] = parts[0].toLowerCase();
+        parts[parts.length - 1] = parts[parts.length - 1].toLowerCase();
+        return parts.join('.');
+    }
 
-        if (existingIndex !== -1) {
-            index[existingIndex].hash = fileHash;
-        } else {
-            index.push({ path: filePath, hash: fileHash });
+    async getConfig(key) {
+        const normalized = this.normalizeConfigKey(key);
+        const local = await Groot.readConfig(this.configPath);
+        if (local.has(normalized)) return local.get(normalized);
+        const global = await Groot.readConfig(Groot.globalConfigPath());
+        return global.has(normalized) ? global.get(normalized) : null;
+    }
+
+    async config(key, value, options = {}) {
+        const configPath = options.global ? Groot.globalConfigPath() : this.configPath;
+
+        if (options.list) {
+            return options.global
+                ? await Groot.readConfig(configPath)
+                : new Map([...await Groot.readConfig(Groot.globalConfigPath()), ...await Groot.readConfig(this.configPath)]);
         }
 
-        await fs.writeFile(this.indexPath, JSON.stringify(index));
+        const normalized = key ? this.normalizeConfigKey(key) : null;
+        if (!normalized) {
+            throw new GrootError('Config keys look like section.name, e.g. user.email', 'EBADARG');
+        }
+
+        const entries = await Groot.readConfig(configPath);
+
+        if (options.unset) {
+            if (!entries.delete(normalized)) {
+                throw new GrootError(`${key} is not set`, 'ENOTSET');
+            }
+            await Groot.writeConfig(configPath, entries);
+            return null;
+        }
+
+        // Reading a key answers its value, or null when it is not set
+        if (value === undefined) {
+            const current = options.global ? entries.get(normalized) : await this.getConfig(normalized);
+            return current ?? null;
+        }
+
+        entries.set(normalized, value);
+        await Groot.writeConfig(configPath, entries);
+        return value;
     }
 
-    async commit(message) {
-        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+    formatTimezone(date) {
+        const offset = -date.getTimezoneOffset();
+        const sign = offset >= 0 ? '+' : '-';
+        const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+        const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+        return `${sign}${hours}${minutes}`;
+    }
 
-        if (index.length === 0) {
-            console.log(chalk.yellow('Nothing to commit. Stage files with "groot add <file>"'));
-            return;
+    async getIdentity(role = 'author') {
+        const prefix = `GROOT_${role.toUpperCase()}_`;
+        const username = os.userInfo().username;
+        const name = process.env[`${prefix}NAME`] || await this.getConfig('user.name') || username;
+        const email = process.env[`${prefix}EMAIL`] || await this.getConfig('user.email') || `${username}@${os.hostname()}`;
+
+        const dateOverride = process.env[`${prefix}DATE`];
+        const date = dateOverride ? new Date(dateOverride) : new Date();
+        if (Number.isNaN(date.getTime())) {
+            throw new GrootError(`Invalid date in ${prefix}DATE: ${dateOverride}`, 'EBADARG');
         }
 
-        const parentCommit = await this.getCurrentHead();
-        const currentBranch = await this.getCurrentBranch();
+        // Keep an explicit offset from the override, otherwise use the local zone
+        const explicitZone = dateOverride && dateOverride.match(/([+-])(\d{2}):?(\d{2})$/);
+        const timezone = explicitZone ? `${explicitZone[1]}${explicitZone[2]}${explicitZone[3]}` : this.formatTimezone(date);
 
-        const commitData = {
-            timeStamp: new Date().toISOString(),
-            message,
-            files: index,
-            parent: parentCommit,
-            branch: currentBranch
-        };
+        return { name, email, timeStamp: date.toISOString(), timezone };
+    }
 
-        const commitHash = this.hashObject(JSON.stringify(commitData));
-        const commitPath = path.join(this.objectsPath, commitHash);
-        await fs.writeFile(commitPath, JSON.stringify(commitData));
-        await this.updateBranchRef(currentBranch, commitHash);
-        await fs.writeFile(this.indexPath, JSON.stringify([]));
-        console.log(chalk.green(`✓ Commit created: ${commitHash.substring(0, 7)}`));
-        console.log(chalk.cyan(`[${currentBranch}] ${message}`));
+    encodeObject(type, content) {
+        const body = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+        return Buffer.concat([Buffer.from(`${type} ${body.length}\0`), body]);
     }
 
-    async getCurrentHead() {
+    hashObject(content, type = 'blob') {
+        return crypto.createHash('sha1').update(this.encodeObject(type, content)).digest('hex');
+    }
+
+    getObjectPath(objectHash) {
+        // Hashes reach here from the network, so never let one turn into an arbitrary path
+        if (!isObjectHash(objectHash)) {
+            throw new GrootError(`Invalid object name: ${objectHash}`, 'EBADOBJECT');
+        }
+        return path.join(this.objectsPath, objectHash.substring(0, 2), objectHash.substring(2));
+    }
+
+    async writeObject(type, content) {
+        const data = this.encodeObject(type, content);
+        const objectHash = crypto.createHash('sha1').update(data).digest('hex');
+        const objectPath = this.getObjectPath(objectHash);
+
+        await fs.mkdir(path.dirname(objectPath), { recursive: true });
         try {
-            const headContent = await fs.readFile(this.headPath, { encoding: 'utf-8' });
-            if (headContent.startsWith('ref:')) {
-                const refPath = headContent.split(' ')[1].trim();
-                const branchPath = path.join(this.repoPath, refPath);
-                try {
-                    return await fs.readFile(branchPath, { encoding: 'utf-8' });
-                } catch {
-                    return null;
-                }
-            }
-            return headContent;
-        } catch(error) {
-            return null;
+            await fs.writeFile(objectPath, await deflate(data), { flag: 'wx' });
+        } catch (error) {
+            // Objects are content-addressed, so an existing file already holds this data
+            if (error.code !== 'EEXIST') throw error;
         }
+        return objectHash;
     }
 
-    async getCurrentBranch() {
+    async readObject(objectHash) {
+        const objectPath = this.getObjectPath(objectHash);
+        let compressed;
         try {
-            const headContent = await fs.readFile(this.headPath, { encoding: 'utf-8' });
-            if (headContent.startsWith('ref:')) {
-                const refPath = headContent.split(' ')[1].trim();
-                return path.basename(refPath);
+            compressed = await fs.readFile(objectPath);
+        } catch (error) {
+            const packed = await this.findPackedObject(objectHash);
+            if (packed) {
+                return this.readPackedObject(packed.pack, packed.offset);
             }
-            return 'detached HEAD';
-        } catch(error) {
-            return 'main';
+            if (await this.isLegacyObject(objectHash)) {
+                throw new GrootError('Repository uses the legacy object format. Run "groot migrate" first.', 'ELEGACY');
+            }
+            throw new ObjectNotFoundError(objectHash);
         }
-    }
 
-    async updateBranchRef(branchName, commitHash) {
-        const branchPath = path.join(this.refsPath, branchName);
-        await fs.writeFile(branchPath, commitHash);
+        return this.decodeObject(objectHash, await inflate(compressed));
     }
 
-    async log() {
-        let currentCommitHash = await this.getCurrentHead();
-        const currentBranch = await this.getCurrentBranch();
+    decodeObject(objectHash, data) {
+        const headerEnd = data.indexOf(0);
+        const [type, size] = data.subarray(0, headerEnd).toString('utf-8').split(' ');
+        const content = data.subarray(headerEnd + 1);
 
-        console.log(chalk.bold(`\n📜 Commit History (${currentBranch})\n`));
+        if (headerEnd === -1 || content.length !== Number(size)) {
+            throw new CorruptObjectError(`Corrupt object ${objectHash}: expected ${size} bytes, found ${content.length}`, objectHash);
+        }
+        return { type, content };
+    }
 
-        if (!currentCommitHash) {
-            console.log(chalk.yellow('No commits yet.'));
-            return;
+    async loadPacks() {
+        if (this.packs) return this.packs;
+
+        let names = [];
+        try {
+            names = await fs.readdir(this.packDir);
+        } catch {
+            // No packs have been written yet
         }
 
-        while(currentCommitHash) {
-            const commitData = JSON.parse(await fs.readFile(path.join(this.objectsPath, currentCommitHash), { encoding: 'utf-8' }));
-            console.log(chalk.yellow(`commit ${currentCommitHash}`));
-            console.log(chalk.cyan(`Date: ${new Date(commitData.timeStamp).toLocaleString()}`));
-            console.log(`\n    ${commitData.message}\n`);
-            currentCommitHash = commitData.parent;
+        const packs = [];
+        for (const name of names.filter(file => file.endsWith('.idx')).sort()) {
+            const index = await fs.readFile(path.join(this.packDir, name));
+            if (index.toString('ascii', 0, 4) !== 'GIDX') {
+                throw new CorruptObjectError(`Corrupt pack index: ${name}`);
+            }
+            const baseName = name.slice(0, -'.idx'.length);
+            packs.push({ name: baseName, packPath: path.join(this.packDir, `${baseName}.pack`), index, count: index.readUInt32BE(8) });
         }
+
+        this.packs = packs;
+        return packs;
     }
 
-    async showCommitDiff(commitHash) {
-        const commitData = JSON.parse(await this.getCommitData(commitHash));
-        if(!commitData) {
-            console.log(chalk.red("Commit not found"));
-            return;
-        }
+    async findPackedObject(objectHash) {
+        if (!/^[0-9a-f]{40}$/.test(objectHash)) return null;
+        const target = Buffer.from(objectHash, 'hex');
 
-        console.log(chalk.bold(`\n📋 Changes in commit ${commitHash.substring(0, 7)}\n`));
-
-        for(const file of commitData.files) {
-            console.log(chalk.cyan(`File: ${file.path}`));
-            const fileContent = await this.getFileContent(file.hash);
-
-            if(commitData.parent) {
-                const parentCommitData = JSON.parse(await this.getCommitData(commitData.parent));
-                const getParentFileContent = await this.getParentFileContent(parentCommitData, file.path);
-                if(getParentFileContent !== undefined) {
-                    const diff = diffLines(getParentFileContent, fileContent);
-                    diff.forEach(part => {
-                        if(part.added) {
-                            process.stdout.write(chalk.green("+ " + part.value));
-                        } else if(part.removed) {
-                            process.stdout.write(chalk.red("- " + part.value));
-                        } else {
-                            process.stdout.write(chalk.grey("  " + part.value));
-                        }
-                    });
-                    console.log();
+        // Index entries are sorted by hash, so a binary search finds the offset
+        for (const pack of await this.loadPacks()) {
+            let low = 0;
+            let high = pack.count - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                const position = 12 + mid * 24;
+                const order = pack.index.compare(target, 0, 20, position, position + 20);
+                if (order === 0) {
+                    return { pack, offset: pack.index.readUInt32BE(position + 20) };
+                }
+                if (order < 0) {
+                    low = mid + 1;
                 } else {
-                    console.log(chalk.green("(New file)"));
+                    high = mid - 1;
                 }
-            } else {
-                console.log(chalk.green("(Initial commit)"));
             }
         }
+        return null;
     }
 
-    async getParentFileContent(parentCommitData, filePath) {
-        const parentFile = parentCommitData.files.find(file => file.path === filePath);
-        if(parentFile) {
-            return await this.getFileContent(parentFile.hash);
+    async listPackedHashes(pack) {
+        const hashes = [];
+        for (const { index, count } of pack ? [pack] : await this.loadPacks()) {
+            for (let i = 0; i < count; i++) {
+                hashes.push(index.toString('hex', 12 + i * 24, 12 + i * 24 + 20));
+            }
         }
+        return hashes;
     }
 
-    async getCommitData(commithash) {
-        const commitPath = path.join(this.objectsPath, commithash);
-        try {
-            return await fs.readFile(commitPath, { encoding: 'utf-8'});
-        } catch(error) {
-            return null;
-        }
-    }
+    decodePackEntryHeader(buffer, offset) {
+        const hash = buffer.toString('hex', offset, offset + 20);
+        const type = PACK_TYPES[buffer.readUInt8(offset + 20) - 1];
+        const isDelta = buffer.readUInt8(offset + 21) === 1;
+        const base = isDelta ? buffer.toString('hex', offset + 22, offset + 42) : null;
+        const headerLength = isDelta ? 46 : 26;
+        const length = buffer.readUInt32BE(offset + headerLength - 4);
 
-    async getFileContent(fileHash) {
-        const objectPath = path.join(this.objectsPath, fileHash);
-        return fs.readFile(objectPath, { encoding: 'utf-8' });
+        if (!type) {
+            throw new CorruptObjectError(`Corrupt pack entry for ${hash}`, hash);
+        }
+        return { hash, type, base, length, headerLength };
     }
 
-    async branch(branchName, options = {}) {
-        if (!branchName) {
-            await this.listBranches();
-            return;
+    async readPackedObject(pack, offset) {
+        const cacheKey = `${pack.name}:${offset}`;
+        if (this.packedObjectCache.has(cacheKey)) {
+            return this.packedObjectCache.get(cacheKey);
         }
 
-        if (options.delete) {
-            await this.deleteBranch(branchName);
-            return;
+        const handle = await fs.open(pack.packPath, 'r');
+        let entry, compressed;
+        try {
+            const header = Buffer.alloc(46);
+            await handle.read(header, 0, header.length, offset);
+            entry = this.decodePackEntryHeader(header, 0);
+            compressed = Buffer.alloc(entry.length);
+            await handle.read(compressed, 0, entry.length, offset + entry.headerLength);
+        } finally {
+            await handle.close();
         }
 
-        const branchPath = path.join(this.refsPath, branchName);
-        try {
-            const currentCommit = await this.getCurrentHead();
-            await fs.writeFile(branchPath, currentCommit || '', {flag: 'wx'});
-            console.log(chalk.green(`✓ Created branch: ${branchName}`));
-        } catch (error) {
-            console.log(chalk.red(`Branch ${branchName} already exists`));
+        const data = await inflate(compressed);
+        const object = {
+            type: entry.type,
+            content: entry.base ? applyDelta((await this.readObject(entry.base)).content, data) : data
+        };
+
+        // Delta chains share bases, so keep a few recently resolved objects around
+        this.packedObjectCache.set(cacheKey, object);
+        if (this.packedObjectCache.size > 64) {
+            this.packedObjectCache.delete(this.packedObjectCache.keys().next().value);
         }
+        return object;
     }
 
-    async listBranches() {
-        const branches = await fs.readdir(this.refsPath);
-        const currentBranch = await this.getCurrentBranch();
+    objectLinks(type, content) {
+        if (type === 'blob') return [];
 
-        console.log(chalk.bold('\n🌳 Branches:\n'));
-        for (const branch of branches) {
-            if (branch === currentBranch) {
-                console.log(chalk.green(`* ${branch}`));
-            } else {
-                console.log(`  ${branch}`);
-            }
+        const data = JSON.parse(content.toString('utf-8'));
+        if (type === 'commit') {
+            return [{ hash: data.tree, type: 'tree' }, ...this.getParents(data).map(hash => ({ hash, type: 'commit', parent: true }))];
         }
-        console.log();
+        if (type === 'tree') {
+            return data.map(entry => ({ hash: entry.hash, type: entry.type, name: entry.name }));
+        }
+        if (type === 'tag') {
+            return [{ hash: data.object, type: data.type || 'commit' }];
+        }
+        throw new CorruptObjectError(`Unknown object type: ${type}`);
     }
 
-    async deleteBranch(branchName) {
-        const currentBranch = await this.getCurrentBranch();
-        if (currentBranch === branchName) {
-            console.log(chalk.red(`Cannot delete current branch: ${branchName}`));
-            return;
-        }
+    isBinary(content) {
+        return content.subarray(0, 8000).includes(0);
+    }
 
-        const branchPath = path.join(this.refsPath, branchName);
+    async getIgnorePatterns() {
         try {
-            await fs.unlink(branchPath);
-            console.log(chalk.green(`✓ Deleted branch: ${branchName}`));
+            const ignoreContent = await fs.readFile(this.grootIgnorePath, { encoding: 'utf-8' });
+            return ignoreContent
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'));
         } catch (error) {
-            console.log(chalk.red(`Branch ${branchName} not found`));
+            return [];
         }
     }
 
-    async checkout(branchName) {
-        const branchPath = path.join(this.refsPath, branchName);
-        try {
-            const branchCommit = await fs.readFile(branchPath, { encoding: 'utf-8' });
-            await fs.writeFile(this.headPath, `ref: refs/heads/${branchName}`);
+    async getIgnoreMatcher() {
+        const fileGlobs = [];
+        const directoryGlobs = [];
+        for (const pattern of await this.getIgnorePatterns()) {
+            // "dir/" only names directories; a pattern without a slash matches at any depth
+            const directoryOnly = pattern.endsWith('/');
+            const glob = pattern.replace(/\/+$/, '');
+            const anchored = glob.includes('/');
+            const globs = anchored ? [glob.replace(/^\//, '')] : [glob, `**/${glob}`];
+            directoryGlobs.push(...globs);
+            if (!directoryOnly) fileGlobs.push(...globs);
+        }
 
-            if (branchCommit) {
-                await this.restoreFiles(branchCommit);
+        const matches = (repoPath, globs) => globs.length > 0 && micromatch.isMatch(repoPath, globs, { dot: true });
+        return (repoPath, isDirectory = false) => {
+            if (matches(repoPath, isDirectory ? directoryGlobs : fileGlobs)) return true;
+            // Anything below an ignored directory is ignored with it
+            const parts = repoPath.split('/');
+            for (let i = 1; i < parts.length; i++) {
+                if (matches(parts.slice(0, i).join('/'), directoryGlobs)) return true;
             }
-
-            console.log(chalk.green(`✓ Switched to branch: ${branchName}`));
-        } catch (error) {
-            console.log(chalk.red(`Branch ${branchName} not found`));
-        }
+            return false;
+        };
     }
 
-    async restoreFiles(commitHash) {
-        const commitData = JSON.parse(await this.getCommitData(commitHash));
-        if (!commitData) return;
+    async shouldIgnore(filePath) {
+        const isIgnored = await this.getIgnoreMatcher();
+        return isIgnored(this.toRepoPath(filePath));
+    }
 
-        for (const file of commitData.files) {
-            const fileContent = await this.getFileContent(file.hash);
-            const filePath = path.join(this.workingDir, file.path);
-            await fs.mkdir(path.dirname(filePath), { recursive: true });
-            await fs.writeFile(filePath, fileContent);
+    async add(pathspecs, options = {}) {
+        if (options.all && pathspecs.length === 0) {
+            pathspecs = ['.'];
+        }
+        if (pathspecs.length === 0) {
+            throw new GrootError('Nothing specified, nothing added. Use "groot add <path>" or "groot add -A"', 'EUSAGE');
         }
-    }
 
-    async status() {
-        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
-        const currentBranch = await this.getCurrentBranch();
-        const currentCommit = await this.getCurrentHead();
+        const { index, headFiles, indexFiles } = await this.readStagingState();
+        const isIgnored = await this.getIgnoreMatcher();
+        const workingPaths = (await this.getAllFiles(this.workingDir, [], isIgnored)).map(file => this.toRepoPath(file));
 
-        console.log(chalk.bold(`\n📊 Status\n`));
-        console.log(chalk.cyan(`On branch: ${currentBranch}`));
+        const candidates = [...new Set([...workingPaths, ...indexFiles.map(file => file.path)])];
+        const matches = this.matchPathspecs(pathspecs, candidates);
+        const toStage = new Set();
+        const result = { added: [], removed: [], ignored: [] };
 
-        if (!currentCommit) {
-            console.log(chalk.yellow('No commits yet\n'));
-        } else {
-            console.log(chalk.gray(`Latest commit: ${currentCommit.substring(0, 7)}\n`));
+        for (const [pathspec, paths] of matches) {
+            if (paths.length > 0) {
+                paths.forEach(filePath => toStage.add(filePath));
+            } else if (isIgnored(this.toRepoPath(pathspec))) {
+                result.ignored.push(pathspec);
+            } else {
+                throw new GrootError(`Pathspec '${pathspec}' did not match any files`, 'EPATHSPEC');
+            }
         }
 
-        if (index.length > 0) {
-            console.log(chalk.green('Changes staged for commit:'));
-            for (const file of index) {
-                console.log(chalk.green(`  + ${file.path}`));
+        for (const filePath of [...toStage].sort()) {
+            let fileHash = null;
+            try {
+                fileHash = await this.writeObject('blob', await fs.readFile(path.join(this.workingDir, filePath)));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
             }
-            console.log();
-        }
 
-        const allFiles = await this.getAllFiles(this.workingDir);
-        const untracked = [];
-        const modified = [];
+            if (this.stageEntry(index, headFiles, filePath, fileHash)) {
+                (fileHash ? result.added : result.removed).push(filePath);
+            }
+        }
 
-        for (const file of allFiles) {
-            if (await this.shouldIgnore(file)) continue;
+        await fs.writeFile(this.indexPath, JSON.stringify(index));
+        return result;
+    }
 
-            const relativePath = path.relative(this.workingDir, file);
-            if (relativePath.startsWith('.groot')) continue;
+    async readStagingState() {
+        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+        const headCommit = await this.getCurrentHead();
+        const headFiles = headCommit ? await this.getCommitFiles(headCommit) : [];
+        return { index, headFiles, indexFiles: this.applyIndex(headFiles, index) };
+    }
 
-            const isStaged = index.find(item => item.path === relativePath);
-            const isTracked = currentCommit ? await this.isFileTracked(relativePath, currentCommit) : false;
+    stageEntry(index, headFiles, filePath, fileHash) {
+        const existingIndex = index.findIndex(item => item.path === filePath);
+        const previous = existingIndex !== -1 ? index[existingIndex] : null;
+        if (existingIndex !== -1) {
+            index.splice(existingIndex, 1);
+        }
 
-            if (!isStaged && !isTracked) {
-                untracked.push(relativePath);
-            } else if (isTracked && !isStaged) {
-                const hasChanged = await this.hasFileChanged(relativePath, currentCommit);
-                if (hasChanged) {
-                    modified.push(relativePath);
-                }
-            }
+        // A file that matches HEAD again has nothing left to stage
+        const headFile = headFiles.find(file => file.path === filePath);
+        if ((headFile ? headFile.hash : null) === fileHash) {
+            return previous !== null;
         }
 
-        if (modified.length > 0) {
-            console.log(chalk.red('Changes not staged:'));
-            for (const file of modified) {
-                console.log(chalk.red(`  M ${file}`));
+        index.push(fileHash ? { path: filePath, hash: fileHash } : { path: filePath, hash: null, deleted: true });
+        return !previous || previous.hash !== fileHash || Boolean(previous.conflict);
+    }
+
+    matchPathspecs(pathspecs, candidates) {
+        const matches = new Map();
+        for (const pathspec of pathspecs) {
+            const pattern = this.toRepoPath(pathspec);
+            let paths;
+            if (pattern === '') {
+                paths = candidates;
+            } else if (micromatch.scan(pattern).isGlob) {
+                // As in git, a pattern without a slash such as *.js matches files in every directory
+                paths = micromatch(candidates, pattern, { dot: true, basename: !pattern.includes('/') });
+            } else {
+                paths = candidates.filter(filePath => filePath === pattern || filePath.startsWith(pattern + '/'));
             }
-            console.log();
+            matches.set(pathspec, paths);
         }
+        return matches;
+    }
+
+    async rm(pathspecs, options = {}) {
+        const { index, headFiles, indexFiles } = await this.readStagingState();
+        const matches = this.matchPathspecs(pathspecs, indexFiles.map(file => file.path));
+        const toRemove = [];
 
-        if (untracked.length > 0) {
-            console.log(chalk.gray('Untracked files:'));
-            for (const file of untracked) {
-                console.log(chalk.gray(`  ? ${file}`));
+        for (const [pathspec, paths] of matches) {
+            if (paths.length === 0) {
+                throw new GrootError(`Pathspec '${pathspec}' did not match any tracked files`, 'EPATHSPEC');
             }
-            console.log();
+            if (!options.recursive && !paths.includes(this.toRepoPath(pathspec)) && !micromatch.scan(pathspec).isGlob) {
+                throw new GrootError(`Not removing '${pathspec}' recursively without -r`, 'EUSAGE');
+            }
+            toRemove.push(...paths);
         }
 
-        if (index.length === 0 && modified.length === 0 && untracked.length === 0) {
-            console.log(chalk.green('✓ Working directory clean\n'));
+        if (!options.cached && !options.force) {
+            const modified = [];
+            for (const filePath of new Set(toRemove)) {
+                const currentHash = await this.hashWorkingFile(filePath);
+                const indexFile = indexFiles.find(file => file.path === filePath);
+                const headFile = headFiles.find(file => file.path === filePath);
+                if ((currentHash && currentHash !== indexFile.hash) || !headFile || headFile.hash !== indexFile.hash) {
+                    modified.push(filePath);
+                }
+            }
+            if (modified.length > 0) {
+                throw new LocalChangesError(modified, 'The following files have changes that would be lost:', 'Use --cached to keep the file, or -f to force removal.');
+            }
         }
-    }
 
-    async getAllFiles(dir, fileList = []) {
-        const files = await fs.readdir(dir);
-        for (const file of files) {
-            const filePath = path.join(dir, file);
-            const stat = await fs.stat(filePath);
-            if (stat.isDirectory()) {
-                if (file !== '.groot') {
-                    await this.getAllFiles(filePath, fileList);
-                }
-            } else {
-                fileList.push(filePath);
+        const removed = [...new Set(toRemove)].sort();
+        for (const filePath of removed) {
+            this.stageEntry(index, headFiles, filePath, null);
+            if (!options.cached) {
+                await this.removeWorkingFile(filePath);
             }
         }
-        return fileList;
-    }
 
-    async isFileTracked(filePath, commitHash) {
-        const commitData = JSON.parse(await this.getCommitData(commitHash));
-        if (!commitData) return false;
-        return commitData.files.some(file => file.path === filePath);
+        await fs.writeFile(this.indexPath, JSON.stringify(index));
+        return { removed };
     }
 
-    async hasFileChanged(filePath, commitHash) {
-        const commitData = JSON.parse(await this.getCommitData(commitHash));
-        if (!commitData) return true;
+    async mv(source, destination, options = {}) {
+        const { index, headFiles, indexFiles } = await this.readStagingState();
+        const sourcePath = this.toRepoPath(source);
+        let destinationPath = this.toRepoPath(destination);
 
-        const trackedFile = commitData.files.find(file => file.path === filePath);
-        if (!trackedFile) return true;
+        const moving = indexFiles.filter(file => file.path === sourcePath || file.path.startsWith(sourcePath + '/'));
+        if (moving.length === 0) {
+            throw new GrootError(`Not under version control: ${source}`, 'EPATHSPEC');
+        }
 
         try {
-            const currentContent = await fs.readFile(path.join(this.workingDir, filePath), { encoding: 'utf-8' });
-            const currentHash = this.hashObject(currentContent);
-            return currentHash !== trackedFile.hash;
+            if ((await fs.stat(path.join(this.workingDir, destinationPath))).isDirectory()) {
+                destinationPath = path.posix.join(destinationPath, path.posix.basename(sourcePath));
+            }
         } catch {
-            return true;
+            // Destination does not exist yet
         }
-    }
 
-    async graph() {
-        let currentCommitHash = await this.getCurrentHead();
+        let destinationFree = false;
+        try {
+            await fs.access(path.join(this.workingDir, destinationPath));
+        } catch {
+            // Destination is free
+            destinationFree = true;
+        }
+        if (!destinationFree && !options.force) {
+            throw new GrootError(`Destination already exists: ${destinationPath}`, 'EEXIST');
+        }
 
-        console.log(chalk.bold('\n🌲 Commit Graph\n'));
+        await fs.mkdir(path.dirname(path.join(this.workingDir, destinationPath)), { recursive: true });
+        await fs.rename(path.join(this.workingDir, sourcePath), path.join(this.workingDir, destinationPath));
 
-        if (!currentCommitHash) {
-            console.log(chalk.yellow('No commits yet.'));
-            return;
+        for (const file of moving) {
+            const newPath = destinationPath + file.path.substring(sourcePath.length);
+            this.stageEntry(index, headFiles, file.path, null);
+            this.stageEntry(index, headFiles, newPath, file.hash);
         }
 
-        const visited = new Set();
-        await this.drawGraph(currentCommitHash, '', visited, true);
-        console.log();
+        await fs.writeFile(this.indexPath, JSON.stringify(index));
+        return { from: sourcePath, to: destinationPath };
     }
 
-    async drawGraph(commitHash, prefix, visited, isLast) {
-        if (!commitHash || visited.has(commitHash)) return;
-        visited.add(commitHash);
-
-        const commitData = JSON.parse(await this.getCommitData(commitHash));
-        if (!commitData) return;
+    async restore(pathspecs, options = {}) {
+        const { index, headFiles } = await this.readStagingState();
+        const restoreWorktree = options.worktree || !options.staged;
+        const result = { unstaged: [], restored: [] };
 
-        const branch = prefix + (isLast ? '└── ' : '├── ');
-        const continuation = prefix + (isLast ? '    ' : '│   ');
+        if (options.staged) {
+            const candidates = [...new Set([...index, ...headFiles].map(file => file.path))];
+            for (const [pathspec, paths] of this.matchPathspecs(pathspecs, candidates)) {
+                if (paths.length === 0) {
+                    throw new GrootError(`Pathspec '${pathspec}' did not match any files`, 'EPATHSPEC');
+                }
+                for (const filePath of paths) {
+                    const existingIndex = index.findIndex(item => item.path === filePath);
+                    if (existingIndex !== -1) {
+                        index.splice(existingIndex, 1);
+                        result.unstaged.push(filePath);
+                    }
+                }
+            }
+            await fs.writeFile(this.indexPath, JSON.stringify(index));
+        }
 
-        const shortHash = chalk.yellow(commitHash.substring(0, 7));
-        const message = chalk.white(commitData.message);
-        const date = chalk.gray(new Date(commitData.timeStamp).toLocaleDateString());
+        if (restoreWorktree) {
+            const indexFiles = this.applyIndex(headFiles, index);
+            for (const [pathspec, paths] of this.matchPathspecs(pathspecs, indexFiles.map(file => file.path))) {
+                if (paths.length === 0) {
+                    throw new GrootError(`Pathspec '${pathspec}' did not match any tracked files`, 'EPATHSPEC');
+                }
+                for (const filePath of paths) {
+                    const indexFile = indexFiles.find(file => file.path === filePath);
+                    if (await this.hashWorkingFile(filePath) !== indexFile.hash) {
+                        await this.writeWorkingFile(filePath, await this.getFileContent(indexFile.hash));
+                        result.restored.push(filePath);
+                    }
+                }
+            }
+        }
+        return result;
+    }
+
+    toRepoPath(filePath) {
+        return path.relative(this.workingDir, path.resolve(filePath)).split(path.sep).join('/');
+    }
+
+    applyIndex(files, index) {
+        const merged = new Map(files.map(file => [file.path, file.hash]));
+        for (const entry of index) {
+            if (entry.conflict) continue;
+            if (entry.deleted) {
+                merged.delete(entry.path);
+            } else {
+                merged.set(entry.path, entry.hash);
+            }
+        }
+        return [...merged].map(([filePath, hash]) => ({ path: filePath, hash }));
+    }
+
+    async writeTree(files) {
+        const root = {};
+        for (const file of files) {
+            const parts = file.path.split('/');
+            let node = root;
+            for (const dir of parts.slice(0, -1)) {
+                if (typeof node[dir] !== 'object') {
+                    node[dir] = {};
+                }
+                node = node[dir];
+            }
+            node[parts[parts.length - 1]] = file.hash;
+        }
+        return this.writeTreeNode(root);
+    }
+
+    async writeTreeNode(node) {
+        const entries = [];
+        for (const name of Object.keys(node).sort()) {
+            if (typeof node[name] === 'string') {
+                entries.push({ name, type: 'blob', hash: node[name] });
+            } else {
+                entries.push({ name, type: 'tree', hash: await this.writeTreeNode(node[name]) });
+            }
+        }
+
+        return this.writeObject('tree', JSON.stringify(entries));
+    }
 
-        console.log(`${branch}${shortHash} ${message} (${date})`);
+    async readTree(treeHash, prefix = '') {
+        const { type, content } = await this.readObject(treeHash);
+        if (type !== 'tree') {
+            throw new CorruptObjectError(`Object ${treeHash} is a ${type}, not a tree`, treeHash);
+        }
 
-        if (commitData.parent) {
-            await this.drawGraph(commitData.parent, continuation, visited, true);
+        const entries = JSON.parse(content.toString('utf-8'));
+        const files = [];
+        for (const entry of entries) {
+            // Trees may come from another repository, so a name must not lead out of its directory
+            if (typeof entry.name !== 'string' || entry.name.includes('/') || !isSafePath(entry.name)) {
+                throw new CorruptObjectError(`Tree ${treeHash} has an invalid entry name: ${entry.name}`, treeHash);
+            }
+            const entryPath = prefix + entry.name;
+            if (entry.type === 'tree') {
+                files.push(...await this.readTree(entry.hash, entryPath + '/'));
+            } else {
+                files.push({ path: entryPath, hash: entry.hash });
+            }
         }
+        return files;
     }
 
-    async merge(branchName) {
+    async getCommitFiles(commitHash) {
+        const commitData = await this.readCommit(commitHash);
+        return this.readTree(commitData.tree);
+    }
+
+    async commit(message, options = {}) {
+        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+
+        const mergeHead = await this.getMergeHead();
+        const parentCommit = await this.getCurrentHead();
+
+        if (options.amend && !parentCommit) {
+            throw new GrootError('You have nothing to amend', 'EUSAGE');
+        }
+
+        if (options.amend && mergeHead) {
+            throw new MergeError('You are in the middle of a merge -- cannot amend');
+        }
+
+        if (index.length === 0 && !mergeHead && !options.amend) {
+            throw new GrootError('Nothing to commit. Stage files with "groot add <file>"', 'ENOCHANGES');
+        }
+
+        const unresolved = index.filter(entry => entry.conflict).map(entry => entry.path);
+        if (unresolved.length > 0) {
+            throw new ConflictError('Cannot commit with unresolved conflicts. Fix them and mark them resolved with "groot add <file>"', unresolved);
+        }
+
+        // Amending rewrites HEAD in place: same parents, original author
+        const amended = options.amend ? await this.readCommit(parentCommit) : null;
+        message = message || (amended && amended.message);
+        if (!message) {
+            throw new GrootError('Aborting commit due to empty commit message', 'EUSAGE');
+        }
+
+        if (options.verify !== false) {
+            const preCommit = await this.runHook('pre-commit');
+            if (preCommit !== 0) {
+                throw new HookError('pre-commit', preCommit);
+            }
+
+            // commit-msg may rewrite the message file in place
+            await fs.writeFile(this.commitMsgPath, `${message}\n`);
+            const commitMsg = await this.runHook('commit-msg', [path.relative(this.workingDir, this.commitMsgPath)]);
+            if (commitMsg !== 0) {
+                throw new HookError('commit-msg', commitMsg);
+            }
+            message = (await fs.readFile(this.commitMsgPath, { encoding: 'utf-8' })).trim();
+            if (!message) {
+                throw new GrootError('Aborting commit due to empty commit message', 'EUSAGE');
+            }
+        }
+
         const currentBranch = await this.getCurrentBranch();
-        if (currentBranch === branchName) {
-            console.log(chalk.yellow('Already on branch: ' + branchName));
-            return;
+        const parentFiles = parentCommit ? await this.getCommitFiles(parentCommit) : [];
+        const tree = await this.writeTree(this.applyIndex(parentFiles, index));
+        const parents = amended ? this.getParents(amended) : [parentCommit, mergeHead].filter(Boolean);
+        const author = amended ? amended.author : options.author;
+
+        const commitHash = await this.writeCommit(tree, parents, message, { author });
+        if (amended) {
+            await fs.writeFile(this.origHeadPath, parentCommit);
+        }
+
+        const reason = options.reason
+            || (amended ? 'commit (amend)' : mergeHead ? 'commit (merge)' : parentCommit ? 'commit' : 'commit (initial)');
+        await this.updateHead(commitHash, `${reason}: ${message.split('\n')[0]}`);
+        await fs.writeFile(this.indexPath, JSON.stringify([]));
+        await this.clearMergeState();
+
+        const result = { hash: commitHash, branch: currentBranch, message, parents, amend: Boolean(amended) };
+        this.emit('commit', result);
+        await this.runHook('post-commit');
+        return result;
+    }
+
+    async writeCommit(tree, parents, message, options = {}) {
+        const author = options.author || await this.getIdentity('author');
+        const committer = options.committer || await this.getIdentity('committer');
+
+        const commitData = {
+            timeStamp: committer.timeStamp,
+            message,
+            tree,
+            parent: parents[0] || null,
+            branch: options.branch ?? await this.getCurrentBranch(),
+            author,
+            committer
+        };
+
+        if (parents.length > 1) {
+            commitData.parents = parents;
         }
 
+        return this.writeObject('commit', JSON.stringify(commitData));
+    }
+
+    getParents(commitData) {
+        if (commitData.parents) return commitData.parents;
+        return commitData.parent ? [commitData.parent] : [];
+    }
+
+    async getCurrentHead() {
+        try {
+            const headContent = await fs.readFile(this.headPath, { encoding: 'utf-8' });
+            if (headContent.startsWith('ref:')) {
+                const refPath = headContent.split(' ')[1].trim();
+                const branchPath = path.join(this.repoPath, refPath);
+                try {
+                    return (await fs.readFile(branchPath, { encoding: 'utf-8' })).trim();
+                } catch {
+                    return null;
+                }
+            }
+            return headContent.trim();
+        } catch(error) {
+            return null;
+        }
+    }
+
+    async getCurrentBranch() {
+        try {
+            const headContent = await fs.readFile(this.headPath, { encoding: 'utf-8' });
+            if (headContent.startsWith('ref:')) {
+                const refPath = headContent.split(' ')[1].trim();
+                return refPath.replace(/^refs\/heads\//, '');
+            }
+            return 'detached HEAD';
+        } catch(error) {
+            return 'main';
+        }
+    }
+
+    async updateBranchRef(branchName, commitHash, reason) {
         const branchPath = path.join(this.refsPath, branchName);
+        const oldHash = await this.readRef(`refs/heads/${branchName}`);
+        await fs.mkdir(path.dirname(branchPath), { recursive: true });
+        await fs.writeFile(branchPath, commitHash);
+        await this.appendReflog(`refs/heads/${branchName}`, oldHash, commitHash, reason);
+        this.emit('ref-update', { ref: `refs/heads/${branchName}`, oldHash, newHash: commitHash, reason });
+    }
+
+    async isDetached() {
         try {
-            const branchCommit = await fs.readFile(branchPath, { encoding: 'utf-8' });
-            const currentCommit = await this.getCurrentHead();
+            return !(await fs.readFile(this.headPath, { encoding: 'utf-8' })).startsWith('ref:');
+        } catch {
+            return false;
+        }
+    }
 
-            if (!branchCommit) {
-                console.log(chalk.red('Branch has no commits'));
-                return;
+    async updateHead(commitHash, reason) {
+        const oldHash = await this.getCurrentHead();
+        if (await this.isDetached()) {
+            await fs.writeFile(this.headPath, commitHash);
+        } else {
+            await this.updateBranchRef(await this.getCurrentBranch(), commitHash, reason);
+        }
+        await this.appendReflog('HEAD', oldHash, commitHash, reason);
+    }
+
+    async writeHead(content, reason) {
+        const oldHash = await this.getCurrentHead();
+        await fs.writeFile(this.headPath, content);
+        const newHash = await this.getCurrentHead();
+        if (newHash) {
+            await this.appendReflog('HEAD', oldHash, newHash, reason);
+        }
+    }
+
+    async getLog(revisions = [], options = {}) {
+        const starts = [];
+        const excluded = new Set();
+        const paths = options.paths || [];
+        for (const revision of revisions) {
+            if (revision.includes('..')) {
+                const range = await this.resolveRange(revision);
+                for (const hash of await this.getAncestors(range.from)) excluded.add(hash);
+                starts.push(range.to);
+            } else {
+                starts.push(await this.resolveRevision(revision));
+            }
+        }
+        if (options.all) {
+            starts.push(...await this.getRefTips());
+        } else if (revisions.length === 0) {
+            const head = await this.getCurrentHead();
+            if (head) starts.push(head);
+        }
+
+        const since = options.since ? this.parseExpiry(options.since) : null;
+        const until = options.until ? this.parseExpiry(options.until) : null;
+        const author = options.author ? new RegExp(options.author, 'i') : null;
+        const grep = options.grep ? new RegExp(options.grep, 'i') : null;
+        const maxCount = parseMaxCount(options.maxCount);
+        const signatures = new Map();
+        const commits = [];
+
+        for (const { hash, commitData } of await this.walkCommits(starts, excluded, options.topoOrder ? 'topo' : 'date')) {
+            if (commits.length >= maxCount) break;
+
+            const time = new Date(commitData.timeStamp).getTime();
+            const { name, email } = commitData.author || {};
+            if (since !== null && time < since) continue;
+            if (until !== null && time > until) continue;
+            if (author && !author.test(`${name} <${email}>`)) continue;
+            if (grep && !grep.test(commitData.message)) continue;
+            if (paths.length > 0 && !await this.commitTouchesPaths(hash, commitData, paths, signatures)) continue;
+
+            commits.push(this.toCommitObject(hash, commitData));
+        }
+        return commits;
+    }
+
+    toCommitObject(hash, commitData) {
+        return {
+            hash,
+            tree: commitData.tree,
+            parents: this.getParents(commitData),
+            author: commitData.author || null,
+            committer: commitData.committer || null,
+            timeStamp: commitData.timeStamp,
+            message: commitData.message
+        };
+    }
+
+    async log(revisions = [], options = {}) {
+        return this.getLog(revisions, options);
+    }
+
+    async getRefTips() {
+        const tips = new Set(Object.values(await this.getBranches()));
+        const head = await this.getCurrentHead();
+        if (head) tips.add(head);
+
+        for (const refFile of await this.listRefFiles(this.remotePath)) {
+            tips.add((await fs.readFile(refFile, { encoding: 'utf-8' })).trim());
+        }
+        for (const hash of Object.values(await this.getTags())) {
+            try {
+                tips.add(await this.peelToCommit(hash));
+            } catch {
+                // Tags pointing at missing objects are skipped
             }
+        }
+        return [...tips].filter(Boolean);
+    }
+
+    async walkCommits(starts, excluded = new Set(), order = 'date') {
+        const commits = new Map();
+        const queue = [...starts];
+        while (queue.length > 0) {
+            const hash = queue.shift();
+            if (commits.has(hash) || excluded.has(hash)) continue;
+            const commitData = await this.readCommit(hash);
+            commits.set(hash, commitData);
+            queue.push(...this.getParents(commitData));
+        }
 
-            const branchData = JSON.parse(await this.getCommitData(branchCommit));
-            const currentData = currentCommit ? JSON.parse(await this.getCommitData(currentCommit)) : { files: [] };
+        // A commit is only emitted once every child that reaches it has been shown
+        const pendingChildren = new Map([...commits.keys()].map(hash => [hash, 0]));
+        for (const commitData of commits.values()) {
+            for (const parent of new Set(this.getParents(commitData))) {
+                if (commits.has(parent)) pendingChildren.set(parent, pendingChildren.get(parent) + 1);
+            }
+        }
 
-            const conflicts = await this.detectConflicts(currentData.files, branchData.files);
+        const timeOf = hash => new Date(commits.get(hash).timeStamp).getTime();
+        const ready = [...new Set(starts)].filter(hash => commits.has(hash) && pendingChildren.get(hash) === 0);
+        ready.sort((a, b) => timeOf(a) - timeOf(b));
+        const ordered = [];
 
-            if (conflicts.length > 0) {
-                console.log(chalk.red('\n⚠️  Merge conflicts detected:\n'));
-                conflicts.forEach(file => {
-                    console.log(chalk.red(`  ✗ ${file}`));
+        while (ready.length > 0) {
+            let hash;
+            if (order === 'topo') {
+                // Depth-first keeps each line of history together, first parent first
+                hash = ready.pop();
+            } else {
+                let newest = 0;
+                ready.forEach((candidate, i) => {
+                    if (timeOf(candidate) > timeOf(ready[newest])) newest = i;
                 });
-                console.log(chalk.yellow('\nResolve conflicts manually and commit.'));
-                return;
+                hash = ready.splice(newest, 1)[0];
             }
 
-            const mergedFiles = this.mergeFiles(currentData.files, branchData.files);
+            const commitData = commits.get(hash);
+            ordered.push({ hash, commitData });
+            for (const parent of [...new Set(this.getParents(commitData))].reverse()) {
+                if (!commits.has(parent)) continue;
+                pendingChildren.set(parent, pendingChildren.get(parent) - 1);
+                if (pendingChildren.get(parent) === 0) ready.push(parent);
+            }
+        }
+        return ordered;
+    }
 
-            for (const file of mergedFiles) {
-                await this.updateStagingArea(file.path, file.hash);
-                const fileContent = await this.getFileContent(file.hash);
-                await fs.writeFile(path.join(this.workingDir, file.path), fileContent);
+    async commitTouchesPaths(commitHash, commitData, paths, signatures) {
+        const signature = async hash => {
+            if (!signatures.has(hash)) {
+                const files = await this.getCommitFiles(hash);
+                const matched = new Set([...this.matchPathspecs(paths, files.map(file => file.path)).values()].flat());
+                signatures.set(hash, files
+                    .filter(file => matched.has(file.path))
+                    .map(file => `${file.path} ${file.hash}`)
+                    .sort()
+                    .join('\n'));
             }
+            return signatures.get(hash);
+        };
 
-            console.log(chalk.green(`✓ Merged ${branchName} into ${currentBranch}`));
-            console.log(chalk.yellow('Changes staged. Commit to complete merge.'));
+        const own = await signature(commitHash);
+        const parents = this.getParents(commitData);
+        if (parents.length === 0) return own !== '';
 
-        } catch (error) {
-            console.log(chalk.red(`Error merging: ${error.message}`));
+        // A merge that matches one of its parents for these paths adds nothing new
+        for (const parent of parents) {
+            if (await signature(parent) === own) return false;
         }
+        return true;
     }
 
-    async detectConflicts(currentFiles, branchFiles) {
-        const conflicts = [];
+    formatCommit(format, commitHash, commitData, decorations) {
+        const author = commitData.author || { name: '', email: '', timeStamp: commitData.timeStamp };
+        const committer = commitData.committer || author;
+        const parents = this.getParents(commitData);
+        const [subject, ...bodyLines] = commitData.message.split('\n');
+        const labels = (decorations.get(commitHash) || []).map(label => this.labelText(label));
+
+        const placeholders = {
+            H: commitHash,
+            h: commitHash.substring(0, 7),
+            T: commitData.tree,
+            t: commitData.tree.substring(0, 7),
+            P: parents.join(' '),
+            p: parents.map(parent => parent.substring(0, 7)).join(' '),
+            an: author.name,
+            ae: author.email,
+            ad: new Date(author.timeStamp).toLocaleString(),
+            ar: this.relativeDate(author.timeStamp),
+            cn: committer.name,
+            ce: committer.email,
+            cd: new Date(committer.timeStamp).toLocaleString(),
+            cr: this.relativeDate(committer.timeStamp),
+            s: subject,
+            b: bodyLines.join('\n').trim(),
+            B: commitData.message,
+            d: labels.length > 0 ? ` (${labels.join(', ')})` : '',
+            D: labels.join(', '),
+            n: '\n',
+            '%': '%'
+        };
+
+        return format.replace(/%(an|ae|ad|ar|cn|ce|cd|cr|[HhTtPpsbBdDn%])/g, (match, key) => placeholders[key]);
+    }
 
-        for (const branchFile of branchFiles) {
-            const currentFile = currentFiles.find(f => f.path === branchFile.path);
-            if (currentFile && currentFile.hash !== branchFile.hash) {
-                conflicts.push(branchFile.path);
+    relativeDate(timeStamp) {
+        const seconds = Math.max(0, Math.round((Date.now() - new Date(timeStamp).getTime()) / 1000));
+        const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+        for (const [unit, size] of units) {
+            if (seconds >= size) {
+                const count = Math.floor(seconds / size);
+                return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
             }
         }
+        return `${seconds} second${seconds === 1 ? '' : 's'} ago`;
+    }
+
+    async getCommitDiff(revision) {
+        const commitHash = await this.resolveRevision(revision);
+        const commitData = await this.readCommit(commitHash);
+        const files = await this.getCommitFiles(commitHash);
+        const parentFiles = commitData.parent ? await this.getCommitFiles(commitData.parent) : [];
+
+        return {
+            ...this.toCommitObject(commitHash, commitData),
+            changes: await this.describeChanges(this.compareSnapshots(parentFiles, files))
+        };
+    }
+
+    async showCommitDiff(revision) {
+        return this.getCommitDiff(revision);
+    }
+
+    async getDiff(revisions = [], options = {}) {
+        const configuredContext = await this.getConfig('diff.context');
+        const context = Number(options.unified ?? configuredContext ?? 3);
+        const { fromFiles, toFiles } = await this.resolveDiffSnapshots(revisions, options);
+        return this.describeChanges(this.compareSnapshots(fromFiles, toFiles), context);
+    }
+
+    async resolveDiffSnapshots(revisions, options = {}) {
+        const headCommit = await this.getCurrentHead();
+        const headFiles = headCommit ? await this.getCommitFiles(headCommit) : [];
+        const indexFiles = await this.getIndexFiles(headFiles);
+
+        if (revisions.length === 1 && revisions[0].includes('..')) {
+            const range = await this.resolveRange(revisions[0]);
+            return { fromFiles: await this.getCommitFiles(range.from), toFiles: await this.getCommitFiles(range.to) };
+        }
+        if (revisions.length === 2) {
+            return {
+                fromFiles: await this.getCommitFiles(await this.resolveRevision(revisions[0])),
+                toFiles: await this.getCommitFiles(await this.resolveRevision(revisions[1]))
+            };
+        }
+        if (options.cached) {
+            const fromFiles = revisions.length === 1 ? await this.getCommitFiles(await this.resolveRevision(revisions[0])) : headFiles;
+            return { fromFiles, toFiles: indexFiles };
+        }
+        if (revisions.length === 1) {
+            const fromFiles = await this.getCommitFiles(await this.resolveRevision(revisions[0]));
+            return { fromFiles, toFiles: await this.getWorkingFiles([...fromFiles, ...indexFiles].map(file => file.path)) };
+        }
+        return { fromFiles: indexFiles, toFiles: await this.getWorkingFiles(indexFiles.map(file => file.path)) };
+    }
 
-        return conflicts;
+    async diff(revisions = [], options = {}) {
+        return this.getDiff(revisions, options);
     }
 
-    mergeFiles(currentFiles, branchFiles) {
-        const merged = [...currentFiles];
+    async getIndexFiles(headFiles) {
+        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+        return this.applyIndex(headFiles, index);
+    }
 
-        for (const branchFile of branchFiles) {
-            const existingIndex = merged.findIndex(f => f.path === branchFile.path);
-            if (existingIndex === -1) {
-                merged.push(branchFile);
+    async getWorkingFiles(paths) {
+        const files = [];
+        for (const filePath of new Set(paths)) {
+            const hash = await this.hashWorkingFile(filePath);
+            if (hash) {
+                files.push({ path: filePath, hash, worktree: true });
             }
         }
+        return files;
+    }
 
-        return merged;
+    async readSnapshotFile(file) {
+        if (file.worktree) {
+            return fs.readFile(path.join(this.workingDir, file.path));
+        }
+        return this.getFileContent(file.hash);
     }
 
-    async push(remoteName = 'origin', branchName = null) {
-        if (!branchName) {
-            branchName = await this.getCurrentBranch();
+    compareSnapshots(fromFiles, toFiles) {
+        const from = new Map(fromFiles.map(file => [file.path, file]));
+        const to = new Map(toFiles.map(file => [file.path, file]));
+        const changes = [];
+
+        for (const [filePath, newFile] of to) {
+            const oldFile = from.get(filePath);
+            if (!oldFile) {
+                changes.push({ status: 'A', path: filePath, newFile });
+            } else if (oldFile.hash !== newFile.hash) {
+                changes.push({ status: 'M', path: filePath, oldFile, newFile });
+            }
         }
 
-        const remoteBranchPath = path.join(this.remotePath, remoteName, branchName);
-        await fs.mkdir(path.dirname(remoteBranchPath), { recursive: true });
+        for (const [filePath, oldFile] of from) {
+            if (!to.has(filePath)) {
+                changes.push({ status: 'D', path: filePath, oldFile });
+            }
+        }
 
-        const currentCommit = await this.getCurrentHead();
-        await fs.writeFile(remoteBranchPath, currentCommit || '');
+        // An added file with exactly the content of a deleted one is a rename
+        for (const deleted of changes.filter(change => change.status === 'D')) {
+            const added = changes.find(change => change.status === 'A' && change.newFile.hash === deleted.oldFile.hash);
+            if (added) {
+                Object.assign(added, { status: 'R', oldPath: deleted.path, oldFile: deleted.oldFile });
+                changes.splice(changes.indexOf(deleted), 1);
+            }
+        }
 
-        console.log(chalk.green(`✓ Pushed ${branchName} to ${remoteName}`));
+        return changes.sort((a, b) => a.path.localeCompare(b.path));
     }
 
-    async pull(remoteName = 'origin', branchName = null) {
-        if (!branchName) {
-            branchName = await this.getCurrentBranch();
+    async describeChanges(changes, context = 3) {
+        const described = [];
+        for (const change of changes) {
+            const patch = await this.buildPatch(change, context);
+            described.push({
+                status: change.status,
+                path: change.path,
+                oldPath: change.oldPath || null,
+                oldHash: change.oldFile ? change.oldFile.hash : null,
+                newHash: change.newFile ? change.newFile.hash : null,
+                ...patch
+            });
         }
+        return described;
+    }
 
-        const remoteBranchPath = path.join(this.remotePath, remoteName, branchName);
-        try {
-            const remoteCommit = await fs.readFile(remoteBranchPath, { encoding: 'utf-8' });
-            const currentCommit = await this.getCurrentHead();
+    async buildPatch(change, context = 3) {
+        const oldContent = change.oldFile ? await this.readSnapshotFile(change.oldFile) : Buffer.alloc(0);
+        const newContent = change.newFile ? await this.readSnapshotFile(change.newFile) : Buffer.alloc(0);
+
+        if (this.isBinary(oldContent) || this.isBinary(newContent)) {
+            return { binary: true, hunks: [], added: 0, removed: 0 };
+        }
+
+        const { hunks } = structuredPatch(
+            change.oldPath || change.path,
+            change.path,
+            oldContent.toString('utf-8'),
+            newContent.toString('utf-8'),
+            '',
+            '',
+            { context }
+        );
+
+        let added = 0;
+        let removed = 0;
+        for (const hunk of hunks) {
+            added += hunk.lines.filter(line => line.startsWith('+')).length;
+            removed += hunk.lines.filter(line => line.startsWith('-')).length;
+        }
 
-            if (remoteCommit === currentCommit) {
-                console.log(chalk.green('Already up to date'));
+        return { binary: false, hunks, added, removed };
+    }
+
+    formatDiffStat(changes) {
+        const names = changes.map(change => change.status === 'R' ? `${change.oldPath} => ${change.path}` : change.path);
+        const width = Math.max(0, ...names.map(name => name.length));
+        const maxChanges = Math.max(0, ...changes.map(change => change.added + change.removed));
+        const scale = maxChanges > 40 ? 40 / maxChanges : 1;
+        const lines = [];
+        let insertions = 0;
+        let deletions = 0;
+
+        changes.forEach((change, i) => {
+            insertions += change.added;
+            deletions += change.removed;
+
+            if (change.binary) {
+                lines.push(` ${names[i].padEnd(width)} | Bin`);
                 return;
             }
 
-            await this.updateBranchRef(branchName, remoteCommit);
-            await this.restoreFiles(remoteCommit);
+            const plus = '+'.repeat(Math.ceil(change.added * scale));
+            const minus = '-'.repeat(Math.ceil(change.removed * scale));
+            lines.push(` ${names[i].padEnd(width)} | ${String(change.added + change.removed).padStart(4)} ${plus}${minus}`);
+        });
 
-            console.log(chalk.green(`✓ Pulled ${branchName} from ${remoteName}`));
-        } catch (error) {
-            console.log(chalk.red(`No remote branch: ${remoteName}/${branchName}`));
+        lines.push(` ${changes.length} file${changes.length === 1 ? '' : 's'} changed, ${insertions} insertion${insertions === 1 ? '' : 's'}(+), ${deletions} deletion${deletions === 1 ? '' : 's'}(-)`);
+        return lines;
+    }
+
+    async blame(filePath, revision = 'HEAD', options = {}) {
+        const repoPath = this.toRepoPath(filePath);
+        const startHash = await this.resolveRevision(revision);
+        const file = (await this.getCommitFiles(startHash)).find(entry => entry.path === repoPath);
+        if (!file) {
+            throw new GrootError(`No such path '${repoPath}' in ${revision}`, 'EPATHSPEC');
+        }
+        const content = await this.getFileContent(file.hash);
+        if (this.isBinary(content)) {
+            throw new GrootError(`Cannot blame binary file '${repoPath}'`, 'EBINARY');
         }
+        const lines = this.splitLines(content.toString('utf-8'));
+        const range = this.parseLineRange(options.lineRange, lines.length);
+
+        const origins = await this.blameLines(startHash, repoPath, range);
+        const blamed = [];
+        for (let line = range.start; line <= range.end; line++) {
+            const { hash, commitData, path: originPath, line: originLine, previous } = origins.get(line - 1);
+            blamed.push({
+                hash,
+                path: originPath,
+                line: originLine,
+                final: line,
+                content: lines[line - 1].replace(/\n$/, ''),
+                previous,
+                commit: this.toCommitObject(hash, commitData)
+            });
+        }
+        return { path: repoPath, revision: startHash, lines: blamed };
     }
-}
 
-program
-    .name('groot')
-    .description('A lightweight Git-like version control system')
-    .version('2.0.0');
+    parseLineRange(spec, total) {
+        if (!spec) return { start: 1, end: total };
 
-program.command('init')
-    .description('Initialize a new groot repository')
-    .action(async () => {
-        const groot = new Groot();
-        console.log(chalk.green('✓ Initialized groot repository'));
-    });
+        const match = String(spec).match(/^(\d+)?,(\+?)(\d+)?$/) || String(spec).match(/^(\d+)()()$/);
+        if (!match) {
+            throw new GrootError(`Invalid line range: ${spec} (use start,end or start,+count)`, 'EBADARG');
+        }
+        const start = match[1] ? Number(match[1]) : 1;
+        let end = total;
+        if (match[3]) {
+            end = match[2] ? start + Number(match[3]) - 1 : Number(match[3]);
+        } else if (!spec.includes(',')) {
+            end = start;
+        }
 
-program.command('add <file>')
-    .description('Add file to staging area')
-    .action(async (file) => {
-        const groot = new Groot();
-        await groot.add(file);
-    });
+        if (start < 1 || end < start) {
+            throw new GrootError(`Invalid line range: ${spec}`, 'EBADARG');
+        }
+        if (start > total) {
+            throw new GrootError(`File has only ${total} line${total === 1 ? '' : 's'}`, 'EBADARG');
+        }
+        return { start, end: Math.min(end, total) };
+    }
 
-program.command('commit <message>')
-    .description('Commit staged changes')
-    .action(async (message) => {
-        const groot = new Groot();
-        await groot.commit(message);
-    });
+    async blameLines(startHash, filePath, range) {
+        const origins = new Map();
+        const treeCache = new Map();
+        const filesOf = async (hash, commitData) => {
+            if (!treeCache.has(hash)) {
+                treeCache.set(hash, await this.readTree((commitData || await this.readCommit(hash)).tree));
+            }
+            return treeCache.get(hash);
+        };
 
-program.command('log')
-    .description('Show commit history')
-    .action(async () => {
-        const groot = new Groot();
-        await groot.log();
-    });
+        // Lines still looking for the commit that introduced them, by commit and then by path.
+        // Each entry pairs a line of the blamed version with its index in that commit's version.
+        const pending = new Map();
+        const suspect = (hash, suspectPath) => {
+            if (!pending.has(hash)) pending.set(hash, new Map());
+            const paths = pending.get(hash);
+            if (!paths.has(suspectPath)) paths.set(suspectPath, []);
+            return paths.get(suspectPath);
+        };
+        for (let line = range.start - 1; line < range.end; line++) {
+            suspect(startHash, filePath).push({ final: line, line });
+        }
 
-program.command('show <commitHash>')
-    .description('Show changes in a specific commit')
-    .action(async (commitHash) => {
-        const groot = new Groot();
-        await groot.showCommitDiff(commitHash);
-    });
+        for (const { hash, commitData } of await this.walkCommits([startHash], new Set(), 'topo')) {
+            if (pending.size === 0) break;
+            const paths = pending.get(hash);
+            if (!paths) continue;
+            pending.delete(hash);
 
-program.command('status')
-    .description('Show working tree status')
-    .action(async () => {
-        const groot = new Groot();
-        await groot.status();
-    });
+            const files = await filesOf(hash, commitData);
+            for (const [suspectPath, entries] of paths) {
+                const file = files.find(entry => entry.path === suspectPath);
+                const lines = this.splitLines((await this.getFileContent(file.hash)).toString('utf-8'));
+                let remaining = entries;
+                let previous = null;
 
-program.command('branch [name]')
-    .description('List, create, or delete branches')
-    .option('-d, --delete', 'Delete a branch')
-    .action(async (name, options) => {
-        const groot = new Groot();
-        await groot.branch(name, options);
-    });
+                // Lines a parent already had are passed on to it, first parent first
+                for (const parent of this.getParents(commitData)) {
+                    if (remaining.length === 0) break;
+                    const source = await this.findBlameSource(await filesOf(parent), files, suspectPath, lines);
+                    if (!source) continue;
+                    previous = previous || { hash: parent, path: source.path };
 
-program.command('checkout <branch>')
-    .description('Switch to a different branch')
-    .action(async (branch) => {
-        const groot = new Groot();
-        await groot.checkout(branch);
-    });
+                    const parentLines = source.hash === file.hash
+                        ? lines
+                        : this.splitLines((await this.getFileContent(source.hash)).toString('utf-8'));
+                    const unchanged = this.mapUnchangedLines(parentLines, lines);
+                    const parentEntries = suspect(parent, source.path);
+                    remaining = remaining.filter(entry => {
+                        if (!unchanged.has(entry.line)) return true;
+                        parentEntries.push({ final: entry.final, line: unchanged.get(entry.line) });
+                        return false;
+                    });
+                    if (parentEntries.length === 0) pending.get(parent).delete(source.path);
+                    if (pending.get(parent).size === 0) pending.delete(parent);
+                }
 
-program.command('merge <branch>')
-    .description('Merge a branch into current branch')
-    .action(async (branch) => {
-        const groot = new Groot();
-        await groot.merge(branch);
-    });
+                for (const entry of remaining) {
+                    origins.set(entry.final, { hash, commitData, path: suspectPath, line: entry.line + 1, previous });
+                }
+            }
+        }
+        return origins;
+    }
 
-program.command('graph')
-    .description('Show commit graph tree')
-    .action(async () => {
-        const groot = new Groot();
-        await groot.graph();
-    });
+    async findBlameSource(parentFiles, files, filePath, lines) {
+        const sameFile = parentFiles.find(entry => entry.path === filePath);
+        if (sameFile) return sameFile;
 
-program.command('push [remote] [branch]')
-    .description('Push commits to remote repository')
-    .action(async (remote, branch) => {
-        const groot = new Groot();
-        await groot.push(remote, branch);
-    });
+        // Follow a rename: a file that disappeared in this commit with the same or mostly the same lines
+        const current = files.find(entry => entry.path === filePath);
+        const removed = parentFiles.filter(entry => !files.some(file => file.path === entry.path));
+        const exact = removed.find(entry => entry.hash === current.hash);
+        if (exact) return exact;
 
-program.command('pull [remote] [branch]')
-    .description('Pull commits from remote repository')
-    .action(async (remote, branch) => {
-        const groot = new Groot();
-        await groot.pull(remote, branch);
-    });
+        let best = null;
+        let bestShared = 0;
+        for (const candidate of removed) {
+            const content = await this.getFileContent(candidate.hash);
+            if (this.isBinary(content)) continue;
+            const candidateLines = this.splitLines(content.toString('utf-8'));
+            const shared = this.mapUnchangedLines(candidateLines, lines).size;
+            if (shared * 2 >= Math.max(candidateLines.length, lines.length) && shared > bestShared) {
+                best = candidate;
+                bestShared = shared;
+            }
+        }
+        return best;
+    }
+
+    mapUnchangedLines(oldLines, newLines) {
+        const unchanged = new Map();
+        let oldLine = 0;
+        let newLine = 0;
+        for (const part of diffArrays(oldLines, newLines)) {
+            if (part.added) {
+                newLine += part.count;
+            } else if (part.removed) {
+                oldLine += part.count;
+            } else {
+                for (let i = 0; i < part.count; i++) {
+                    unchanged.set(newLine + i, oldLine + i);
+                }
+                oldLine += part.count;
+                newLine += part.count;
+            }
+        }
+        return unchanged;
+    }
+
+    async getCommitData(commithash) {
+        const { type, content } = await this.readObject(commithash);
+        return type === 'commit' ? content.toString('utf-8') : null;
+    }
+
+    async readCommit(commitHash) {
+        const commitData = await this.getCommitData(commitHash);
+        if (!commitData) {
+            throw new RevisionError(`Object ${commitHash} is not a commit`, commitHash);
+        }
+        return JSON.parse(commitData);
+    }
+
+    async getFileContent(fileHash) {
+        const { content } = await this.readObject(fileHash);
+        return content;
+    }
+
+    async resolveRevision(revision) {
+        const suffixStart = revision.search(/[~^]/);
+        const base = suffixStart === -1 ? revision : revision.substring(0, suffixStart);
+        const suffix = suffixStart === -1 ? '' : revision.substring(suffixStart);
+
+        if (!/^([~^]\d*)*$/.test(suffix)) {
+            throw new RevisionError(`Invalid revision: ${revision}`, revision);
+        }
+
+        let commitHash = await this.resolveRef(base);
+
+        for (const [, operator, count] of suffix.matchAll(/([~^])(\d*)/g)) {
+            const n = count === '' ? 1 : Number(count);
+            const commitData = await this.readCommit(commitHash);
+            const parents = this.getParents(commitData);
+
+            if (operator === '^') {
+                if (n === 0) continue;
+                if (!parents[n - 1]) {
+                    throw new RevisionError(`Revision ${revision} not found: ${commitHash.substring(0, 7)} has no parent ${n}`, revision);
+                }
+                commitHash = parents[n - 1];
+            } else {
+                for (let i = 0; i < n; i++) {
+                    const data = await this.readCommit(commitHash);
+                    if (!data.parent) {
+                        throw new RevisionError(`Revision ${revision} not found: history is too short`, revision);
+                    }
+                    commitHash = data.parent;
+                }
+            }
+        }
+
+        return commitHash;
+    }
+
+    async resolveRange(range) {
+        const [from, to] = range.split('..');
+        return {
+            from: await this.resolveRevision(from || 'HEAD'),
+            to: await this.resolveRevision(to || 'HEAD')
+        };
+    }
+
+    async resolveRef(name) {
+        const reflogMatch = name.match(/^(.*)@\{(\d+)\}$/);
+        if (reflogMatch) {
+            return this.resolveReflogEntry(reflogMatch[1] || 'HEAD', Number(reflogMatch[2]));
+        }
+
+        if (name === 'stash') {
+            return this.resolveReflogEntry('refs/stash', 0);
+        }
+
+        if (name === 'HEAD' || name === '@' || name === '') {
+            const head = await this.getCurrentHead();
+            if (!head) throw new RevisionError('HEAD does not point to a commit yet', name);
+            return this.peelToCommit(head);
+        }
+
+        const refCandidates = [
+            path.join(this.repoPath, name),
+            path.join(this.refsPath, name),
+            path.join(this.tagsPath, name),
+            path.join(this.remotePath, name)
+        ];
+        for (const refPath of name.includes('..') ? [] : refCandidates) {
+            try {
+                const stat = await fs.stat(refPath);
+                const relativePath = path.relative(this.repoPath, refPath).split(path.sep).join('/');
+                if (!stat.isFile() || !/^(refs\/|ORIG_HEAD$|MERGE_HEAD$)/.test(relativePath)) continue;
+                const hash = (await fs.readFile(refPath, { encoding: 'utf-8' })).trim();
+                if (!hash) throw new RevisionError(`${name} has no commits yet`, name);
+                return this.peelToCommit(hash);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        if (/^[0-9a-f]{4,40}$/.test(name)) {
+            return this.resolveShortHash(name);
+        }
+
+        throw new RevisionError(`Unknown revision: ${name}`, name);
+    }
+
+    async peelToCommit(hash) {
+        const { type, content } = await this.readObject(hash);
+        if (type === 'tag') {
+            return this.peelToCommit(JSON.parse(content.toString('utf-8')).object);
+        }
+        if (type !== 'commit') {
+            throw new RevisionError(`${hash.substring(0, 7)} is a ${type}, not a commit`, hash);
+        }
+        return hash;
+    }
+
+    async findObjectsByPrefix(prefix) {
+        let names = [];
+        try {
+            names = await fs.readdir(path.join(this.objectsPath, prefix.substring(0, 2)));
+        } catch {
+            // No objects share this fan-out directory
+        }
+
+        const matches = names
+            .filter(name => name.startsWith(prefix.substring(2)))
+            .map(name => prefix.substring(0, 2) + name);
+        for (const hash of await this.listPackedHashes()) {
+            if (hash.startsWith(prefix) && !matches.includes(hash)) matches.push(hash);
+        }
+        return matches;
+    }
+
+    async resolveShortHash(prefix) {
+        let matches = await this.findObjectsByPrefix(prefix);
+        if (matches.length > 1) {
+            const commits = [];
+            for (const hash of matches) {
+                if (await this.getCommitData(hash)) commits.push(hash);
+            }
+            matches = commits;
+        }
+
+        if (matches.length === 0) {
+            throw new RevisionError(`Unknown revision: ${prefix}`, prefix);
+        }
+        if (matches.length > 1) {
+            throw new RevisionError(`Short hash ${prefix} is ambiguous: ${matches.map(hash => hash.substring(0, 10)).join(', ')}`, prefix);
+        }
+        return this.peelToCommit(matches[0]);
+    }
+
+    reflogPath(refName) {
+        if (refName === 'HEAD' || refName.startsWith('refs/')) {
+            return path.join(this.logsPath, refName);
+        }
+        if (refName === 'stash') {
+            return path.join(this.logsPath, 'refs', 'stash');
+        }
+        return path.join(this.logsPath, 'refs', 'heads', refName);
+    }
+
+    async readReflog(refName) {
+        const logPath = this.reflogPath(refName);
+        try {
+            const content = await fs.readFile(logPath, { encoding: 'utf-8' });
+            return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+        } catch {
+            return [];
+        }
+    }
+
+    async appendReflog(refName, oldHash, newHash, message) {
+        const { name, email, timeStamp, timezone } = await this.getIdentity('committer');
+        const entry = { old: oldHash || null, new: newHash, name, email, timeStamp, timezone, message };
+        const logPath = this.reflogPath(refName);
+        await fs.mkdir(path.dirname(logPath), { recursive: true });
+        await fs.appendFile(logPath, JSON.stringify(entry) + '\n');
+    }
+
+    async resolveReflogEntry(refName, n) {
+        const entries = await this.readReflog(refName);
+        const entry = entries[entries.length - 1 - n];
+        if (!entry) {
+            throw new RevisionError(`Log for ${refName} only has ${entries.length} entries`, `${refName}@{${n}}`);
+        }
+        return entry.new;
+    }
+
+    async writeReflog(refName, entries) {
+        const logPath = this.reflogPath(refName);
+        if (entries.length === 0) {
+            await fs.rm(logPath, { force: true });
+            return;
+        }
+        await fs.writeFile(logPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+
+    async reflog(action, refName, options = {}) {
+        if (action === 'expire') {
+            return this.expireReflogs(refName, options);
+        }
+
+        if (action === 'delete') {
+            return this.deleteReflogEntry(refName);
+        }
+
+        // "groot reflog <ref>" is shorthand for "groot reflog show <ref>"
+        const name = action === 'show' || action === undefined ? (refName || 'HEAD') : action;
+        const entries = (await this.readReflog(name)).reverse().map((entry, n) => ({
+            selector: `${name}@{${n}}`,
+            oldHash: entry.old,
+            newHash: entry.new,
+            message: entry.message,
+            name: entry.name,
+            email: entry.email,
+            timeStamp: entry.timeStamp
+        }));
+        return { ref: name, entries };
+    }
+
+    async deleteReflogEntry(selector) {
+        const match = selector && selector.match(/^(.+)@\{(\d+)\}$/);
+        if (!match) {
+            throw new GrootError('Specify an entry to delete, e.g. HEAD@{2}', 'EUSAGE');
+        }
+
+        const [, refName, n] = match;
+        const entries = await this.readReflog(refName);
+        const position = entries.length - 1 - Number(n);
+        if (position < 0) {
+            throw new RevisionError(`Log for ${refName} only has ${entries.length} entries`, selector);
+        }
+
+        entries.splice(position, 1);
+        await this.writeReflog(refName, entries);
+        return { deleted: selector };
+    }
+
+    parseExpiry(value) {
+        const text = String(value).trim().toLowerCase();
+        if (text === 'never' || text === 'false') return -Infinity;
+        if (text === 'now' || text === 'all') return Infinity;
+
+        const midnight = new Date();
+        midnight.setHours(0, 0, 0, 0);
+        if (text === 'today' || text === 'midnight') return midnight.getTime();
+        if (text === 'yesterday') return midnight.getTime() - 86400 * 1000;
+
+        // "3 days ago", "2.weeks.ago", "1 hour", "a week ago", "last month" and a bare "14" (days)
+        const units = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800, month: 2592000, year: 31536000 };
+        const match = text.match(/^(\d+|an?|last)(?:[.\s]*(second|minute|hour|day|week|month|year)s?)?(?:[.\s]*ago)?$/);
+        if (match && (/^\d+$/.test(match[1]) || match[2])) {
+            const count = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+            return Date.now() - count * units[match[2] || 'day'] * 1000;
+        }
+
+        const date = Date.parse(value);
+        if (Number.isNaN(date)) {
+            throw new GrootError(`Invalid date: ${value} (use a date such as 2024-01-31, yesterday or "3 days ago")`, 'EBADARG');
+        }
+        return date;
+    }
+
+    async expireReflogs(refName, options = {}) {
+        const expire = this.parseExpiry(options.expire || await this.getConfig('gc.reflogExpire') || '90 days');
+        const expireUnreachable = this.parseExpiry(options.expireUnreachable || await this.getConfig('gc.reflogExpireUnreachable') || '30 days');
+
+        const refNames = refName && !options.all ? [refName] : ['HEAD', ...Object.keys(await this.getBranches()).map(branch => `refs/heads/${branch}`)];
+
+        let pruned = 0;
+        for (const name of refNames) {
+            const entries = await this.readReflog(name);
+            const tip = name === 'HEAD' ? await this.getCurrentHead() : await this.readRef(name.startsWith('refs/') ? name : `refs/heads/${name}`);
+            const reachable = tip ? await this.getAncestors(tip) : new Set();
+
+            // Entries that fell off the ref's history expire sooner than ones still reachable from it
+            const kept = entries.filter(entry => {
+                const time = Date.parse(entry.timeStamp);
+                return time >= (reachable.has(entry.new) ? expire : expireUnreachable);
+            });
+
+            if (kept.length !== entries.length) {
+                await this.writeReflog(name, kept);
+                pruned += entries.length - kept.length;
+            }
+        }
+        return { pruned };
+    }
+
+    async branch(branchName, startPoint, options = {}) {
+        if (!branchName) {
+            return this.getBranchList();
+        }
+
+        if (options.delete) {
+            return this.deleteBranch(branchName);
+        }
+
+        const startCommit = startPoint ? await this.resolveRevision(startPoint) : await this.getCurrentHead();
+
+        const branchPath = path.join(this.refsPath, branchName);
+        try {
+            await fs.mkdir(path.dirname(branchPath), { recursive: true });
+            await fs.writeFile(branchPath, startCommit || '', {flag: 'wx'});
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            throw new GrootError(`Branch ${branchName} already exists`, 'EEXIST');
+        }
+        if (startCommit) {
+            const reason = `branch: Created from ${startPoint || 'HEAD'}`;
+            await this.appendReflog(`refs/heads/${branchName}`, null, startCommit, reason);
+            this.emit('ref-update', { ref: `refs/heads/${branchName}`, oldHash: null, newHash: startCommit, reason });
+        }
+        return { name: branchName, commit: startCommit || null };
+    }
+
+    async getBranchList() {
+        const currentBranch = await this.isDetached() ? null : await this.getCurrentBranch();
+        const branches = [];
+        for (const refFile of await this.listRefFiles(this.refsPath)) {
+            const name = path.relative(this.refsPath, refFile).split(path.sep).join('/');
+            const commit = (await fs.readFile(refFile, { encoding: 'utf-8' })).trim() || null;
+            branches.push({ name, commit, current: name === currentBranch });
+        }
+        return branches.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async deleteBranch(branchName) {
+        const currentBranch = await this.getCurrentBranch();
+        if (currentBranch === branchName) {
+            throw new GrootError(`Cannot delete current branch: ${branchName}`, 'EUSAGE');
+        }
+
+        const branchPath = path.join(this.refsPath, branchName);
+        const commit = await this.readRef(`refs/heads/${branchName}`);
+        try {
+            await fs.unlink(branchPath);
+        } catch {
+            throw new RevisionError(`Branch ${branchName} not found`, branchName);
+        }
+        await fs.rm(this.reflogPath(`refs/heads/${branchName}`), { force: true });
+        return { deleted: branchName, commit };
+    }
+
+    async tag(tagName, revision, options = {}) {
+        if (options.delete) {
+            try {
+                await fs.unlink(path.join(this.tagsPath, tagName));
+            } catch {
+                throw new RevisionError(`Tag ${tagName} not found`, tagName);
+            }
+            return { deleted: tagName };
+        }
+
+        if (!tagName || options.list) {
+            return this.listTags(options.list === true ? tagName : options.list || tagName);
+        }
+
+        if (/[\s~^:?*[\\]/.test(tagName) || tagName.includes('..') || tagName.startsWith('-')) {
+            throw new GrootError(`Invalid tag name: ${tagName}`, 'EBADREF');
+        }
+
+        const commitHash = await this.resolveRevision(revision || 'HEAD');
+
+        const tagPath = path.join(this.tagsPath, tagName);
+        if (!options.force && await this.readRef(`refs/tags/${tagName}`)) {
+            throw new GrootError(`Tag ${tagName} already exists`, 'EEXIST');
+        }
+
+        let target = commitHash;
+        if (options.annotate || options.message) {
+            if (!options.message) {
+                throw new GrootError('Annotated tags need a message (-m)', 'EUSAGE');
+            }
+
+            const tagData = {
+                object: commitHash,
+                type: 'commit',
+                tag: tagName,
+                tagger: await this.getIdentity('committer'),
+                timeStamp: new Date().toISOString(),
+                message: options.message
+            };
+            target = await this.writeObject('tag', JSON.stringify(tagData));
+        }
+
+        await fs.mkdir(path.dirname(tagPath), { recursive: true });
+        await fs.writeFile(tagPath, target);
+        return { name: tagName, commit: commitHash, hash: target, annotated: target !== commitHash };
+    }
+
+    async listTags(pattern) {
+        const tags = await this.getTags();
+        const names = Object.keys(tags).sort();
+        const list = [];
+        for (const name of pattern ? micromatch(names, pattern) : names) {
+            const { type, content } = await this.readObject(tags[name]);
+            const message = type === 'tag' ? JSON.parse(content.toString('utf-8')).message : null;
+            list.push({ name, hash: tags[name], annotated: type === 'tag', message });
+        }
+        return list;
+    }
+
+    async getDecorations() {
+        const decorations = new Map();
+        const addLabel = (hash, label) => {
+            if (!hash) return;
+            if (!decorations.has(hash)) decorations.set(hash, []);
+            decorations.get(hash).push(label);
+        };
+
+        const head = await this.getCurrentHead();
+        const detached = await this.isDetached();
+        const currentBranch = await this.getCurrentBranch();
+        if (detached) {
+            addLabel(head, { kind: 'head', name: 'HEAD' });
+        }
+
+        for (const [branchName, hash] of Object.entries(await this.getBranches())) {
+            addLabel(hash, { kind: 'branch', name: branchName, head: !detached && branchName === currentBranch });
+        }
+
+        for (const refFile of await this.listRefFiles(this.remotePath)) {
+            const hash = (await fs.readFile(refFile, { encoding: 'utf-8' })).trim();
+            addLabel(hash, { kind: 'remote', name: path.relative(this.remotePath, refFile).split(path.sep).join('/') });
+        }
+
+        for (const [tagName, hash] of Object.entries(await this.getTags())) {
+            try {
+                addLabel(await this.peelToCommit(hash), { kind: 'tag', name: tagName });
+            } catch {
+                // Tags pointing at missing objects are skipped
+            }
+        }
+
+        return decorations;
+    }
+
+    labelText(label) {
+        if (label.kind === 'head') return 'HEAD';
+        if (label.kind === 'tag') return `tag: ${label.name}`;
+        if (label.kind === 'remote') return label.name;
+        return label.head ? `HEAD -> ${label.name}` : label.name;
+    }
+
+    async checkout(target, options = {}) {
+        const currentBranch = await this.getCurrentBranch();
+        if (target === currentBranch && !await this.isDetached() && !options.force) {
+            return { branch: target, commit: await this.getCurrentHead(), detached: false, unchanged: true };
+        }
+
+        const branchPath = path.join(this.refsPath, target);
+        let targetCommit = null;
+        let isBranch = false;
+
+        try {
+            targetCommit = (await fs.readFile(branchPath, { encoding: 'utf-8' })).trim();
+            isBranch = true;
+        } catch {
+            targetCommit = await this.resolveRevision(target);
+        }
+
+        const currentCommit = await this.getCurrentHead();
+        const currentFiles = currentCommit ? await this.getCommitFiles(currentCommit) : [];
+        const targetFiles = targetCommit ? await this.getCommitFiles(targetCommit) : [];
+
+        if (!options.force) {
+            const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+            if (index.length > 0) {
+                throw new LocalChangesError(index.map(entry => entry.path), 'You have staged changes that would be lost:', 'Commit them first, or use --force to discard them.');
+            }
+
+            await this.assertNoLocalChanges(this.changedPaths(currentFiles, targetFiles), currentFiles);
+        }
+
+        await this.updateWorkingTree(currentFiles, targetFiles, { force: options.force });
+        await fs.writeFile(this.indexPath, JSON.stringify([]));
+        await this.clearMergeState();
+
+        const from = await this.isDetached() ? (currentCommit || '').substring(0, 7) : currentBranch;
+        const reason = `checkout: moving from ${from} to ${target}`;
+        await this.writeHead(isBranch ? `ref: refs/heads/${target}` : targetCommit, reason);
+
+        const result = { branch: isBranch ? target : null, commit: targetCommit, detached: !isBranch, unchanged: false };
+        this.emit('checkout', result);
+        await this.runHook('post-checkout', [currentCommit || NULL_HASH, targetCommit || NULL_HASH, '1']);
+        return result;
+    }
+
+    async stash(action = 'push', stashRef, options = {}) {
+        const actions = {
+            push: () => this.stashPush(options),
+            save: () => this.stashPush(options),
+            list: () => this.stashList(),
+            show: () => this.stashShow(stashRef),
+            apply: () => this.stashApply(stashRef),
+            pop: () => this.stashApply(stashRef, { drop: true }),
+            drop: () => this.stashDrop(stashRef),
+            clear: () => this.stashClear()
+        };
+
+        if (!actions[action]) {
+            throw new GrootError(`Unknown stash action: ${action}`, 'EUSAGE');
+        }
+        return actions[action]();
+    }
+
+    async stashPush(options = {}) {
+        const headCommit = await this.getCurrentHead();
+        if (!headCommit) {
+            throw new RevisionError('You do not have the initial commit yet', 'HEAD');
+        }
+
+        const { index, headFiles, indexFiles } = await this.readStagingState();
+        const unresolved = index.filter(entry => entry.conflict).map(entry => entry.path);
+        if (unresolved.length > 0) {
+            throw new ConflictError('Cannot stash while there are unresolved conflicts', unresolved);
+        }
+
+        const workingFiles = await this.writeWorkingFiles(indexFiles.map(file => file.path));
+        const untrackedPaths = [];
+        if (options.includeUntracked) {
+            for (const file of await this.getAllFiles(this.workingDir, [], await this.getIgnoreMatcher())) {
+                const filePath = this.toRepoPath(file);
+                if (!indexFiles.some(item => item.path === filePath)) {
+                    untrackedPaths.push(filePath);
+                }
+            }
+        }
+
+        // Nothing to save is not an error; callers get null instead of a stash entry
+        if (index.length === 0 && untrackedPaths.length === 0 && this.changedPaths(indexFiles, workingFiles).length === 0) {
+            return null;
+        }
+
+        const headData = await this.readCommit(headCommit);
+        const branchName = await this.getCurrentBranch();
+        const subject = `${headCommit.substring(0, 7)} ${headData.message.split('\n')[0]}`;
+
+        const indexCommit = await this.writeCommit(await this.writeTree(indexFiles), [headCommit], `index on ${branchName}: ${subject}`);
+        const parents = [headCommit, indexCommit];
+        if (untrackedPaths.length > 0) {
+            const untrackedFiles = await this.writeWorkingFiles(untrackedPaths);
+            parents.push(await this.writeCommit(await this.writeTree(untrackedFiles), [], `untracked files on ${branchName}: ${subject}`));
+        }
+
+        const message = options.message ? `On ${branchName}: ${options.message}` : `WIP on ${branchName}: ${subject}`;
+        const stashCommit = await this.writeCommit(await this.writeTree(workingFiles), parents, message);
+
+        const previous = await this.readRef('refs/stash');
+        await this.writeRef('refs/stash', stashCommit);
+        await this.appendReflog('refs/stash', previous, stashCommit, message);
+
+        await this.updateWorkingTree(workingFiles, headFiles, { force: true });
+        for (const filePath of untrackedPaths) {
+            await this.removeWorkingFile(filePath);
+        }
+        await fs.writeFile(this.indexPath, JSON.stringify([]));
+
+        return { stash: 'stash@{0}', commit: stashCommit, message };
+    }
+
+    async writeWorkingFiles(paths) {
+        const files = [];
+        for (const filePath of paths) {
+            try {
+                const content = await fs.readFile(path.join(this.workingDir, filePath));
+                files.push({ path: filePath, hash: await this.writeObject('blob', content) });
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return files;
+    }
+
+    parseStashIndex(stashRef) {
+        if (stashRef === undefined) return 0;
+        const match = String(stashRef).match(/^(?:stash@\{(\d+)\}|(\d+))$/);
+        if (!match) {
+            throw new RevisionError(`Not a stash reference: ${stashRef}`, stashRef);
+        }
+        return Number(match[1] ?? match[2]);
+    }
+
+    async getStashEntry(stashRef) {
+        const n = this.parseStashIndex(stashRef);
+        const entries = await this.readReflog('refs/stash');
+        const entry = entries[entries.length - 1 - n];
+        if (!entry) {
+            throw new RevisionError(`stash@{${n}} does not exist`, `stash@{${n}}`);
+        }
+        return { n, entry, entries };
+    }
+
+    async stashList() {
+        const entries = await this.readReflog('refs/stash');
+        return entries.reverse().map((entry, n) => ({ stash: `stash@{${n}}`, commit: entry.new, message: entry.message }));
+    }
+
+    async stashShow(stashRef) {
+        const { n, entry } = await this.getStashEntry(stashRef);
+        const stashData = await this.readCommit(entry.new);
+        const changes = this.compareSnapshots(await this.getCommitFiles(stashData.parent), await this.getCommitFiles(entry.new));
+        return { stash: `stash@{${n}}`, commit: entry.new, message: entry.message, changes: await this.describeChanges(changes) };
+    }
+
+    async stashApply(stashRef, options = {}) {
+        const stash = await this.getStashEntry(stashRef);
+
+        const stashCommit = stash.entry.new;
+        const stashData = await this.readCommit(stashCommit);
+        const [baseCommit, , untrackedCommit] = this.getParents(stashData);
+
+        const { index, headFiles, indexFiles } = await this.readStagingState();
+        const baseFiles = await this.getCommitFiles(baseCommit);
+        const stashFiles = await this.getCommitFiles(stashCommit);
+        const untrackedFiles = untrackedCommit ? await this.getCommitFiles(untrackedCommit) : [];
+
+        for (const file of untrackedFiles) {
+            if (await this.hashWorkingFile(file.path) !== null) {
+                throw new GrootError(`${file.path} already exists, no checkout. Could not restore untracked files from stash`, 'EEXIST');
+            }
+        }
+
+        const result = await this.mergeTrees(baseFiles, indexFiles, stashFiles, 'Stashed changes');
+        await this.assertNoLocalChanges(result.changes.map(change => change.path), indexFiles);
+
+        for (const change of result.changes) {
+            const tracked = indexFiles.some(file => file.path === change.path);
+            if (change.deleted) {
+                await this.removeWorkingFile(change.path);
+                this.stageEntry(index, headFiles, change.path, null);
+            } else if (change.conflict) {
+                await this.writeWorkingFile(change.path, change.content);
+                const existingIndex = index.findIndex(item => item.path === change.path);
+                if (existingIndex !== -1) index.splice(existingIndex, 1);
+                index.push({ path: change.path, hash: null, conflict: true });
+            } else {
+                await this.writeWorkingFile(change.path, await this.getFileContent(change.hash));
+                if (!tracked) {
+                    this.stageEntry(index, headFiles, change.path, change.hash);
+                }
+            }
+        }
+
+        for (const file of untrackedFiles) {
+            await this.writeWorkingFile(file.path, await this.getFileContent(file.hash));
+        }
+        await fs.writeFile(this.indexPath, JSON.stringify(index));
+
+        const conflicts = result.changes.filter(change => change.conflict).map(change => change.path);
+        if (conflicts.length > 0) {
+            throw new ConflictError('Conflicts while applying stash. Resolve them and stage with "groot add <file>". The stash entry is kept.', conflicts);
+        }
+
+        return {
+            stash: `stash@{${stash.n}}`,
+            commit: stash.entry.new,
+            message: stash.entry.message,
+            dropped: options.drop ? await this.stashDrop(stashRef) : null
+        };
+    }
+
+    async stashDrop(stashRef) {
+        const stash = await this.getStashEntry(stashRef);
+
+        const entries = stash.entries.filter(entry => entry !== stash.entry);
+        if (entries.length === 0) {
+            await this.stashClear();
+        } else {
+            await this.writeReflog('refs/stash', entries);
+            await this.writeRef('refs/stash', entries[entries.length - 1].new);
+        }
+        return { stash: `stash@{${stash.n}}`, commit: stash.entry.new };
+    }
+
+    async stashClear() {
+        const cleared = (await this.readReflog('refs/stash')).length;
+        await fs.rm(path.join(this.repoPath, 'refs', 'stash'), { force: true });
+        await fs.rm(this.reflogPath('refs/stash'), { force: true });
+        return { cleared };
+    }
+
+    async getStatus() {
+        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+        const currentCommit = await this.getCurrentHead();
+        const detached = await this.isDetached();
+
+        const conflicts = index.filter(file => file.conflict).map(file => file.path);
+        const headFiles = currentCommit ? await this.getCommitFiles(currentCommit) : [];
+        const headPaths = new Set(headFiles.map(file => file.path));
+        const staged = index
+            .filter(file => !file.conflict)
+            .map(file => ({ path: file.path, status: file.deleted ? 'D' : headPaths.has(file.path) ? 'M' : 'A' }));
+
+        const indexFiles = this.applyIndex(headFiles, index);
+        const workingPaths = new Set();
+        const untracked = [];
+        const unstaged = [];
+
+        for (const file of await this.getAllFiles(this.workingDir, [], await this.getIgnoreMatcher())) {
+            const relativePath = this.toRepoPath(file);
+            workingPaths.add(relativePath);
+
+            const indexFile = indexFiles.find(item => item.path === relativePath);
+            if (!indexFile) {
+                untracked.push(relativePath);
+            } else if (!conflicts.includes(relativePath)) {
+                if (await this.hashWorkingFile(relativePath) !== indexFile.hash) {
+                    unstaged.push({ path: relativePath, status: 'M' });
+                }
+            }
+        }
+
+        // Tracked files inside ignored directories are not walked, so look at them directly
+        for (const file of indexFiles) {
+            if (workingPaths.has(file.path)) continue;
+            const workingHash = await this.hashWorkingFile(file.path);
+            if (!workingHash) {
+                unstaged.push({ path: file.path, status: 'D' });
+            } else if (workingHash !== file.hash && !conflicts.includes(file.path)) {
+                unstaged.push({ path: file.path, status: 'M' });
+            }
+        }
+
+        return {
+            branch: detached ? null : await this.getCurrentBranch(),
+            head: currentCommit,
+            detached,
+            merging: Boolean(await this.getMergeHead()),
+            bisecting: Boolean(await this.readBisectState()),
+            applyingPatches: Boolean(await this.readAmState()),
+            staged,
+            unstaged,
+            untracked,
+            conflicts,
+            clean: index.length === 0 && unstaged.length === 0 && untracked.length === 0
+        };
+    }
+
+    async status() {
+        return this.getStatus();
+    }
+
+    async getAllFiles(dir, fileList = [], isIgnored = null) {
+        const files = await fs.readdir(dir);
+        for (const file of files) {
+            const filePath = path.join(dir, file);
+            const stat = await fs.stat(filePath);
+            const ignored = isIgnored && isIgnored(this.toRepoPath(filePath), stat.isDirectory());
+            if (stat.isDirectory()) {
+                if (file !== '.groot' && !ignored) {
+                    await this.getAllFiles(filePath, fileList, isIgnored);
+                }
+            } else if (!ignored) {
+                fileList.push(filePath);
+            }
+        }
+        return fileList;
+    }
+
+    async hashWorkingFile(filePath) {
+        try {
+            const content = await fs.readFile(path.join(this.workingDir, filePath));
+            return this.hashObject(content);
+        } catch {
+            return null;
+        }
+    }
+
+    async findLocalChanges(paths, trackedFiles) {
+        const changed = [];
+        for (const filePath of paths) {
+            const trackedFile = trackedFiles.find(file => file.path === filePath);
+            const currentHash = await this.hashWorkingFile(filePath);
+            if ((trackedFile ? trackedFile.hash : null) !== currentHash) {
+                changed.push(filePath);
+            }
+        }
+        return changed;
+    }
+
+    async writeWorkingFile(filePath, content) {
+        const fullPath = path.join(this.workingDir, filePath);
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, content);
+    }
+
+    async removeWorkingFile(filePath) {
+        await fs.rm(path.join(this.workingDir, filePath), { force: true });
+
+        let dir = path.dirname(filePath);
+        while (dir !== '.') {
+            try {
+                await fs.rmdir(path.join(this.workingDir, dir));
+            } catch {
+                break;
+            }
+            dir = path.dirname(dir);
+        }
+    }
+
+    async updateWorkingTree(fromFiles, toFiles, options = {}) {
+        for (const file of toFiles) {
+            const previous = fromFiles.find(item => item.path === file.path);
+            const outdated = options.force
+                ? await this.hashWorkingFile(file.path) !== file.hash
+                : !previous || previous.hash !== file.hash;
+            if (outdated) {
+                await this.writeWorkingFile(file.path, await this.getFileContent(file.hash));
+            }
+        }
+
+        for (const file of fromFiles) {
+            if (!toFiles.some(item => item.path === file.path)) {
+                await this.removeWorkingFile(file.path);
+            }
+        }
+    }
+
+    async graph(options = {}) {
+        const format = options.format || 'text';
+        if (!['text', 'dot', 'mermaid'].includes(format)) {
+            throw new GrootError(`Unknown graph format: ${format} (use text, dot or mermaid)`, 'EUSAGE');
+        }
+
+        const head = await this.getCurrentHead();
+        const starts = options.all ? await this.getRefTips() : [head].filter(Boolean);
+        const commits = starts.length > 0 ? await this.walkCommits(starts, new Set(), 'topo') : [];
+        const decorations = await this.getDecorations();
+
+        if (format === 'dot') {
+            return { format, commits: commits.length, text: this.renderDot(commits, decorations) };
+        }
+        if (format === 'mermaid') {
+            return { format, commits: commits.length, text: this.renderMermaid(commits, decorations) };
+        }
+        return { format, commits: commits.length, rows: this.drawGraph(commits, decorations) };
+    }
+
+    drawGraph(commits, decorations) {
+        // Each row is a line of lane characters, with the commit drawn on it if there is one
+        const rows = [];
+        const laneCells = lanes => lanes.flatMap((lane, i) => (i === 0 ? [] : [' ']).concat(lane ? '|' : ' '));
+        const render = cells => cells.join('').trimEnd();
+
+        // Each lane holds the commit it is waiting to draw next
+        const lanes = [];
+        for (const { hash, commitData } of commits) {
+            let column = lanes.indexOf(hash);
+            if (column === -1) {
+                column = lanes.indexOf(null);
+                if (column === -1) column = lanes.length;
+                lanes[column] = hash;
+            }
+
+            // Other lanes waiting for this commit are fork edges that join here
+            const joining = lanes.map((lane, i) => (i > column && lane === hash ? i : -1)).filter(i => i !== -1);
+            if (joining.length > 0) {
+                const cells = laneCells(lanes);
+                for (const i of joining) {
+                    cells[2 * i] = ' ';
+                    cells[2 * i - 1] = '/';
+                    lanes[i] = null;
+                }
+                rows.push({ graph: render(cells), commit: null, labels: [] });
+            }
+
+            const cells = laneCells(lanes);
+            cells[2 * column] = '*';
+            rows.push({ graph: render(cells), commit: this.toCommitObject(hash, commitData), labels: decorations.get(hash) || [] });
+
+            // Extra parents of a merge open (or reuse) lanes to the side
+            const [firstParent, ...mergedParents] = this.getParents(commitData);
+            lanes[column] = firstParent || null;
+            if (mergedParents.length > 0) {
+                const openedLanes = new Set();
+                const targetLanes = mergedParents.map(parent => {
+                    let lane = lanes.indexOf(parent);
+                    if (lane === -1) {
+                        lane = lanes.indexOf(null, column + 1);
+                        if (lane === -1) lane = lanes.length;
+                        lanes[lane] = parent;
+                        openedLanes.add(lane);
+                    }
+                    return lane;
+                });
+
+                const mergeCells = laneCells(lanes);
+                openedLanes.forEach(lane => {
+                    mergeCells[2 * lane] = ' ';
+                });
+                for (const lane of targetLanes) {
+                    if (lane > column) mergeCells[2 * column + 1] = '\\';
+                    if (lane < column) mergeCells[2 * column - 1] = '/';
+                    // An edge to a lane further right passes over the lanes in between
+                    for (let crossed = column + 1; crossed < lane; crossed++) {
+                        mergeCells[2 * crossed] = ' ';
+                        mergeCells[2 * crossed + 1] = '\\';
+                    }
+                }
+                rows.push({ graph: render(mergeCells), commit: null, labels: [] });
+
+                // ...and then drops into its lane on a row where the crossed lanes show again
+                const distantLanes = targetLanes.filter(lane => lane > column + 1);
+                if (distantLanes.length > 0) {
+                    const landingCells = laneCells(lanes);
+                    for (const lane of distantLanes) {
+                        if (openedLanes.has(lane)) landingCells[2 * lane] = ' ';
+                        landingCells[2 * lane - 1] = '\\';
+                    }
+                    rows.push({ graph: render(landingCells), commit: null, labels: [] });
+                }
+            }
+
+            while (lanes.length > 0 && lanes[lanes.length - 1] === null) {
+                lanes.pop();
+            }
+        }
+        return rows;
+    }
+
+    renderDot(commits, decorations) {
+        const escape = text => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        const included = new Set(commits.map(({ hash }) => hash));
+        const lines = ['digraph groot {', '    node [shape=box, fontname="monospace"];'];
+
+        for (const { hash, commitData } of commits) {
+            const subject = commitData.message.split('\n')[0];
+            lines.push(`    "${hash}" [label="${hash.substring(0, 7)}\\n${escape(subject)}"];`);
+            this.getParents(commitData).forEach((parent, i) => {
+                if (included.has(parent)) {
+                    lines.push(`    "${hash}" -> "${parent}"${i > 0 ? ' [style=dashed]' : ''};`);
+                }
+            });
+        }
+
+        for (const [hash, labels] of decorations) {
+            if (!included.has(hash)) continue;
+            for (const label of labels) {
+                const text = escape(this.labelText(label));
+                lines.push(`    "ref:${text}" [label="${text}", shape=ellipse, style=filled, fillcolor="${label.kind === 'tag' ? 'lightyellow' : 'lightgreen'}"];`);
+                lines.push(`    "ref:${text}" -> "${hash}" [style=dotted, arrowhead=none];`);
+            }
+        }
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    renderMermaid(commits, decorations) {
+        const escape = text => String(text).replace(/"/g, '#quot;');
+        const included = new Set(commits.map(({ hash }) => hash));
+        const lines = ['flowchart TD'];
+
+        for (const { hash, commitData } of commits) {
+            const subject = commitData.message.split('\n')[0];
+            lines.push(`    c${hash.substring(0, 12)}["${hash.substring(0, 7)} ${escape(subject)}"]`);
+            this.getParents(commitData).forEach((parent, i) => {
+                if (included.has(parent)) {
+                    lines.push(`    c${hash.substring(0, 12)} ${i > 0 ? '-.->' : '-->'} c${parent.substring(0, 12)}`);
+                }
+            });
+        }
+
+        let refCount = 0;
+        for (const [hash, labels] of decorations) {
+            if (!included.has(hash)) continue;
+            for (const label of labels) {
+                lines.push(`    r${refCount}(["${escape(this.labelText(label))}"]) --- c${hash.substring(0, 12)}`);
+                refCount++;
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    async merge(branchName, options = {}) {
+        if (options.abort) {
+            return this.abortMerge();
+        }
+
+        if (options.continue) {
+            return this.continueMerge(options);
+        }
+
+        if (!branchName) {
+            throw new GrootError('Specify a branch to merge', 'EUSAGE');
+        }
+
+        const currentBranch = await this.getCurrentBranch();
+        if (currentBranch === branchName) {
+            throw new MergeError(`Cannot merge ${branchName} into itself`);
+        }
+
+        const branchCommit = await this.resolveRevision(branchName);
+        return this.mergeCommit(branchCommit, branchName, `merge ${branchName}`, options);
+    }
+
+    async mergeCommit(theirCommit, label, action = `merge ${label}`, options = {}) {
+        if (await this.getMergeHead()) {
+            throw new MergeError('A merge is already in progress. Use "groot merge --continue" or "groot merge --abort"');
+        }
+
+        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+        if (index.length > 0) {
+            throw new MergeError('You have staged changes. Commit them before merging.');
+        }
+
+        const currentBranch = await this.getCurrentBranch();
+        const currentCommit = await this.getCurrentHead();
+        const baseCommit = currentCommit ? await this.findMergeBase(currentCommit, theirCommit) : null;
+
+        if (baseCommit === theirCommit) {
+            return { status: 'up-to-date', branch: currentBranch, label, commit: currentCommit };
+        }
+
+        const currentFiles = currentCommit ? await this.getCommitFiles(currentCommit) : [];
+        const theirFiles = await this.getCommitFiles(theirCommit);
+
+        if (!currentCommit || baseCommit === currentCommit) {
+            await this.assertNoLocalChanges(this.changedPaths(currentFiles, theirFiles), currentFiles);
+
+            await this.updateHead(theirCommit, `${action}: Fast-forward`);
+            await this.updateWorkingTree(currentFiles, theirFiles);
+            await this.runHook('post-merge', ['0']);
+            return { status: 'fast-forward', branch: currentBranch, label, commit: theirCommit };
+        }
+
+        const baseFiles = baseCommit ? await this.getCommitFiles(baseCommit) : [];
+        const result = await this.mergeTrees(baseFiles, currentFiles, theirFiles, label);
+
+        await this.assertNoLocalChanges(result.changes.map(change => change.path), currentFiles);
+
+        await fs.writeFile(this.origHeadPath, currentCommit);
+        await fs.writeFile(this.mergeHeadPath, theirCommit);
+        await fs.writeFile(this.mergeMsgPath, `Merge branch '${label}' into ${currentBranch}`);
+
+        await this.applyMergeChanges(result.changes);
+
+        const conflicts = result.changes
+            .filter(change => change.conflict)
+            .map(change => ({ path: change.path, reason: change.reason || null }));
+        if (conflicts.length > 0) {
+            throw new ConflictError('Merge conflicts detected. Resolve conflicts, stage them with "groot add <file>", then run "groot merge --continue".', conflicts);
+        }
+
+        // A failing hook leaves the merge in progress for "groot merge --continue"
+        const message = await fs.readFile(this.mergeMsgPath, { encoding: 'utf-8' });
+        const { hash } = await this.commit(message, { reason: action, verify: options.verify });
+        await this.runHook('post-merge', ['0']);
+        return { status: 'merged', branch: currentBranch, label, commit: hash };
+    }
+
+    async applyMergeChanges(changes) {
+        const mergeIndex = [];
+        for (const change of changes) {
+            if (change.deleted) {
+                await this.removeWorkingFile(change.path);
+                mergeIndex.push({ path: change.path, hash: null, deleted: true });
+            } else if (change.conflict) {
+                await this.writeWorkingFile(change.path, change.content);
+                mergeIndex.push({ path: change.path, hash: null, conflict: true });
+            } else {
+                await this.writeWorkingFile(change.path, await this.getFileContent(change.hash));
+                mergeIndex.push({ path: change.path, hash: change.hash });
+            }
+        }
+        await fs.writeFile(this.indexPath, JSON.stringify(mergeIndex));
+    }
+
+    async continueMerge(options = {}) {
+        if (!await this.getMergeHead()) {
+            throw new MergeError('No merge in progress');
+        }
+
+        return this.commit(await fs.readFile(this.mergeMsgPath, { encoding: 'utf-8' }), { verify: options.verify });
+    }
+
+    async abortMerge() {
+        if (!await this.getMergeHead()) {
+            throw new MergeError('No merge in progress');
+        }
+
+        const origHead = (await fs.readFile(this.origHeadPath, { encoding: 'utf-8' })).trim();
+        const origFiles = await this.getCommitFiles(origHead);
+        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+
+        for (const entry of index) {
+            const origFile = origFiles.find(file => file.path === entry.path);
+            if (origFile) {
+                await this.writeWorkingFile(entry.path, await this.getFileContent(origFile.hash));
+            } else {
+                await this.removeWorkingFile(entry.path);
+            }
+        }
+
+        await fs.writeFile(this.indexPath, JSON.stringify([]));
+        await this.clearMergeState();
+        return { aborted: true, commit: origHead };
+    }
+
+    async getMergeHead() {
+        try {
+            return (await fs.readFile(this.mergeHeadPath, { encoding: 'utf-8' })).trim();
+        } catch {
+            return null;
+        }
+    }
+
+    async clearMergeState() {
+        await fs.rm(this.mergeHeadPath, { force: true });
+        await fs.rm(this.mergeMsgPath, { force: true });
+        await fs.rm(this.cherryPickHeadPath, { force: true });
+        await fs.rm(this.revertHeadPath, { force: true });
+    }
+
+    async reset(revision = 'HEAD', options = {}) {
+        const mode = options.hard ? 'hard' : options.soft ? 'soft' : 'mixed';
+
+        const targetCommit = await this.resolveRevision(revision);
+
+        if (mode === 'soft' && await this.getMergeHead()) {
+            throw new MergeError('Cannot do a soft reset in the middle of a merge');
+        }
+
+        await this.resetTo(targetCommit, mode, `reset: moving to ${revision}`);
+
+        const targetData = await this.readCommit(targetCommit);
+        return { mode, commit: this.toCommitObject(targetCommit, targetData) };
+    }
+
+    async resetTo(targetCommit, mode, reason) {
+        const { index, headFiles, indexFiles } = await this.readStagingState();
+        const currentCommit = await this.getCurrentHead();
+        const targetFiles = await this.getCommitFiles(targetCommit);
+
+        if (currentCommit) {
+            await fs.writeFile(this.origHeadPath, currentCommit);
+        }
+        await this.updateHead(targetCommit, reason);
+
+        // The index is an overlay on HEAD, so a soft reset re-expresses it against the new HEAD
+        const newIndex = [];
+        if (mode === 'soft') {
+            const stagedFiles = new Map(indexFiles.map(file => [file.path, file.hash]));
+            for (const filePath of this.changedPaths(targetFiles, indexFiles)) {
+                this.stageEntry(newIndex, targetFiles, filePath, stagedFiles.get(filePath) || null);
+            }
+        }
+
+        if (mode === 'hard') {
+            const trackedFiles = [...indexFiles];
+            for (const file of [...headFiles, ...index]) {
+                if (!trackedFiles.some(item => item.path === file.path)) {
+                    trackedFiles.push({ path: file.path, hash: null });
+                }
+            }
+            await this.updateWorkingTree(trackedFiles, targetFiles, { force: true });
+        }
+
+        await fs.writeFile(this.indexPath, JSON.stringify(newIndex));
+        if (mode !== 'soft') {
+            await this.clearMergeState();
+            await fs.rm(this.sequencerPath, { force: true });
+        }
+    }
+
+    async cherryPick(revisions = [], options = {}) {
+        return this.sequence('cherry-pick', revisions, options);
+    }
+
+    async revert(revisions = [], options = {}) {
+        return this.sequence('revert', revisions, options);
+    }
+
+    async sequence(action, revisions, options = {}) {
+        if (options.abort) {
+            return this.abortSequence(action);
+        }
+
+        if (options.continue) {
+            return this.continueSequence(action);
+        }
+
+        if (revisions.length === 0) {
+            throw new GrootError(`Specify a commit to ${action}`, 'EUSAGE');
+        }
+
+        if (await this.getMergeHead() || await this.readSequencer()) {
+            throw new MergeError('A merge, cherry-pick or revert is already in progress');
+        }
+
+        const headCommit = await this.getCurrentHead();
+        if (!headCommit) {
+            throw new RevisionError('You do not have the initial commit yet', 'HEAD');
+        }
+
+        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+        if (index.length > 0) {
+            throw new MergeError(`You have staged changes. Commit them before running ${action}.`);
+        }
+
+        const todo = [];
+        for (const revision of revisions) {
+            todo.push(await this.resolveRevision(revision));
+        }
+
+        const mainline = options.mainline ? Number(options.mainline) : null;
+        await this.writeSequencer({ action, head: headCommit, mainline, todo });
+        try {
+            return { action, steps: await this.runSequence() };
+        } catch (error) {
+            // Nothing was applied, so there is no sequence to continue or abort
+            if (!(error instanceof ConflictError) && await this.getCurrentHead() === headCommit) {
+                await fs.rm(this.sequencerPath, { force: true });
+            }
+            throw error;
+        }
+    }
+
+    async readSequencer() {
+        try {
+            return JSON.parse(await fs.readFile(this.sequencerPath, { encoding: 'utf-8' }));
+        } catch {
+            return null;
+        }
+    }
+
+    async writeSequencer(sequencer) {
+        await fs.writeFile(this.sequencerPath, JSON.stringify(sequencer));
+    }
+
+    async runSequence(steps = []) {
+        let sequencer = await this.readSequencer();
+        while (sequencer && sequencer.todo.length > 0) {
+            const [commitHash, ...rest] = sequencer.todo;
+            const step = await this.pickCommit(commitHash, sequencer.action, sequencer.mainline);
+
+            sequencer = { ...sequencer, todo: rest };
+            await this.writeSequencer(sequencer);
+            if (step.status === 'conflict') {
+                throw new ConflictError(`Could not apply ${commitHash.substring(0, 7)} ${step.subject}. Resolve conflicts, stage them with "groot add <file>", then run "groot ${sequencer.action} --continue".`, step.conflicts);
+            }
+            steps.push(step);
+        }
+        await fs.rm(this.sequencerPath, { force: true });
+        return steps;
+    }
+
+    async pickCommit(commitHash, action, mainline) {
+        const revert = action === 'revert';
+        const commitData = await this.readCommit(commitHash);
+        const subject = commitData.message.split('\n')[0];
+        const applied = await this.applyCommit(commitHash, { revert, mainline });
+        if (applied.status === 'empty') return { commit: commitHash, subject, status: 'empty', hash: null };
+
+        const message = revert ? `Revert "${subject}"\n\nThis reverts commit ${commitHash}.` : commitData.message;
+        await fs.writeFile(revert ? this.revertHeadPath : this.cherryPickHeadPath, commitHash);
+        await fs.writeFile(this.mergeMsgPath, message);
+        if (applied.status === 'conflict') return { commit: commitHash, subject, status: 'conflict', conflicts: applied.conflicts };
+
+        const { hash } = await this.commit(message, { author: revert ? undefined : commitData.author, reason: action, verify: false });
+        return { commit: commitHash, subject, status: 'picked', hash };
+    }
+
+    async applyCommit(commitHash, options = {}) {
+        const commitData = await this.readCommit(commitHash);
+        const parents = this.getParents(commitData);
+        const shortHash = commitHash.substring(0, 7);
+
+        let parentCommit = parents[0] || null;
+        if (parents.length > 1) {
+            if (!options.mainline) {
+                throw new GrootError(`Commit ${shortHash} is a merge but no --mainline option was given`, 'EUSAGE');
+            }
+            parentCommit = parents[options.mainline - 1];
+            if (!parentCommit) {
+                throw new RevisionError(`Commit ${shortHash} does not have parent ${options.mainline}`, commitHash);
+            }
+        }
+
+        const subject = commitData.message.split('\n')[0];
+        const commitFiles = await this.getCommitFiles(commitHash);
+        const parentFiles = parentCommit ? await this.getCommitFiles(parentCommit) : [];
+        const currentFiles = await this.getCommitFiles(await this.getCurrentHead());
+
+        // A revert is a cherry-pick of the inverse change: swap the base and the picked side
+        const label = options.revert ? `parent of ${shortHash} (${subject})` : `${shortHash} (${subject})`;
+        const result = options.revert
+            ? await this.mergeTrees(commitFiles, currentFiles, parentFiles, label)
+            : await this.mergeTrees(parentFiles, currentFiles, commitFiles, label);
+
+        if (result.changes.length === 0) {
+            return { status: 'empty', conflicts: [] };
+        }
+
+        await this.assertNoLocalChanges(result.changes.map(change => change.path), currentFiles);
+        await this.applyMergeChanges(result.changes);
+
+        const conflicts = result.changes
+            .filter(change => change.conflict)
+            .map(change => ({ path: change.path, reason: change.reason || null }));
+        return { status: conflicts.length > 0 ? 'conflict' : 'clean', conflicts };
+    }
+
+    async continueSequence(action) {
+        const sequencer = await this.readSequencer();
+        if (!sequencer || sequencer.action !== action) {
+            throw new MergeError(`No ${action} in progress`);
+        }
+
+        const steps = [];
+        const pickedCommit = await this.readRef(action === 'revert' ? 'REVERT_HEAD' : 'CHERRY_PICK_HEAD');
+        if (pickedCommit) {
+            const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+            const unresolved = index.filter(entry => entry.conflict).map(entry => entry.path);
+            if (unresolved.length > 0) {
+                throw new ConflictError('Cannot continue with unresolved conflicts', unresolved);
+            }
+
+            const pickedData = await this.readCommit(pickedCommit);
+            const subject = pickedData.message.split('\n')[0];
+            if (index.length === 0) {
+                await this.clearMergeState();
+                steps.push({ commit: pickedCommit, subject, status: 'empty', hash: null });
+            } else {
+                const message = await fs.readFile(this.mergeMsgPath, { encoding: 'utf-8' });
+                const { hash } = await this.commit(message, { author: action === 'revert' ? undefined : pickedData.author, reason: action, verify: false });
+                steps.push({ commit: pickedCommit, subject, status: 'picked', hash });
+            }
+        }
+
+        return { action, steps: await this.runSequence(steps) };
+    }
+
+    async abortSequence(action) {
+        const sequencer = await this.readSequencer();
+        if (!sequencer || sequencer.action !== action) {
+            throw new MergeError(`No ${action} in progress`);
+        }
+
+        await this.resetTo(sequencer.head, 'hard', `${action}: abort`);
+        return { action, aborted: true, commit: sequencer.head };
+    }
+
+    async rebase(upstream, options = {}) {
+        if (options.abort) {
+            return this.abortRebase();
+        }
+
+        if (options.continue) {
+            return this.continueRebase();
+        }
+
+        if (options.skip) {
+            return this.skipRebase();
+        }
+
+        if (await this.readRebaseState()) {
+            throw new MergeError('A rebase is already in progress. Use "groot rebase --continue", "--skip" or "--abort"');
+        }
+
+        if (await this.getMergeHead() || await this.readSequencer()) {
+            throw new MergeError('A merge, cherry-pick or revert is already in progress');
+        }
+
+        if (!upstream) {
+            throw new GrootError('Specify an upstream to rebase onto', 'EUSAGE');
+        }
+
+        const { index, indexFiles } = await this.readStagingState();
+        const localChanges = await this.findLocalChanges(indexFiles.map(file => file.path), indexFiles);
+        if (index.length > 0 || localChanges.length > 0) {
+            throw new LocalChangesError([...new Set([...index.map(entry => entry.path), ...localChanges])], 'You have local changes:', 'Commit or stash them before rebasing.');
+        }
+
+        const headCommit = await this.getCurrentHead();
+        const upstreamCommit = await this.resolveRevision(upstream);
+        const ontoCommit = options.onto ? await this.resolveRevision(options.onto) : upstreamCommit;
+
+        if (!headCommit) {
+            throw new RevisionError('You do not have the initial commit yet', 'HEAD');
+        }
+
+        const headName = await this.isDetached() ? null : await this.getCurrentBranch();
+        if (!options.interactive && await this.findMergeBase(headCommit, upstreamCommit) === ontoCommit) {
+            return { status: 'up-to-date', branch: headName, head: headCommit, steps: [] };
+        }
+
+        const todo = (await this.listCommitsToReplay(upstreamCommit, headCommit)).map(commit => ({ action: 'pick', commit }));
+        if (options.interactive) {
+            todo.splice(0, todo.length, ...await this.editRebaseTodo(todo, upstreamCommit, headCommit, ontoCommit));
+            if (todo.length === 0) {
+                return { status: 'nothing-to-do', branch: headName, head: headCommit, steps: [] };
+            }
+            if (todo.some(item => item.action === 'reword') && !await this.getEditor('commit')) {
+                throw new GrootError('reword needs an editor. Set GROOT_EDITOR or core.editor.', 'ENOEDITOR');
+            }
+        }
+
+        const state = { headName, origHead: headCommit, onto: ontoCommit, todo, current: null };
+        await this.writeRebaseState(state);
+
+        await fs.writeFile(this.origHeadPath, headCommit);
+        await this.writeHead(ontoCommit, `rebase: checkout ${options.onto || upstream}`);
+        await this.updateWorkingTree(indexFiles, await this.getCommitFiles(ontoCommit));
+
+        return this.runRebase();
+    }
+
+    async listCommitsToReplay(upstreamCommit, headCommit) {
+        const upstreamAncestors = await this.getAncestors(upstreamCommit);
+        const commits = [];
+
+        // Follow first parents back to the fork point; merge commits are flattened away
+        let hash = headCommit;
+        while (hash && !upstreamAncestors.has(hash)) {
+            const commitData = await this.readCommit(hash);
+            const parents = this.getParents(commitData);
+            if (parents.length <= 1) {
+                commits.unshift(hash);
+            }
+            hash = parents[0] || null;
+        }
+        return commits;
+    }
+
+    async editRebaseTodo(todo, upstreamCommit, headCommit, ontoCommit) {
+        const lines = [];
+        for (const item of todo) {
+            const commitData = await this.readCommit(item.commit);
+            lines.push(`${item.action} ${item.commit.substring(0, 7)} ${commitData.message.split('\n')[0]}`);
+        }
+        lines.push(
+            '',
+            `# Rebase ${upstreamCommit.substring(0, 7)}..${headCommit.substring(0, 7)} onto ${ontoCommit.substring(0, 7)} (${todo.length} commands)`,
+            '#',
+            '# Commands:',
+            '# p, pick <commit> = use commit',
+            '# r, reword <commit> = use commit, but edit the commit message',
+            '# s, squash <commit> = use commit, but meld into previous commit',
+            '# f, fixup <commit> = like "squash", but discard this commit\'s message',
+            '# d, drop <commit> = remove commit',
+            '#',
+            '# Lines starting with # are ignored. Removing a line drops that commit.',
+            ''
+        );
+
+        const editor = await this.getEditor('sequence');
+        if (!editor) {
+            throw new GrootError('No editor for the todo list: set GROOT_SEQUENCE_EDITOR, sequence.editor or GROOT_EDITOR', 'ENOEDITOR');
+        }
+
+        await fs.writeFile(this.rebaseTodoPath, lines.join('\n'));
+        try {
+            await this.runEditor(this.rebaseTodoPath, editor);
+            return await this.parseRebaseTodo(await fs.readFile(this.rebaseTodoPath, { encoding: 'utf-8' }));
+        } finally {
+            await fs.rm(this.rebaseTodoPath, { force: true });
+        }
+    }
+
+    async parseRebaseTodo(content) {
+        const actions = { p: 'pick', r: 'reword', s: 'squash', f: 'fixup', d: 'drop' };
+        const todo = [];
+
+        for (const line of content.split('\n').map(item => item.trim())) {
+            if (!line || line.startsWith('#')) continue;
+
+            const [command, revision] = line.split(/\s+/);
+            const action = actions[command] || (Object.values(actions).includes(command) ? command : null);
+            if (!action) {
+                throw new GrootError(`Unknown rebase command: ${command}`, 'EUSAGE');
+            }
+            if (!revision) {
+                throw new GrootError(`Missing commit for "${command}"`, 'EUSAGE');
+            }
+            if (action === 'drop') continue;
+            if ((action === 'squash' || action === 'fixup') && todo.length === 0) {
+                throw new GrootError(`Cannot "${action}" without a previous commit`, 'EUSAGE');
+            }
+            todo.push({ action, commit: await this.resolveRevision(revision) });
+        }
+        return todo;
+    }
+
+    async getEditor(kind) {
+        if (kind === 'sequence') {
+            const sequenceEditor = process.env.GROOT_SEQUENCE_EDITOR || await this.getConfig('sequence.editor');
+            if (sequenceEditor) return sequenceEditor;
+        }
+        const editor = process.env.GROOT_EDITOR || await this.getConfig('core.editor') || process.env.VISUAL || process.env.EDITOR;
+        // Without a terminal there is nobody to type into vi, so scripted runs get no editor at all
+        return editor || (process.stdin.isTTY ? 'vi' : null);
+    }
+
+    runEditor(filePath, editor) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(`${editor} "${filePath}"`, { shell: true, stdio: 'inherit', cwd: this.workingDir });
+            child.on('error', reject);
+            child.on('exit', code => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new GrootError(`Editor "${editor}" exited with code ${code}`, 'EEDITOR'));
+                }
+            });
+        });
+    }
+
+    async getHooksDir() {
+        const configured = await this.getConfig('core.hooksPath');
+        return configured ? path.resolve(this.workingDir, configured) : this.hooksPath;
+    }
+
+    // Runs an executable hook if one is installed, resolving to its exit code (0 when there is none)
+    async runHook(name, args = [], input = null) {
+        const hookPath = path.join(await this.getHooksDir(), name);
+        try {
+            await fs.access(hookPath, fs.constants.X_OK);
+        } catch {
+            return 0;
+        }
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(hookPath, args, {
+                cwd: this.workingDir,
+                stdio: [input === null ? 'ignore' : 'pipe', 'inherit', 'inherit'],
+                env: { ...process.env, GROOT_DIR: path.resolve(this.repoPath) }
+            });
+            child.on('error', error => reject(new GrootError(`Cannot run ${name} hook: ${error.message}`, 'EHOOK')));
+            child.on('exit', code => resolve(code === null ? 1 : code));
+            if (input !== null) {
+                // The hook may exit without reading its input
+                child.stdin.on('error', () => {});
+                child.stdin.end(input);
+            }
+        });
+    }
+
+    async editMessage(message) {
+        // Without an editor (no terminal, none configured) the proposed message is used as is
+        const editor = await this.getEditor('commit');
+        if (!editor) return message;
+
+        await fs.writeFile(this.commitMsgPath, `${message}\n`);
+        await this.runEditor(this.commitMsgPath, editor);
+        const edited = await fs.readFile(this.commitMsgPath, { encoding: 'utf-8' });
+        return edited.split('\n').filter(line => !line.startsWith('#')).join('\n').trim();
+    }
+
+    async readRebaseState() {
+        try {
+            return JSON.parse(await fs.readFile(this.rebaseStatePath, { encoding: 'utf-8' }));
+        } catch {
+            return null;
+        }
+    }
+
+    async writeRebaseState(state) {
+        await fs.writeFile(this.rebaseStatePath, JSON.stringify(state));
+    }
+
+    async runRebase(steps = []) {
+        let state = await this.readRebaseState();
+        while (state.todo.length > 0) {
+            const [item, ...rest] = state.todo;
+            const applied = await this.applyCommit(item.commit);
+
+            state = { ...state, todo: rest, current: item };
+            await this.writeRebaseState(state);
+            if (applied.status === 'conflict') {
+                const subject = (await this.readCommit(item.commit)).message.split('\n')[0];
+                throw new ConflictError(`Could not apply ${item.commit.substring(0, 7)} ${subject}. Resolve conflicts, stage them with "groot add <file>", then run "groot rebase --continue".`, applied.conflicts);
+            }
+            steps.push(applied.status === 'clean'
+                ? await this.commitRebaseItem(item)
+                : { ...item, status: 'empty', hash: null });
+
+            state = { ...state, current: null };
+            await this.writeRebaseState(state);
+        }
+        return this.finishRebase(state, steps);
+    }
+
+    async commitRebaseItem(item) {
+        const commitData = await this.readCommit(item.commit);
+        let message = commitData.message;
+
+        try {
+            if (item.action === 'reword') {
+                message = await this.editMessage(message);
+            } else if (item.action === 'squash') {
+                const headData = await this.readCommit(await this.getCurrentHead());
+                message = await this.editMessage(`${headData.message}\n\n${commitData.message}`);
+            } else if (item.action === 'fixup') {
+                message = (await this.readCommit(await this.getCurrentHead())).message;
+            }
+        } catch (error) {
+            throw new GrootError(`Error editing message: ${error.message}. Fix the problem, then run "groot rebase --continue".`, 'ENOEDITOR');
+        }
+
+        if (!message) {
+            throw new GrootError('Aborting commit due to empty commit message. Run "groot rebase --continue" to edit it again.', 'EUSAGE');
+        }
+
+        // Squash and fixup fold the changes into the commit just replayed
+        const reason = `rebase (${item.action})`;
+        const { hash } = item.action === 'squash' || item.action === 'fixup'
+            ? await this.commit(message, { amend: true, reason, verify: false })
+            : await this.commit(message, { author: commitData.author, reason, verify: false });
+        return { ...item, status: 'picked', hash };
+    }
+
+    async finishRebase(state, steps = []) {
+        const newHead = await this.getCurrentHead();
+        if (state.headName) {
+            await this.updateBranchRef(state.headName, newHead, `rebase (finish): refs/heads/${state.headName} onto ${state.onto}`);
+            await this.writeHead(`ref: refs/heads/${state.headName}`, `rebase (finish): returning to refs/heads/${state.headName}`);
+        }
+        await fs.rm(this.rebaseStatePath, { force: true });
+        return { status: 'rebased', branch: state.headName, head: newHead, steps };
+    }
+
+    async continueRebase() {
+        const state = await this.readRebaseState();
+        if (!state) {
+            throw new MergeError('No rebase in progress');
+        }
+
+        const steps = [];
+        if (state.current) {
+            const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+            const unresolved = index.filter(entry => entry.conflict).map(entry => entry.path);
+            if (unresolved.length > 0) {
+                throw new ConflictError('Cannot continue with unresolved conflicts', unresolved);
+            }
+
+            steps.push(index.length === 0
+                ? { ...state.current, status: 'empty', hash: null }
+                : await this.commitRebaseItem(state.current));
+            await this.writeRebaseState({ ...state, current: null });
+        }
+
+        return this.runRebase(steps);
+    }
+
+    async skipRebase() {
+        const state = await this.readRebaseState();
+        if (!state) {
+            throw new MergeError('No rebase in progress');
+        }
+
+        // Without a stopped commit, the one that could not be applied is still first in the todo list
+        const todo = state.current ? state.todo : state.todo.slice(1);
+        await this.resetTo(await this.getCurrentHead(), 'hard', 'rebase: skip');
+        await this.writeRebaseState({ ...state, todo, current: null });
+        return this.runRebase();
+    }
+
+    async abortRebase() {
+        const state = await this.readRebaseState();
+        if (!state) {
+            throw new MergeError('No rebase in progress');
+        }
+
+        await this.resetTo(state.origHead, 'hard', 'rebase (abort)');
+        if (state.headName) {
+            await this.writeHead(`ref: refs/heads/${state.headName}`, `rebase (abort): returning to refs/heads/${state.headName}`);
+        }
+        await fs.rm(this.rebaseStatePath, { force: true });
+        return { status: 'aborted', branch: state.headName, head: state.origHead, steps: [] };
+    }
+
+    async bisect(action, args = []) {
+        const actions = {
+            start: () => this.bisectStart(args),
+            bad: () => this.bisectMark('bad', args),
+            good: () => this.bisectMark('good', args),
+            skip: () => this.bisectMark('skip', args),
+            reset: () => this.bisectReset(args[0]),
+            log: () => this.bisectLog(),
+            replay: () => this.bisectReplay(args[0]),
+            run: () => this.bisectRun(args.map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`).join(' '))
+        };
+
+        if (!actions[action]) {
+            throw new GrootError(`Unknown bisect action: ${action}`, 'EUSAGE');
+        }
+        return actions[action]();
+    }
+
+    async readBisectState() {
+        try {
+            return JSON.parse(await fs.readFile(this.bisectStatePath, { encoding: 'utf-8' }));
+        } catch {
+            return null;
+        }
+    }
+
+    async writeBisectState(state) {
+        await fs.writeFile(this.bisectStatePath, JSON.stringify(state));
+    }
+
+    async bisectStart(revisions = []) {
+        if (await this.readBisectState()) {
+            await this.bisectReset();
+        }
+
+        const head = await this.getCurrentHead();
+        if (!head) {
+            throw new RevisionError('You need at least one commit to bisect', 'HEAD');
+        }
+
+        const start = await this.isDetached() ? head : await this.getCurrentBranch();
+        await this.writeBisectState({ start, bad: null, good: [], skip: [], log: ['groot bisect start'] });
+
+        const [bad, ...good] = revisions;
+        if (bad) await this.bisectMark('bad', [bad], { next: false });
+        if (good.length > 0) await this.bisectMark('good', good, { next: false });
+        return this.bisectNext();
+    }
+
+    async bisectMark(term, revisions = [], options = {}) {
+        const state = await this.readBisectState();
+        if (!state) {
+            throw new GrootError('You need to start by "groot bisect start"', 'ENOTBISECTING');
+        }
+
+        const hashes = [];
+        for (const revision of revisions.length > 0 ? revisions : ['HEAD']) {
+            hashes.push(await this.resolveRevision(revision));
+        }
+        if (term === 'bad' && hashes.length > 1) {
+            throw new GrootError('"groot bisect bad" takes only one revision', 'EUSAGE');
+        }
+
+        for (const hash of hashes) {
+            if (term === 'bad') {
+                state.bad = hash;
+            } else if (!state[term].includes(hash)) {
+                state[term].push(hash);
+            }
+            const subject = (await this.readCommit(hash)).message.split('\n')[0];
+            state.log.push(`# ${term}: [${hash}] ${subject}`, `groot bisect ${term} ${hash}`);
+        }
+        await this.writeBisectState(state);
+
+        return options.next === false ? { status: 'marked' } : this.bisectNext();
+    }
+
+    async findBisectCandidates(state) {
+        const excluded = new Set();
+        for (const good of state.good) {
+            for (const hash of await this.getAncestors(good)) excluded.add(hash);
+        }
+
+        // Every commit the bad one reaches that no good one does, merge parents included
+        const candidates = await this.walkCommits([state.bad], excluded, 'topo');
+        const reach = new Map();
+        for (const { hash, commitData } of [...candidates].reverse()) {
+            const reached = new Set([hash]);
+            for (const parent of this.getParents(commitData)) {
+                if (reach.has(parent)) reach.get(parent).forEach(ancestor => reached.add(ancestor));
+            }
+            reach.set(hash, reached);
+        }
+        return { hashes: candidates.map(candidate => candidate.hash), reach };
+    }
+
+    async bisectNext() {
+        const state = await this.readBisectState();
+        if (!state.bad || state.good.length === 0) {
+            const missing = !state.bad && state.good.length === 0 ? 'a bad and a good' : state.bad ? 'a good' : 'a bad';
+            return { status: 'waiting', missing };
+        }
+
+        const { hashes, reach } = await this.findBisectCandidates(state);
+        if (!hashes.includes(state.bad)) {
+            throw new GrootError(`The bad commit ${state.bad.substring(0, 7)} is an ancestor of a good commit. Did you mix up good and bad?`, 'EBISECT');
+        }
+
+        const untested = hashes.filter(hash => hash !== state.bad && !state.skip.includes(hash));
+        if (untested.length === 0) {
+            const remaining = hashes.filter(hash => hash === state.bad || state.skip.includes(hash));
+            if (remaining.length > 1) {
+                return { status: 'skipped', candidates: remaining };
+            }
+            return { status: 'done', commit: await this.getCommitDiff(state.bad) };
+        }
+
+        // The midpoint is the commit whose ancestors split the candidates most evenly
+        let best = null;
+        let bestScore = -1;
+        for (const hash of untested) {
+            const reached = reach.get(hash).size;
+            const score = Math.min(reached, hashes.length - reached);
+            if (score > bestScore) {
+                best = hash;
+                bestScore = score;
+            }
+        }
+
+        await this.checkout(best);
+
+        const left = Math.floor((hashes.length - 1) / 2);
+        const steps = Math.ceil(Math.log2(left + 1));
+        return { status: 'checked-out', commit: this.toCommitObject(best, await this.readCommit(best)), left, steps };
+    }
+
+    async bisectReset(revision) {
+        const state = await this.readBisectState();
+        if (!state) {
+            return { reset: false, head: null };
+        }
+
+        await this.checkout(revision || state.start);
+        await fs.rm(this.bisectStatePath, { force: true });
+        return { reset: true, head: revision || state.start };
+    }
+
+    async bisectLog() {
+        const state = await this.readBisectState();
+        if (!state) {
+            throw new GrootError('Not bisecting', 'ENOTBISECTING');
+        }
+        return state.log;
+    }
+
+    async bisectReplay(logFile) {
+        if (!logFile) {
+            throw new GrootError('Specify a bisect log file to replay', 'EUSAGE');
+        }
+
+        let lines;
+        try {
+            lines = (await fs.readFile(logFile, { encoding: 'utf-8' })).split('\n');
+        } catch (error) {
+            throw new GrootError(`Cannot read ${logFile}: ${error.message}`, 'ENOENT');
+        }
+
+        const commands = lines.map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        for (const command of commands) {
+            const [tool, subcommand, term] = command.split(/\s+/);
+            if (tool !== 'groot' || subcommand !== 'bisect' || !['start', 'good', 'bad', 'skip'].includes(term)) {
+                throw new GrootError(`Cannot replay "${command}"`, 'EUSAGE');
+            }
+        }
+
+        if (await this.readBisectState()) {
+            await this.bisectReset();
+        }
+        for (const command of commands) {
+            const [, , term, ...revisions] = command.split(/\s+/);
+            if (term === 'start') {
+                const head = await this.getCurrentHead();
+                const start = await this.isDetached() ? head : await this.getCurrentBranch();
+                await this.writeBisectState({ start, bad: null, good: [], skip: [], log: ['groot bisect start'] });
+            } else {
+                await this.bisectMark(term, revisions, { next: false });
+            }
+        }
+        return this.bisectNext();
+    }
+
+    async bisectRun(command) {
+        if (!command) {
+            throw new GrootError('Specify a command to run, e.g. "groot bisect run npm test"', 'EUSAGE');
+        }
+
+        const state = await this.readBisectState();
+        if (!state || !state.bad || state.good.length === 0) {
+            throw new GrootError('"groot bisect run" needs a bisect started with a bad and a good commit', 'ENOTBISECTING');
+        }
+
+        for (;;) {
+            const head = await this.getCurrentHead();
+            const code = await new Promise(resolve => {
+                const child = spawn(command, { shell: true, stdio: 'inherit', cwd: this.workingDir });
+                child.on('error', () => resolve(-1));
+                child.on('exit', exitCode => resolve(exitCode === null ? -1 : exitCode));
+            });
+
+            // Exit code 125 means the commit cannot be tested; 128 and above aborts the run
+            if (code < 0 || code >= 128) {
+                throw new GrootError(`bisect run failed: "${command}" exited with code ${code}`, 'EBISECT');
+            }
+            const term = code === 0 ? 'good' : code === 125 ? 'skip' : 'bad';
+            this.emit('bisect-step', { commit: head, command, exitCode: code, term });
+
+            const next = await this.bisectMark(term, [head]);
+            if (next.status !== 'checked-out') return next;
+        }
+    }
+
+    async assertNoLocalChanges(paths, trackedFiles) {
+        const localChanges = await this.findLocalChanges(paths, trackedFiles);
+        if (localChanges.length > 0) {
+            throw new LocalChangesError(localChanges);
+        }
+    }
+
+    changedPaths(fromFiles, toFiles) {
+        const from = new Map(fromFiles.map(file => [file.path, file.hash]));
+        const to = new Map(toFiles.map(file => [file.path, file.hash]));
+        return [...new Set([...from.keys(), ...to.keys()])].filter(filePath => from.get(filePath) !== to.get(filePath));
+    }
+
+    async getAncestors(commitHash) {
+        const ancestors = new Set();
+        const queue = [commitHash];
+
+        while (queue.length > 0) {
+            const hash = queue.shift();
+            if (ancestors.has(hash)) continue;
+            ancestors.add(hash);
+
+            queue.push(...this.getParents(await this.readCommit(hash)));
+        }
+
+        return ancestors;
+    }
+
+    async findMergeBase(commitA, commitB) {
+        const ancestors = await this.getAncestors(commitA);
+        const visited = new Set();
+        const queue = [commitB];
+
+        while (queue.length > 0) {
+            const hash = queue.shift();
+            if (visited.has(hash)) continue;
+            visited.add(hash);
+
+            if (ancestors.has(hash)) return hash;
+
+            queue.push(...this.getParents(await this.readCommit(hash)));
+        }
+
+        return null;
+    }
+
+    async mergeTrees(baseFiles, ourFiles, theirFiles, label) {
+        const base = new Map(baseFiles.map(file => [file.path, file.hash]));
+        const ours = new Map(ourFiles.map(file => [file.path, file.hash]));
+        const theirs = new Map(theirFiles.map(file => [file.path, file.hash]));
+        const allPaths = [...new Set([...base.keys(), ...ours.keys(), ...theirs.keys()])].sort();
+        const changes = [];
+
+        for (const filePath of allPaths) {
+            const baseHash = base.get(filePath);
+            const ourHash = ours.get(filePath);
+            const theirHash = theirs.get(filePath);
+
+            // Unchanged on their side, or both sides made the same change
+            if (theirHash === baseHash || theirHash === ourHash) continue;
+
+            if (ourHash === baseHash) {
+                changes.push(theirHash ? { path: filePath, hash: theirHash } : { path: filePath, deleted: true });
+                continue;
+            }
+
+            if (!ourHash || !theirHash) {
+                const keptHash = ourHash || theirHash;
+                changes.push({
+                    path: filePath,
+                    conflict: true,
+                    reason: ourHash ? 'deleted by them' : 'deleted by us',
+                    content: await this.getFileContent(keptHash)
+                });
+                continue;
+            }
+
+            const baseContent = baseHash ? await this.getFileContent(baseHash) : Buffer.alloc(0);
+            const ourContent = await this.getFileContent(ourHash);
+            const theirContent = await this.getFileContent(theirHash);
+
+            if ([baseContent, ourContent, theirContent].some(content => this.isBinary(content))) {
+                changes.push({ path: filePath, conflict: true, reason: 'binary', content: ourContent });
+                continue;
+            }
+
+            const merged = this.mergeLines(
+                baseContent.toString('utf-8'),
+                ourContent.toString('utf-8'),
+                theirContent.toString('utf-8'),
+                label
+            );
+
+            if (merged.conflict) {
+                changes.push({ path: filePath, conflict: true, content: merged.content });
+            } else {
+                changes.push({ path: filePath, hash: await this.writeObject('blob', merged.content) });
+            }
+        }
+
+        return { changes };
+    }
+
+    splitLines(content) {
+        return content.match(/[^\n]*\n|[^\n]+$/g) || [];
+    }
+
+    lineHunks(baseLines, otherLines) {
+        const hunks = [];
+        let position = 0;
+        let current = null;
+
+        for (const part of diffArrays(baseLines, otherLines)) {
+            if (!part.added && !part.removed) {
+                current = null;
+                position += part.count;
+                continue;
+            }
+
+            if (!current) {
+                current = { start: position, end: position, lines: [] };
+                hunks.push(current);
+            }
+
+            if (part.added) {
+                current.lines.push(...part.value);
+            } else {
+                current.end += part.count;
+                position += part.count;
+            }
+        }
+
+        return hunks;
+    }
+
+    applyHunks(baseLines, hunks, start, end) {
+        const result = [];
+        let position = start;
+        for (const hunk of hunks) {
+            result.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+            position = hunk.end;
+        }
+        result.push(...baseLines.slice(position, end));
+        return result;
+    }
+
+    mergeLines(baseContent, ourContent, theirContent, label) {
+        const baseLines = this.splitLines(baseContent);
+        const pending = [
+            ...this.lineHunks(baseLines, this.splitLines(ourContent)).map(hunk => ({ ...hunk, side: 'ours' })),
+            ...this.lineHunks(baseLines, this.splitLines(theirContent)).map(hunk => ({ ...hunk, side: 'theirs' }))
+        ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+        const withNewline = lines => {
+            const copy = [...lines];
+            if (copy.length > 0 && !copy[copy.length - 1].endsWith('\n')) {
+                copy[copy.length - 1] += '\n';
+            }
+            return copy;
+        };
+
+        const output = [];
+        let position = 0;
+        let conflict = false;
+
+        while (pending.length > 0) {
+            // Group hunks that overlap or touch, as Git does for adjacent edits
+            const group = [pending.shift()];
+            const start = group[0].start;
+            let end = group[0].end;
+            while (pending.length > 0 && pending[0].start <= end) {
+                const hunk = pending.shift();
+                group.push(hunk);
+                end = Math.max(end, hunk.end);
+            }
+
+            output.push(...baseLines.slice(position, start));
+            position = end;
+
+            const ourHunks = group.filter(hunk => hunk.side === 'ours');
+            const theirHunks = group.filter(hunk => hunk.side === 'theirs');
+            const ourLines = this.applyHunks(baseLines, ourHunks, start, end);
+            const theirLines = this.applyHunks(baseLines, theirHunks, start, end);
+
+            if (theirHunks.length === 0 || ourLines.join('') === theirLines.join('')) {
+                output.push(...ourLines);
+            } else if (ourHunks.length === 0) {
+                output.push(...theirLines);
+            } else {
+                conflict = true;
+                output.push(
+                    '<<<<<<< HEAD\n',
+                    ...withNewline(ourLines),
+                    '=======\n',
+                    ...withNewline(theirLines),
+                    `>>>>>>> ${label}\n`
+                );
+            }
+        }
+
+        output.push(...baseLines.slice(position));
+        return { content: output.join(''), conflict };
+    }
+
+    async isLegacyObject(objectHash) {
+        if (!isObjectHash(objectHash)) return false;
+        try {
+            const stat = await fs.stat(path.join(this.objectsPath, objectHash));
+            return stat.isFile();
+        } catch {
+            return false;
+        }
+    }
+
+    async findLegacyObjects() {
+        const entries = await fs.readdir(this.objectsPath, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && /^[0-9a-f]{40}$/.test(entry.name))
+            .map(entry => entry.name);
+    }
+
+    async listRefFiles(dir) {
+        const refFiles = [];
+        try {
+            for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    refFiles.push(...await this.listRefFiles(entryPath));
+                } else {
+                    refFiles.push(entryPath);
+                }
+            }
+        } catch {
+            // Missing ref directories simply hold no refs
+        }
+        return refFiles;
+    }
+
+    async migrate() {
+        const legacyHashes = await this.findLegacyObjects();
+        if (legacyHashes.length === 0) {
+            return { migrated: 0 };
+        }
+
+        const migrated = new Map();
+        const migrateHashFile = async (filePath) => {
+            let hash;
+            try {
+                hash = (await fs.readFile(filePath, { encoding: 'utf-8' })).trim();
+            } catch {
+                return;
+            }
+            if (/^[0-9a-f]{40}$/.test(hash)) {
+                await fs.writeFile(filePath, await this.migrateLegacyObject(hash, 'commit', migrated));
+            }
+        };
+
+        for (const refFile of await this.listRefFiles(path.join(this.repoPath, 'refs'))) {
+            await migrateHashFile(refFile);
+        }
+        await migrateHashFile(this.headPath);
+        await migrateHashFile(this.mergeHeadPath);
+        await migrateHashFile(this.origHeadPath);
+
+        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+        for (const entry of index) {
+            if (entry.hash) {
+                entry.hash = await this.migrateLegacyObject(entry.hash, 'blob', migrated);
+            }
+        }
+        await fs.writeFile(this.indexPath, JSON.stringify(index));
+
+        // Anything unreachable from refs or the index is kept as a plain blob
+        for (const hash of legacyHashes) {
+            await this.migrateLegacyObject(hash, 'blob', migrated);
+        }
+
+        for (const hash of legacyHashes) {
+            await fs.unlink(path.join(this.objectsPath, hash));
+        }
+
+        return { migrated: legacyHashes.length };
+    }
+
+    async migrateLegacyObject(oldHash, type, migrated) {
+        if (migrated.has(oldHash)) return migrated.get(oldHash);
+
+        const content = await fs.readFile(path.join(this.objectsPath, oldHash));
+        let newHash;
+
+        if (type === 'commit') {
+            const commitData = JSON.parse(content.toString('utf-8'));
+            const parent = commitData.parent ? await this.migrateLegacyObject(commitData.parent, 'commit', migrated) : null;
+            let tree;
+            if (commitData.tree) {
+                tree = await this.migrateLegacyObject(commitData.tree, 'tree', migrated);
+            } else {
+                // Legacy commits only list what was staged since their parent, so overlay that on the parent's tree
+                const files = new Map();
+                if (parent) {
+                    for (const file of await this.getCommitFiles(parent)) files.set(file.path, file.hash);
+                }
+                for (const file of commitData.files) {
+                    files.set(file.path, await this.migrateLegacyObject(file.hash, 'blob', migrated));
+                }
+                tree = await this.writeTree([...files].map(([filePath, hash]) => ({ path: filePath, hash })));
+            }
+
+            const migratedCommit = {
+                timeStamp: commitData.timeStamp,
+                message: commitData.message,
+                tree,
+                parent,
+                branch: commitData.branch
+            };
+            if (commitData.parents) {
+                migratedCommit.parents = [];
+                for (const parent of commitData.parents) {
+                    migratedCommit.parents.push(await this.migrateLegacyObject(parent, 'commit', migrated));
+                }
+            }
+            newHash = await this.writeObject('commit', JSON.stringify(migratedCommit));
+        } else if (type === 'tree') {
+            const entries = [];
+            for (const entry of JSON.parse(content.toString('utf-8'))) {
+                entries.push({ ...entry, hash: await this.migrateLegacyObject(entry.hash, entry.type, migrated) });
+            }
+            newHash = await this.writeObject('tree', JSON.stringify(entries));
+        } else {
+            newHash = await this.writeObject('blob', content);
+        }
+
+        migrated.set(oldHash, newHash);
+        return newHash;
+    }
+
+    async listObjectHashes() {
+        const hashes = [];
+        for (const dir of await fs.readdir(this.objectsPath, { withFileTypes: true })) {
+            if (!dir.isDirectory() || !/^[0-9a-f]{2}$/.test(dir.name)) continue;
+            for (const file of await fs.readdir(path.join(this.objectsPath, dir.name))) {
+                if (/^[0-9a-f]{38}$/.test(file)) hashes.push(dir.name + file);
+            }
+        }
+        return hashes;
+    }
+
+    async scanObjects() {
+        const objects = new Map();
+        for (const hash of await this.listObjectHashes()) {
+            try {
+                const data = await inflate(await fs.readFile(this.getObjectPath(hash)));
+                if (crypto.createHash('sha1').update(data).digest('hex') !== hash) {
+                    throw new CorruptObjectError('contents do not match the object name', hash);
+                }
+                const { type, content } = this.decodeObject(hash, data);
+                objects.set(hash, { type, links: this.objectLinks(type, content) });
+            } catch (error) {
+                objects.set(hash, { error: error.message });
+            }
+        }
+
+        for (const hash of await this.listPackedHashes()) {
+            if (objects.has(hash)) continue;
+            try {
+                const { type, content } = await this.readObject(hash);
+                if (this.hashObject(content, type) !== hash) {
+                    throw new CorruptObjectError('packed contents do not match the object name', hash);
+                }
+                objects.set(hash, { type, links: this.objectLinks(type, content), packed: true });
+            } catch (error) {
+                objects.set(hash, { error: error.message, packed: true });
+            }
+        }
+        return objects;
+    }
+
+    async findReachable(objects) {
+        const reachable = new Set();
+        const queue = (await this.collectRoots()).map(root => root.hash);
+        while (queue.length > 0) {
+            const hash = queue.shift();
+            if (reachable.has(hash) || !objects.has(hash)) continue;
+            reachable.add(hash);
+            queue.push(...objects.get(hash).links.map(link => link.hash));
+        }
+        return reachable;
+    }
+
+    async verifyPacks() {
+        const problems = [];
+        for (const pack of await this.loadPacks()) {
+            try {
+                const data = await fs.readFile(pack.packPath);
+                const { checksum } = this.parsePack(data);
+                if (!checksum.equals(pack.index.subarray(pack.index.length - 20))) {
+                    throw new CorruptObjectError('index does not belong to this pack');
+                }
+            } catch (error) {
+                problems.push(`corrupt pack ${pack.name}: ${error.message}`);
+            }
+        }
+        return problems;
+    }
+
+    async collectRoots() {
+        const roots = [];
+        const addRoot = (hash, name) => {
+            if (hash) roots.push({ hash, name });
+        };
+
+        addRoot(await this.getCurrentHead(), 'HEAD');
+        for (const refFile of await this.listRefFiles(path.join(this.repoPath, 'refs'))) {
+            const ref = path.relative(this.repoPath, refFile).split(path.sep).join('/');
+            addRoot(await this.readRef(ref), ref);
+        }
+        for (const ref of ['ORIG_HEAD', 'MERGE_HEAD', 'CHERRY_PICK_HEAD', 'REVERT_HEAD']) {
+            addRoot(await this.readRef(ref), ref);
+        }
+
+        for (const logFile of await this.listRefFiles(this.logsPath)) {
+            const ref = path.relative(this.logsPath, logFile).split(path.sep).join('/');
+            for (const entry of await this.readReflog(ref)) {
+                addRoot(entry.old, `reflog ${ref}`);
+                addRoot(entry.new, `reflog ${ref}`);
+            }
+        }
+
+        try {
+            const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+            index.forEach(entry => addRoot(entry.hash, `index ${entry.path}`));
+        } catch {
+            // No index yet
+        }
+
+        // Commits an interrupted cherry-pick, revert or rebase still has to replay
+        const sequencer = await this.readSequencer();
+        if (sequencer) {
+            [sequencer.head, ...sequencer.todo].forEach(hash => addRoot(hash, 'sequencer'));
+        }
+        const rebaseState = await this.readRebaseState();
+        if (rebaseState) {
+            [rebaseState.origHead, rebaseState.onto, ...rebaseState.todo.map(item => item.commit)].forEach(hash => addRoot(hash, 'rebase'));
+            if (rebaseState.current) addRoot(rebaseState.current.commit, 'rebase');
+        }
+
+        return roots;
+    }
+
+    async assertCurrentFormat() {
+        if ((await this.findLegacyObjects()).length > 0) {
+            throw new GrootError('Repository uses the legacy object format. Run "groot migrate" first.', 'ELEGACY');
+        }
+    }
+
+    async fsck() {
+        await this.assertCurrentFormat();
+
+        const objects = await this.scanObjects();
+        this.emit('progress', { operation: 'fsck', message: `Checking ${objects.size} objects...` });
+
+        const reported = new Set();
+        const report = message => reported.add(message);
+
+        for (const problem of await this.verifyPacks()) {
+            report(problem);
+        }
+        for (const [hash, object] of objects) {
+            if (object.error) report(`corrupt object ${hash}: ${object.error}`);
+        }
+
+        const reachable = new Set();
+        const queue = (await this.collectRoots()).map(root => ({ hash: root.hash, from: root.name }));
+        while (queue.length > 0) {
+            const { hash, from, expected } = queue.shift();
+            const object = objects.get(hash);
+
+            if (!object) {
+                if (expected && expected.parent) {
+                    report(`broken parent chain: ${from} has missing parent ${hash}`);
+                } else {
+                    report(`missing ${expected ? expected.type : 'object'} ${hash} (referenced by ${from})`);
+                }
+                continue;
+            }
+            if (expected && !object.error && object.type !== expected.type) {
+                report(`${from} points to ${hash} as a ${expected.type}, but it is a ${object.type}`);
+            }
+
+            if (reachable.has(hash)) continue;
+            reachable.add(hash);
+            for (const link of object.links || []) {
+                queue.push({ hash: link.hash, from: `${object.type} ${hash}`, expected: link });
+            }
+        }
+
+        // Dangling objects are unreachable and not referenced by any other object
+        const referenced = new Set([...objects.values()].flatMap(object => (object.links || []).map(link => link.hash)));
+        const dangling = [];
+        for (const [hash, object] of objects) {
+            if (!reachable.has(hash) && !referenced.has(hash) && !object.error) {
+                dangling.push({ type: object.type, hash });
+            }
+        }
+
+        return { objects: objects.size, problems: [...reported], dangling };
+    }
+
+    async gc(options = {}) {
+        await this.assertCurrentFormat();
+        const cutoff = this.parseExpiry(options.prune || await this.getConfig('gc.pruneExpire') || '2 weeks ago');
+
+        // Links of an unreadable object are unknown, so pruning could destroy live data
+        let objects = await this.scanObjects();
+        const corrupt = [...objects.keys()].filter(hash => objects.get(hash).error);
+        if (corrupt.length > 0) {
+            throw new CorruptObjectError(`Cannot collect garbage: ${corrupt.length} corrupt object${corrupt.length === 1 ? '' : 's'}. Run "groot fsck".`);
+        }
+
+        const { pruned: expired } = await this.expireReflogs(undefined, { all: true });
+
+        objects = await this.scanObjects();
+        const reachable = await this.findReachable(objects);
+
+        let pruned = 0;
+        let kept = 0;
+        for (const hash of await this.listObjectHashes()) {
+            if (reachable.has(hash)) continue;
+
+            // Recently written objects may belong to a command that is still running
+            const objectPath = this.getObjectPath(hash);
+            if ((await fs.stat(objectPath)).mtimeMs >= cutoff) {
+                kept++;
+                continue;
+            }
+            await fs.rm(objectPath);
+            try {
+                await fs.rmdir(path.dirname(objectPath));
+            } catch {
+                // Other objects still share this fan-out directory
+            }
+            pruned++;
+        }
+
+        return { expiredReflogEntries: expired, pruned, kept, repack: await this.repack({ cutoff }) };
+    }
+
+    async repack(options = {}) {
+        await this.assertCurrentFormat();
+
+        const objects = await this.scanObjects();
+        if ([...objects.values()].some(object => object.error)) {
+            throw new CorruptObjectError('Cannot repack: the repository has corrupt objects. Run "groot fsck".');
+        }
+
+        const reachable = await this.findReachable(objects);
+        const cutoff = options.cutoff ?? -Infinity;
+        const oldPacks = await this.loadPacks();
+        const looseHashes = new Set(await this.listObjectHashes());
+
+        // Unreachable packed objects go back to loose storage so gc can age them out individually
+        for (const pack of oldPacks) {
+            const { mtimeMs } = await fs.stat(pack.packPath);
+            if (mtimeMs < cutoff) continue;
+            for (const hash of await this.listPackedHashes(pack)) {
+                if (reachable.has(hash) || looseHashes.has(hash)) continue;
+                const { type, content } = await this.readObject(hash);
+                await this.writeObject(type, content);
+            }
+        }
+
+        if (reachable.size === 0) {
+            return { objects: 0, deltas: 0, pack: null };
+        }
+
+        const pack = await this.buildPack([...reachable]);
+        const name = await this.writePack(pack);
+
+        for (const oldPack of oldPacks) {
+            if (oldPack.name === name) continue;
+            await fs.rm(oldPack.packPath, { force: true });
+            await fs.rm(path.join(this.packDir, `${oldPack.name}.idx`), { force: true });
+        }
+        for (const hash of reachable) {
+            if (!looseHashes.has(hash)) continue;
+            const objectPath = this.getObjectPath(hash);
+            await fs.rm(objectPath, { force: true });
+            try {
+                await fs.rmdir(path.dirname(objectPath));
+            } catch {
+                // Other objects still share this fan-out directory
+            }
+        }
+        this.packs = null;
+        this.packedObjectCache.clear();
+
+        return { objects: reachable.size, deltas: pack.deltas, pack: `${name}.pack` };
+    }
+
+    async hasObject(objectHash) {
+        if (!isObjectHash(objectHash)) return false;
+        try {
+            await fs.access(this.getObjectPath(objectHash));
+            return true;
+        } catch {
+            return Boolean(await this.findPackedObject(objectHash));
+        }
+    }
+
+    async collectObjects(wants, isKnown) {
+        const hashes = [];
+        const visited = new Set();
+        const queue = [...wants];
+
+        // Having an object implies having everything it references, so stop there
+        while (queue.length > 0) {
+            const hash = queue.shift();
+            if (visited.has(hash)) continue;
+            visited.add(hash);
+            if (await isKnown(hash)) continue;
+
+            hashes.push(hash);
+            const { type, content } = await this.readObject(hash);
+            queue.push(...this.objectLinks(type, content).map(link => link.hash));
+        }
+
+        // Referenced objects come before the objects that point at them
+        return hashes.reverse();
+    }
+
+    async reachableObjects(hashes) {
+        return new Set(await this.collectObjects(hashes, async () => false));
+    }
+
+    async sendObjects(target, commitHash) {
+        const hashes = await this.collectObjects([commitHash], hash => target.hasObject(hash));
+        if (hashes.length === 0) return 0;
+        return target.unpackObjects(await this.packObjects(hashes));
+    }
+
+    async packObjects(hashes) {
+        return (await this.buildPack(hashes)).data;
+    }
+
+    async buildPack(hashes) {
+        const objects = [];
+        for (const hash of new Set(hashes)) {
+            const { type, content } = await this.readObject(hash);
+            objects.push({ hash, type, content });
+        }
+        this.deltifyObjects(objects);
+
+        const header = Buffer.alloc(12);
+        header.write('GPAK', 0, 'ascii');
+        header.writeUInt32BE(1, 4);
+        header.writeUInt32BE(objects.length, 8);
+
+        const chunks = [header];
+        const offsets = [];
+        let offset = header.length;
+        for (const object of objects) {
+            const compressed = await deflate(object.delta || object.content);
+            const entryHeader = Buffer.alloc(object.delta ? 46 : 26);
+            Buffer.from(object.hash, 'hex').copy(entryHeader, 0);
+            entryHeader.writeUInt8(PACK_TYPES.indexOf(object.type) + 1, 20);
+            entryHeader.writeUInt8(object.delta ? 1 : 0, 21);
+            if (object.delta) {
+                Buffer.from(object.base, 'hex').copy(entryHeader, 22);
+            }
+            entryHeader.writeUInt32BE(compressed.length, entryHeader.length - 4);
+
+            chunks.push(entryHeader, compressed);
+            offsets.push({ hash: object.hash, offset });
+            offset += entryHeader.length + compressed.length;
+        }
+
+        const body = Buffer.concat(chunks);
+        const checksum = crypto.createHash('sha1').update(body).digest();
+        return {
+            data: Buffer.concat([body, checksum]),
+            offsets,
+            checksum,
+            deltas: objects.filter(object => object.delta).length
+        };
+    }
+
+    deltifyObjects(objects) {
+        // Name hints put versions of the same file next to each other in the delta window
+        const names = new Map();
+        for (const object of objects) {
+            if (object.type !== 'tree') continue;
+            for (const link of this.objectLinks(object.type, object.content)) {
+                if (!names.has(link.hash)) names.set(link.hash, link.name);
+            }
+        }
+
+        const candidates = objects
+            .filter(object => (object.type === 'blob' || object.type === 'tree') && object.content.length >= DELTA_BLOCK * 2)
+            .sort((a, b) => a.type.localeCompare(b.type)
+                || (names.get(a.hash) || '').localeCompare(names.get(b.hash) || '')
+                || b.content.length - a.content.length);
+
+        const depths = new Map();
+        const baseIndexes = new Map();
+        candidates.forEach((object, i) => {
+            let best = null;
+            for (let j = Math.max(0, i - PACK_WINDOW); j < i; j++) {
+                const base = candidates[j];
+                if (base.type !== object.type || (depths.get(base.hash) || 0) >= PACK_MAX_DEPTH) continue;
+
+                if (!baseIndexes.has(base.hash)) {
+                    baseIndexes.set(base.hash, indexDeltaBase(base.content));
+                }
+                const delta = createDelta(base.content, object.content, baseIndexes.get(base.hash));
+                if (delta.length < object.content.length / 2 && (!best || delta.length < best.delta.length)) {
+                    best = { base, delta };
+                }
+            }
+
+            if (best) {
+                object.base = best.base.hash;
+                object.delta = best.delta;
+                depths.set(object.hash, (depths.get(best.base.hash) || 0) + 1);
+            }
+        });
+    }
+
+    parsePack(data) {
+        if (data.length < 32 || data.toString('ascii', 0, 4) !== 'GPAK') {
+            throw new CorruptObjectError('Not a groot pack');
+        }
+
+        const checksum = data.subarray(data.length - 20);
+        if (!crypto.createHash('sha1').update(data.subarray(0, data.length - 20)).digest().equals(checksum)) {
+            throw new CorruptObjectError('Pack checksum mismatch');
+        }
+
+        const entries = [];
+        let offset = 12;
+        for (let i = 0; i < data.readUInt32BE(8); i++) {
+            const entry = this.decodePackEntryHeader(data, offset);
+            const start = offset + entry.headerLength;
+            entries.push({ ...entry, offset, data: data.subarray(start, start + entry.length) });
+            offset = start + entry.length;
+        }
+        return { entries, checksum: Buffer.from(checksum) };
+    }
+
+    async writePack(pack) {
+        const name = `pack-${pack.checksum.toString('hex')}`;
+        const sorted = [...pack.offsets].sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0));
+
+        const index = Buffer.alloc(12 + sorted.length * 24 + 20);
+        index.write('GIDX', 0, 'ascii');
+        index.writeUInt32BE(1, 4);
+        index.writeUInt32BE(sorted.length, 8);
+        sorted.forEach(({ hash, offset }, i) => {
+            Buffer.from(hash, 'hex').copy(index, 12 + i * 24);
+            index.writeUInt32BE(offset, 12 + i * 24 + 20);
+        });
+        pack.checksum.copy(index, 12 + sorted.length * 24);
+
+        // Readers discover packs through their index, so it is written last
+        await fs.mkdir(this.packDir, { recursive: true });
+        await fs.writeFile(path.join(this.packDir, `${name}.pack`), pack.data);
+        await fs.writeFile(path.join(this.packDir, `${name}.idx`), index);
+        this.packs = null;
+        return name;
+    }
+
+    async unpackObjects(data) {
+        const pack = this.parsePack(data);
+        const entries = new Map(pack.entries.map(entry => [entry.hash, entry]));
+        const resolved = new Map();
+        const resolving = new Set();
+
+        const resolve = async hash => {
+            if (resolved.has(hash)) return resolved.get(hash);
+            const entry = entries.get(hash);
+            if (!entry) return this.readObject(hash);
+            if (resolving.has(hash)) {
+                throw new CorruptObjectError(`Delta cycle in pack at ${hash}`, hash);
+            }
+            resolving.add(hash);
+
+            const raw = await inflate(entry.data);
+            const object = { type: entry.type, content: entry.base ? applyDelta((await resolve(entry.base)).content, raw) : raw };
+            if (this.hashObject(object.content, object.type) !== hash) {
+                throw new CorruptObjectError(`Corrupt object in pack: ${hash}`, hash);
+            }
+            resolved.set(hash, object);
+            return object;
+        };
+
+        const missing = [];
+        for (const entry of pack.entries) {
+            await resolve(entry.hash);
+            if (!await this.hasObject(entry.hash)) missing.push(entry);
+        }
+        if (missing.length === 0) return 0;
+
+        // Large transfers are kept as a pack, small ones are exploded into loose objects
+        const unpackLimit = Number(await this.getConfig('transfer.unpackLimit')) || 100;
+        if (pack.entries.length >= unpackLimit) {
+            await this.writePack({ data, offsets: pack.entries.map(({ hash, offset }) => ({ hash, offset })), checksum: pack.checksum });
+        } else {
+            for (const entry of missing) {
+                const { type, content } = resolved.get(entry.hash);
+                await this.writeObject(type, content);
+            }
+        }
+        return missing.length;
+    }
+
+    async getRefHashes() {
+        const hashes = new Set();
+        for (const refFile of await this.listRefFiles(path.join(this.repoPath, 'refs'))) {
+            const hash = (await fs.readFile(refFile, { encoding: 'utf-8' })).trim();
+            if (hash) hashes.add(hash);
+        }
+        return [...hashes];
+    }
+
+    async getBranches() {
+        const branches = {};
+        for (const refFile of await this.listRefFiles(this.refsPath)) {
+            const commitHash = (await fs.readFile(refFile, { encoding: 'utf-8' })).trim();
+            if (commitHash) {
+                branches[path.relative(this.refsPath, refFile).split(path.sep).join('/')] = commitHash;
+            }
+        }
+        return branches;
+    }
+
+    async getTags() {
+        const tags = {};
+        for (const refFile of await this.listRefFiles(this.tagsPath)) {
+            tags[path.relative(this.tagsPath, refFile).split(path.sep).join('/')] = (await fs.readFile(refFile, { encoding: 'utf-8' })).trim();
+        }
+        return tags;
+    }
+
+    async readRef(ref) {
+        try {
+            return (await fs.readFile(path.join(this.repoPath, ref), { encoding: 'utf-8' })).trim() || null;
+        } catch {
+            return null;
+        }
+    }
+
+    async writeRef(ref, hash, reason = null) {
+        // Branch moves always go through the reflog; other refs are logged when given a reason
+        if (ref.startsWith('refs/heads/')) {
+            await this.updateBranchRef(ref.substring('refs/heads/'.length), hash, reason || 'update-ref');
+            return;
+        }
+
+        const refPath = path.join(this.repoPath, ref);
+        const oldHash = reason ? await this.readRef(ref) : null;
+        await fs.mkdir(path.dirname(refPath), { recursive: true });
+        await fs.writeFile(refPath, hash);
+        if (reason) {
+            await this.appendReflog(ref, oldHash, hash, reason);
+        }
+    }
+
+    async getRemotes() {
+        try {
+            return JSON.parse(await fs.readFile(this.remotesConfigPath, { encoding: 'utf-8' }));
+        } catch {
+            return {};
+        }
+    }
+
+    async remote(action, name, url) {
+        const remotes = await this.getRemotes();
+
+        if (!action) {
+            return Object.entries(remotes).map(([remoteName, remote]) => ({ name: remoteName, url: remote.url }));
+        }
+
+        if (action === 'add') {
+            if (!name || !url) {
+                throw new GrootError('Usage: groot remote add <name> <url>', 'EUSAGE');
+            }
+            if (remotes[name]) {
+                throw new GrootError(`Remote ${name} already exists`, 'EEXIST');
+            }
+            remotes[name] = { url: isHttpUrl(url) ? url : path.resolve(url) };
+            await fs.writeFile(this.remotesConfigPath, JSON.stringify(remotes, null, 2));
+            return { added: name, url: remotes[name].url };
+        }
+        if (action === 'remove') {
+            if (!remotes[name]) {
+                throw new GrootError(`No such remote: ${name}`, 'ENOREMOTE');
+            }
+            delete remotes[name];
+            await fs.writeFile(this.remotesConfigPath, JSON.stringify(remotes, null, 2));
+            await fs.rm(path.join(this.remotePath, name), { recursive: true, force: true });
+            return { removed: name };
+        }
+        throw new GrootError(`Unknown remote action: ${action}`, 'EUSAGE');
+    }
+
+    async openRemote(remoteName) {
+        const remote = (await this.getRemotes())[remoteName];
+        if (!remote) {
+            throw new GrootError(`No such remote: ${remoteName}. Add it with "groot remote add ${remoteName} <path>"`, 'ENOREMOTE');
+        }
+
+        if (isHttpUrl(remote.url)) {
+            return new HttpTransport(this, remote.url);
+        }
+        if (await isBundleFile(remote.url)) {
+            return new BundleTransport(this, remote.url);
+        }
+
+        try {
+            await fs.access(path.join(remote.url, '.groot', 'objects'));
+        } catch {
+            throw new NotARepositoryError(remote.url);
+        }
+
+        return new FileTransport(this, new Groot(remote.url));
+    }
+
+    async fetch(remoteName = 'origin') {
+        const transport = await this.openRemote(remoteName);
+        const { branches, tags } = await getRemoteRefs(transport);
+        const received = await transport.fetchObjects([...Object.values(branches), ...Object.values(tags)]);
+        const updates = [];
+
+        for (const [branchName, commitHash] of Object.entries(branches)) {
+            const previous = await this.readRef(`refs/remotes/${remoteName}/${branchName}`);
+            if (previous !== commitHash) {
+                await this.writeRef(`refs/remotes/${remoteName}/${branchName}`, commitHash, previous ? 'fetch: fast-forward' : 'fetch: storing head');
+                updates.push({ type: 'branch', name: branchName, ref: `${remoteName}/${branchName}`, oldHash: previous, newHash: commitHash, status: 'updated' });
+            }
+        }
+
+        for (const [tagName, hash] of Object.entries(tags)) {
+            const localTag = await this.readRef(`refs/tags/${tagName}`);
+            if (!localTag) {
+                await this.writeRef(`refs/tags/${tagName}`, hash);
+                updates.push({ type: 'tag', name: tagName, ref: tagName, oldHash: null, newHash: hash, status: 'updated' });
+            } else if (localTag !== hash) {
+                updates.push({ type: 'tag', name: tagName, ref: tagName, oldHash: localTag, newHash: hash, status: 'rejected' });
+            }
+        }
+
+        return { remote: remoteName, received, updates };
+    }
+
+    async push(remoteName = 'origin', branchName = null, options = {}) {
+        if (!branchName) {
+            branchName = await this.getCurrentBranch();
+        }
+
+        const transport = await this.openRemote(remoteName);
+
+        if (options.tags) {
+            return this.pushTags(transport, remoteName, options);
+        }
+
+        const localCommit = await this.readRef(`refs/heads/${branchName}`);
+        if (!localCommit) {
+            throw new RevisionError(`Branch ${branchName} has no commits to push`, branchName);
+        }
+
+        const { branches } = await transport.getRefs();
+        const remoteCommit = branches[branchName] || null;
+        const result = { remote: remoteName, sent: 0, updates: [] };
+        if (remoteCommit === localCommit) {
+            return result;
+        }
+
+        const ref = `refs/heads/${branchName}`;
+        if (remoteCommit && !options.force && !(await this.getAncestors(localCommit)).has(remoteCommit)) {
+            throw new RejectedError(`Rejected: ${remoteName}/${branchName} has commits you don't have (non-fast-forward)\nPull first with "groot pull ${remoteName} ${branchName}", or use --force to overwrite.`, [ref]);
+        }
+
+        await this.runPrePush(remoteName, [`${ref} ${localCommit} ${ref} ${remoteCommit || NULL_HASH}`], options);
+
+        result.sent = await transport.pushObjects(localCommit);
+        await transport.updateRef(ref, remoteCommit, localCommit, options.force);
+
+        await this.writeRef(`refs/remotes/${remoteName}/${branchName}`, localCommit, 'update by push');
+        result.updates.push({ type: 'branch', name: branchName, oldHash: remoteCommit, newHash: localCommit, forced: Boolean(options.force) });
+        return result;
+    }
+
+    async pushTags(transport, remoteName, options = {}) {
+        const { tags: remoteTags = {} } = await transport.getRefs();
+        const updates = [];
+        const rejected = [];
+        const result = { remote: remoteName, sent: 0, updates: [] };
+
+        for (const [tagName, hash] of Object.entries(await this.getTags())) {
+            const remoteHash = remoteTags[tagName] || null;
+            if (remoteHash === hash) continue;
+
+            if (remoteHash && !options.force) {
+                rejected.push(`refs/tags/${tagName}`);
+                continue;
+            }
+            updates.push({ tagName, hash, remoteHash });
+        }
+
+        const refLines = updates.map(({ tagName, hash, remoteHash }) => `refs/tags/${tagName} ${hash} refs/tags/${tagName} ${remoteHash || NULL_HASH}`);
+        if (updates.length > 0) {
+            await this.runPrePush(remoteName, refLines, options);
+        }
+
+        for (const { tagName, hash, remoteHash } of updates) {
+            result.sent += await transport.pushObjects(hash);
+            await transport.updateRef(`refs/tags/${tagName}`, remoteHash, hash, options.force);
+            result.updates.push({ type: 'tag', name: tagName, oldHash: remoteHash, newHash: hash, forced: Boolean(remoteHash) });
+        }
+
+        if (rejected.length > 0) {
+            const error = new RejectedError(`Rejected tags that already exist on ${remoteName}: ${rejected.map(ref => ref.substring(10)).join(', ')}`, rejected);
+            error.result = result;
+            throw error;
+        }
+        return result;
+    }
+
+    async runPrePush(remoteName, refLines, options = {}) {
+        if (options.verify === false) return;
+
+        const { url } = (await this.getRemotes())[remoteName];
+        const exitCode = await this.runHook('pre-push', [remoteName, url], refLines.map(line => `${line}\n`).join(''));
+        if (exitCode !== 0) {
+            throw new HookError('pre-push', exitCode);
+        }
+    }
+
+    async pull(remoteName = 'origin', branchName = null) {
+        if (!branchName) {
+            branchName = await this.getCurrentBranch();
+        }
+
+        const fetched = await this.fetch(remoteName);
+        const remoteCommit = await this.readRef(`refs/remotes/${remoteName}/${branchName}`);
+        if (!remoteCommit) {
+            throw new RevisionError(`No remote branch: ${remoteName}/${branchName}`, `${remoteName}/${branchName}`);
+        }
+
+        return { fetch: fetched, merge: await this.mergeCommit(remoteCommit, `${remoteName}/${branchName}`, 'pull') };
+    }
+
+    static async clone(source, directory) {
+        const sourceUrl = isHttpUrl(source) ? source : path.resolve(source);
+        if (!isHttpUrl(source) && !await isBundleFile(sourceUrl)) {
+            try {
+                await fs.access(path.join(sourceUrl, '.groot', 'objects'));
+            } catch {
+                throw new NotARepositoryError(source);
+            }
+        }
+
+        const sourceName = path.basename(isHttpUrl(source) ? new URL(source).pathname : sourceUrl).replace(/\.bundle$/, '');
+        const targetDir = directory || sourceName || 'groot-repo';
+        try {
+            if ((await fs.readdir(targetDir)).length > 0) {
+                throw new GrootError(`Destination ${targetDir} already exists and is not empty`, 'EEXIST');
+            }
+        } catch (error) {
+            // A destination that does not exist yet is fine
+            if (error.code === 'EEXIST') throw error;
+        }
+
+        const groot = new Groot(targetDir);
+        await groot.init();
+        await groot.remote('add', 'origin', sourceUrl);
+        const fetched = await groot.fetch('origin');
+
+        const { head, branches } = await getRemoteRefs(await groot.openRemote('origin'));
+        const commitHash = branches[head];
+        const result = { groot, directory: targetDir, branch: commitHash ? head : null, commit: commitHash || null, fetch: fetched };
+        if (!commitHash) {
+            return result;
+        }
+
+        await groot.updateBranchRef(head, commitHash, `clone: from ${source}`);
+        await groot.writeHead(`ref: refs/heads/${head}`, `clone: from ${source}`);
+        await groot.updateWorkingTree([], await groot.getCommitFiles(commitHash));
+        await groot.runHook('post-checkout', [NULL_HASH, commitHash, '1']);
+        return result;
+    }
+
+    async exportFastStream(refNames = []) {
+        const branches = await this.getBranches();
+        const tags = await this.getTags();
+        const refs = [];
+        for (const name of Object.keys(branches).sort()) {
+            if (refNames.length === 0 || refNames.includes(name)) refs.push({ ref: `refs/heads/${name}`, hash: branches[name] });
+        }
+        for (const name of Object.keys(tags).sort()) {
+            if (refNames.length === 0 || refNames.includes(name)) refs.push({ ref: `refs/tags/${name}`, tag: name, hash: tags[name] });
+        }
+        for (const name of refNames) {
+            if (!refs.some(entry => entry.ref.endsWith(`/${name}`))) {
+                throw new RevisionError(`Unknown branch or tag: ${name}`, name);
+            }
+        }
+
+        // Each commit is written to the first ref that reaches it, starting with the checked-out branch
+        const currentRef = `refs/heads/${await this.getCurrentBranch()}`;
+        refs.sort((x, y) => (y.ref === currentRef) - (x.ref === currentRef));
+        const tips = [];
+        for (const entry of refs) {
+            tips.push({ ...entry, commit: await this.peelToCommit(entry.hash) });
+        }
+        const commitRefs = new Map();
+        for (const { ref, commit } of tips) {
+            for (const hash of await this.getAncestors(commit)) {
+                if (!commitRefs.has(hash)) commitRefs.set(hash, ref);
+            }
+        }
+
+        const chunks = [];
+        const marks = new Map();
+        const write = text => chunks.push(Buffer.isBuffer(text) ? text : Buffer.from(text, 'utf-8'));
+        const writeData = data => {
+            const body = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf-8');
+            write(`data ${body.length}\n`);
+            write(body);
+            write('\n');
+        };
+        const nextMark = hash => {
+            marks.set(hash, `:${marks.size + 1}`);
+            return marks.get(hash);
+        };
+
+        const history = await this.walkCommits(tips.map(tip => tip.commit), new Set(), 'topo');
+        for (const { hash, commitData } of history.reverse()) {
+            const parents = this.getParents(commitData);
+            const files = await this.readTree(commitData.tree);
+            const parentFiles = parents.length > 0 ? await this.getCommitFiles(parents[0]) : [];
+            const before = new Map(parentFiles.map(file => [file.path, file.hash]));
+
+            const modified = files.filter(file => before.get(file.path) !== file.hash);
+            for (const file of modified) {
+                if (marks.has(file.hash)) continue;
+                write(`blob\nmark ${nextMark(file.hash)}\n`);
+                writeData(await this.getFileContent(file.hash));
+            }
+
+            const ref = commitRefs.get(hash);
+            if (parents.length === 0) write(`reset ${ref}\n`);
+            write(`commit ${ref}\nmark ${nextMark(hash)}\n`);
+            const author = commitData.author || { name: 'unknown', email: '', timeStamp: commitData.timeStamp };
+            write(`author ${this.formatFastImportIdent(author)}\n`);
+            write(`committer ${this.formatFastImportIdent(commitData.committer || author)}\n`);
+            // Git messages end with a newline, which fast-import strips again
+            writeData(`${commitData.message}\n`);
+            parents.forEach((parent, i) => write(`${i === 0 ? 'from' : 'merge'} ${marks.get(parent)}\n`));
+
+            const paths = new Set(files.map(file => file.path));
+            for (const file of parentFiles.filter(file => !paths.has(file.path))) {
+                write(`D ${quoteFastImportPath(file.path)}\n`);
+            }
+            for (const file of modified) {
+                write(`M 100644 ${marks.get(file.hash)} ${quoteFastImportPath(file.path)}\n`);
+            }
+            write('\n');
+        }
+
+        for (const { ref, tag, hash, commit } of tips) {
+            const { type, content } = await this.readObject(hash);
+            if (type === 'tag') {
+                const tagData = JSON.parse(content.toString('utf-8'));
+                write(`tag ${tag}\nfrom ${marks.get(commit)}\n`);
+                write(`tagger ${this.formatFastImportIdent(tagData.tagger || { name: 'unknown', email: '', timeStamp: tagData.timeStamp })}\n`);
+                writeData(`${tagData.message}\n`);
+            } else {
+                write(`reset ${ref}\nfrom ${marks.get(commit)}\n\n`);
+            }
+        }
+
+        write('done\n');
+        return Buffer.concat(chunks);
+    }
+
+    formatFastImportIdent(identity) {
+        const seconds = Math.floor(new Date(identity.timeStamp).getTime() / 1000);
+        return `${identity.name} <${identity.email}> ${seconds} ${identity.timezone || '+0000'}`;
+    }
+
+    parseFastImportIdent(line) {
+        const match = line.match(/^(?:(.*?) )?<([^>]*)> (\d+) ([+-]\d{4})$/);
+        if (!match) {
+            throw new GrootError(`Invalid identity in fast-import stream: ${line}`, 'EFASTIMPORT');
+        }
+        return {
+            name: match[1] || '',
+            email: match[2],
+            timeStamp: new Date(Number(match[3]) * 1000).toISOString(),
+            timezone: match[4]
+        };
+    }
+
+    async fastExport(refNames = []) {
+        return this.exportFastStream(refNames);
+    }
+
+    async importFastStream(data, options = {}) {
+        const marks = new Map();
+        const refs = new Map();
+        const stats = { blobs: 0, commits: 0, tags: 0 };
+        const dropped = new Set();
+
+        const resolveObject = async dataRef => {
+            if (dataRef.startsWith(':')) {
+                if (!marks.has(dataRef)) throw new GrootError(`Unknown mark ${dataRef} in fast-import stream`, 'EFASTIMPORT');
+                return marks.get(dataRef);
+            }
+            if (/^[0-9a-f]{40}$/.test(dataRef) && await this.hasObject(dataRef)) return dataRef;
+            throw new GrootError(`Unknown object ${dataRef} in fast-import stream`, 'EFASTIMPORT');
+        };
+        const resolveCommit = async commitish => {
+            if (commitish.startsWith(':') || /^[0-9a-f]{40}$/.test(commitish)) return this.peelToCommit(await resolveObject(commitish));
+            const ref = commitish.startsWith('refs/') ? commitish : `refs/heads/${commitish}`;
+            if (refs.has(ref)) return refs.get(ref);
+            return this.resolveRevision(commitish);
+        };
+
+        for (const command of parseFastImport(data)) {
+            if (command.type === 'blob') {
+                const hash = await this.writeObject('blob', command.data);
+                if (command.mark) marks.set(command.mark, hash);
+                stats.blobs++;
+            } else if (command.type === 'reset') {
+                refs.set(command.ref, command.from ? await resolveCommit(command.from) : null);
+            } else if (command.type === 'commit') {
+                let parent = command.from ? await resolveCommit(command.from) : refs.get(command.ref);
+                if (parent === undefined) parent = await this.readRef(command.ref);
+                const parents = [parent, ...await Promise.all(command.merges.map(resolveCommit))].filter(Boolean);
+
+                const files = new Map();
+                if (parents.length > 0) {
+                    for (const file of await this.getCommitFiles(parents[0])) files.set(file.path, file.hash);
+                }
+                for (const change of command.changes) {
+                    if (change.op === 'deleteall') {
+                        files.clear();
+                    } else if (change.op === 'D') {
+                        for (const filePath of [...files.keys()]) {
+                            if (filePath === change.path || filePath.startsWith(`${change.path}/`)) files.delete(filePath);
+                        }
+                    } else if (change.op === 'M') {
+                        if (!/^(100644|100755|644|755|120000)$/.test(change.mode)) {
+                            throw new GrootError(`Unsupported file mode ${change.mode} for ${change.path}`, 'EFASTIMPORT');
+                        }
+                        // Trees only record paths and blobs, so executables and symlinks come back as regular files
+                        if (!/^(100644|644)$/.test(change.mode) && !dropped.has(change.path)) {
+                            dropped.add(change.path);
+                            this.emit('warning', `${change.path}: mode ${change.mode} is not supported and was imported as a regular file (100644)`);
+                        }
+                        files.set(change.path, change.data ? await this.writeObject('blob', change.data) : await resolveObject(change.dataRef));
+                    } else if (change.op === 'R' || change.op === 'C') {
+                        for (const [filePath, hash] of [...files]) {
+                            if (filePath !== change.source && !filePath.startsWith(`${change.source}/`)) continue;
+                            files.set(change.path + filePath.substring(change.source.length), hash);
+                            if (change.op === 'R') files.delete(filePath);
+                        }
+                    }
+                }
+
+                const tree = await this.writeTree([...files].map(([filePath, hash]) => ({ path: filePath, hash })));
+                const author = this.parseFastImportIdent(command.author || command.committer);
+                const committer = this.parseFastImportIdent(command.committer);
+                const message = command.message.toString('utf-8').replace(/\n$/, '');
+                const branch = command.ref.replace(/^refs\/heads\//, '');
+                const hash = await this.writeCommit(tree, parents, message, { author, committer, branch });
+                if (command.mark) marks.set(command.mark, hash);
+                refs.set(command.ref, hash);
+                stats.commits++;
+            } else if (command.type === 'tag') {
+                const tagger = command.tagger ? this.parseFastImportIdent(command.tagger) : await this.getIdentity('committer');
+                const tagData = {
+                    object: await resolveCommit(command.from),
+                    type: 'commit',
+                    tag: command.name,
+                    tagger,
+                    timeStamp: tagger.timeStamp,
+                    message: command.message.toString('utf-8').replace(/\n$/, '')
+                };
+                const hash = await this.writeObject('tag', JSON.stringify(tagData));
+                if (command.mark) marks.set(command.mark, hash);
+                refs.set(`refs/tags/${command.name}`, hash);
+                stats.tags++;
+            }
+        }
+
+        // Refs only move at the end, and branches only fast-forward unless forced
+        const updated = [];
+        const skipped = [];
+        for (const [ref, hash] of refs) {
+            if (!hash) continue;
+            const current = await this.readRef(ref);
+            if (current === hash) continue;
+
+            const fastForward = !current || (ref.startsWith('refs/heads/') && (await this.getAncestors(hash)).has(current));
+            if (!fastForward && !options.force) {
+                skipped.push(ref);
+                continue;
+            }
+            if (ref.startsWith('refs/heads/')) {
+                await this.updateBranchRef(ref.substring('refs/heads/'.length), hash, 'fast-import');
+            } else {
+                await this.writeRef(ref, hash);
+            }
+            updated.push({ ref, hash });
+        }
+
+        return { ...stats, updated, skipped };
+    }
+
+    async fastImport(input = process.stdin, options = {}) {
+        const result = await this.importFastStream(Buffer.isBuffer(input) ? input : await readBody(input), options);
+        const currentBranch = await this.getCurrentBranch();
+        result.worktreeStale = !await this.isDetached() && result.updated.some(({ ref }) => ref === `refs/heads/${currentBranch}`);
+        return result;
+    }
+
+    async listPatchCommits(range, options = {}) {
+        let tip;
+        let excluded = new Set();
+        const maxCount = parseMaxCount(options.maxCount);
+        if (options.root || maxCount !== Infinity) {
+            tip = await this.resolveRevision(range || 'HEAD');
+        } else if (!range) {
+            throw new RevisionError('Specify the commits to format, e.g. "groot format-patch main" or "main..topic"', range);
+        } else if (range.includes('..')) {
+            const { from, to } = await this.resolveRange(range);
+            tip = to;
+            excluded = await this.getAncestors(from);
+        } else {
+            tip = await this.resolveRevision('HEAD');
+            excluded = await this.getAncestors(await this.resolveRevision(range));
+        }
+
+        // Merges have no single diff to mail, so they are left out as Git does
+        let commits = (await this.walkCommits([tip], excluded, 'topo'))
+            .filter(({ commitData }) => this.getParents(commitData).length <= 1);
+        if (maxCount !== Infinity) {
+            commits = commits.slice(0, maxCount);
+        }
+        return commits.reverse();
+    }
+
+    async formatPatchSeries(range, options = {}) {
+        const commits = await this.listPatchCommits(range, options);
+        const patches = [];
+        for (const [i, { hash, commitData }] of commits.entries()) {
+            const subject = commitData.message.split('\n')[0];
+            const slug = subject.replace(/[^A-Za-z0-9._]+/g, '-').substring(0, 52).replace(/^[-.]+|[-.]+$/g, '');
+            patches.push({
+                hash,
+                subject,
+                fileName: `${String(i + 1).padStart(4, '0')}-${slug || 'patch'}.patch`,
+                content: await this.formatPatchMail(hash, commitData, i + 1, commits.length)
+            });
+        }
+        return patches;
+    }
+
+    async formatPatchMail(commitHash, commitData, number, total) {
+        const { changes } = await this.getCommitDiff(commitHash);
+        const author = commitData.author || { ...await this.getIdentity('author'), timeStamp: commitData.timeStamp };
+        const [subject, ...rest] = commitData.message.split('\n');
+        const body = rest.join('\n').trim();
+
+        const diff = [];
+        for (const change of changes) {
+            diff.push(...await this.formatGitDiff(change));
+        }
+        const summary = changes
+            .filter(change => change.status !== 'M')
+            .map(change => change.status === 'A' ? ` create mode 100644 ${change.path}`
+                : change.status === 'D' ? ` delete mode 100644 ${change.path}`
+                    : ` rename ${change.oldPath} => ${change.path} (100%)`);
+
+        const lines = [
+            `From ${commitHash} Mon Sep 17 00:00:00 2001`,
+            `From: ${formatMailAddress(author)}`,
+            `Date: ${formatMailDate(author)}`,
+            `Subject: ${total > 1 ? `[PATCH ${number}/${total}]` : '[PATCH]'} ${encodeMailHeader(subject)}`
+        ];
+        if (/[^\x00-\x7f]/.test(commitData.message + diff.join('\n'))) {
+            lines.push('MIME-Version: 1.0', 'Content-Type: text/plain; charset=UTF-8', 'Content-Transfer-Encoding: 8bit');
+        }
+        lines.push('', ...(body ? [body, ''] : []), '---', ...this.formatDiffStat(changes), ...summary, '');
+        lines.push(...diff, '-- ', 'groot', '', '');
+        return lines.join('\n');
+    }
+
+    async formatGitDiff(change) {
+        const oldPath = change.oldPath || change.path;
+        const lines = [`diff --git ${quotePatchPath('a/', oldPath)} ${quotePatchPath('b/', change.path)}`];
+        if (change.status === 'R') {
+            lines.push('similarity index 100%', `rename from ${quoteFastImportPath(oldPath)}`, `rename to ${quoteFastImportPath(change.path)}`);
+            return lines;
+        }
+
+        if (change.status === 'A') lines.push('new file mode 100644');
+        if (change.status === 'D') lines.push('deleted file mode 100644');
+        // Full blob hashes let "groot am -3" find the preimage for a three-way merge
+        lines.push(`index ${change.oldHash || NULL_HASH}..${change.newHash || NULL_HASH}${change.status === 'M' ? ' 100644' : ''}`);
+
+        if (change.binary) {
+            lines.push('GIT binary patch');
+            for (const hash of [change.newHash, change.oldHash]) {
+                const content = hash ? await this.getFileContent(hash) : Buffer.alloc(0);
+                lines.push(`literal ${content.length}`, ...encodeBinaryLines(await deflate(content)), '');
+            }
+            return lines;
+        }
+        if (change.hunks.length === 0) return lines;
+
+        // Git adds a tab after names with spaces so the end of the name is unambiguous
+        const name = (prefix, filePath) => `${quotePatchPath(prefix, filePath)}${filePath.includes(' ') ? '\t' : ''}`;
+        const range = (start, count) => count === 1 ? `${start}` : `${start},${count}`;
+        lines.push(change.status === 'A' ? '--- /dev/null' : `--- ${name('a/', oldPath)}`);
+        lines.push(change.status === 'D' ? '+++ /dev/null' : `+++ ${name('b/', change.path)}`);
+        for (const hunk of change.hunks) {
+            // Empty ranges point at the line before them, as in printPatch
+            const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+            const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+            lines.push(`@@ -${range(oldStart, hunk.oldLines)} +${range(newStart, hunk.newLines)} @@`, ...hunk.lines);
+        }
+        return lines;
+    }
+
+    async formatPatch(range, options = {}) {
+        const patches = await this.formatPatchSeries(range, options);
+        if (options.stdout || patches.length === 0) {
+            return patches;
+        }
+
+        const directory = options.outputDirectory || '.';
+        await fs.mkdir(directory, { recursive: true });
+        for (const patch of patches) {
+            patch.filePath = path.join(directory, patch.fileName);
+            await fs.writeFile(patch.filePath, patch.content);
+        }
+        return patches;
+    }
+
+    async readPatchMails(patchFiles = []) {
+        const texts = [];
+        if (patchFiles.length === 0) {
+            texts.push((await readBody(process.stdin)).toString('utf-8'));
+        }
+        for (const patchFile of patchFiles) {
+            texts.push(await fs.readFile(patchFile, { encoding: 'utf-8' }));
+        }
+        return texts.flatMap(parseMailbox);
+    }
+
+    locateHunk(lines, hunk, from, offset, fuzz) {
+        // Fuzz drops up to that many context lines from each end of the hunk
+        let head = 0;
+        let tail = hunk.lines.length;
+        while (head < fuzz && head < tail && hunk.lines[head].op === ' ') head++;
+        while (hunk.lines.length - tail < fuzz && tail > head && hunk.lines[tail - 1].op === ' ') tail--;
+
+        const trimmed = hunk.lines.slice(head, tail);
+        const oldLines = trimmed.filter(line => line.op !== '+').map(line => line.text);
+        const newLines = trimmed.filter(line => line.op !== '-').map(line => line.text);
+        const start = (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + head;
+        const matches = at => at >= from && at + oldLines.length <= lines.length
+            && oldLines.every((text, k) => lines[at + k] === text);
+
+        // Search outwards from where the hunk expects to be, after earlier hunks moved things
+        for (let distance = 0; distance <= lines.length; distance++) {
+            for (const at of distance === 0 ? [start + offset] : [start + offset - distance, start + offset + distance]) {
+                if (matches(at)) return { at, shift: at - start, oldLines, newLines };
+            }
+        }
+        return null;
+    }
+
+    applyPatchHunks(content, hunks, maxFuzz = 0) {
+        const lines = this.splitLines(content);
+        const result = [];
+        let position = 0;
+        let offset = 0;
+        let fuzzUsed = 0;
+
+        for (const hunk of hunks) {
+            let applied = null;
+            for (let fuzz = 0; fuzz <= maxFuzz && !applied; fuzz++) {
+                applied = this.locateHunk(lines, hunk, position, offset, fuzz);
+                if (applied) fuzzUsed = Math.max(fuzzUsed, fuzz);
+            }
+            if (!applied) return { content: null, hunk };
+
+            result.push(...lines.slice(position, applied.at), ...applied.newLines);
+            position = applied.at + applied.oldLines.length;
+            offset = applied.shift;
+        }
+
+        result.push(...lines.slice(position));
+        return { content: result.join(''), fuzz: fuzzUsed };
+    }
+
+    async applyBinaryPatch(file, oldContent) {
+        if (!file.binary.forward) {
+            throw new GrootError(`${file.newPath}: cannot apply a binary patch without its data`, 'EPATCH');
+        }
+        if (/^[0-9a-f]{40}$/.test(file.oldHash || '') && this.hashObject(oldContent || Buffer.alloc(0)) !== file.oldHash
+            && file.oldHash !== NULL_HASH) {
+            throw new GrootError(`${file.oldPath}: binary patch does not apply`, 'EPATCH');
+        }
+
+        const { method, size, lines } = file.binary.forward;
+        const data = await inflate(decodeBinaryLines(lines));
+        if (data.length !== size) {
+            throw new GrootError(`${file.newPath}: corrupt binary patch`, 'EPATCH');
+        }
+        try {
+            return method === 'literal' ? data : applyDelta(oldContent || Buffer.alloc(0), data);
+        } catch {
+            throw new GrootError(`${file.oldPath}: binary patch does not apply`, 'EPATCH');
+        }
+    }
+
+    async findPatchBase(file) {
+        if (!file.oldHash) return null;
+        if (/^0+$/.test(file.oldHash)) return '';
+        const matches = file.oldHash.length === 40
+            ? (await this.hasObject(file.oldHash) ? [file.oldHash] : [])
+            : await this.findObjectsByPrefix(file.oldHash);
+        return matches.length === 1 ? (await this.getFileContent(matches[0])).toString('utf-8') : null;
+    }
+
+    async applyPatchSet(files, options = {}) {
+        const fuzz = Number(options.fuzz ?? 2);
+        const useIndex = Boolean(options.index || options.threeWay);
+        const { index, headFiles, indexFiles } = await this.readStagingState();
+        const indexed = new Map(indexFiles.map(file => [file.path, file.hash]));
+
+        // Later files in a patch see what earlier ones did to the same path
+        const pending = new Map();
+        const readCurrent = async filePath => {
+            if (pending.has(filePath)) return pending.get(filePath);
+            if (!useIndex) {
+                try {
+                    return await fs.readFile(path.join(this.workingDir, filePath));
+                } catch {
+                    return null;
+                }
+            }
+
+            const hash = indexed.get(filePath);
+            if (await this.hashWorkingFile(filePath) !== (hash || null)) {
+                throw new GrootError(`${filePath}: does not match index`, 'EPATCH');
+            }
+            return hash ? this.getFileContent(hash) : null;
+        };
+
+        const results = [];
+        for (const file of files) {
+            const source = file.status === 'A' ? null : file.oldPath;
+            const oldContent = source === null ? null : await readCurrent(source);
+            if (source !== null && oldContent === null) {
+                throw new GrootError(`${source}: does not exist`, 'EPATCH');
+            }
+            if (file.newPath !== source && file.status !== 'D' && await readCurrent(file.newPath) !== null) {
+                throw new GrootError(`${file.newPath}: already exists`, 'EPATCH');
+            }
+
+            let content;
+            let conflict = false;
+            let fuzzUsed = 0;
+            if (file.binary) {
+                content = await this.applyBinaryPatch(file, oldContent);
+            } else if (file.hunks.length === 0) {
+                // Pure renames and new empty files carry no hunks; keep the bytes as they are
+                content = oldContent || Buffer.alloc(0);
+            } else {
+                const ours = oldContent ? oldContent.toString('utf-8') : '';
+                const applied = this.applyPatchHunks(ours, file.hunks, fuzz);
+                if (applied.content !== null) {
+                    content = applied.content;
+                    fuzzUsed = applied.fuzz;
+                } else if (options.threeWay) {
+                    // Rebuild the change on the blob the patch was made against, then merge it in
+                    const base = await this.findPatchBase(file);
+                    const theirs = base === null ? null : this.applyPatchHunks(base, file.hunks).content;
+                    if (theirs === null) {
+                        throw new GrootError(`${source}: patch does not apply and the repository lacks the blob it was made against`, 'EPATCH');
+                    }
+                    ({ content, conflict } = this.mergeLines(base, ours, theirs, options.label || 'patch'));
+                } else {
+                    throw new GrootError(`patch failed: ${source}:${applied.hunk.oldStart}`, 'EPATCH');
+                }
+            }
+
+            if (file.status === 'D' && content.length > 0 && !conflict) {
+                throw new GrootError(`${source}: removal patch leaves file contents`, 'EPATCH');
+            }
+            if (source !== null && (file.status === 'D' || (source !== file.newPath && file.status !== 'C'))) {
+                pending.set(source, null);
+                results.push({ path: source, deleted: true });
+            }
+            if (file.status !== 'D') {
+                pending.set(file.newPath, Buffer.from(content));
+                results.push({ path: file.newPath, content, conflict, fuzz: fuzzUsed });
+            }
+        }
+
+        // Nothing is written until every file applied, so a failed patch leaves the tree alone
+        if (!options.check) {
+            for (const result of results) {
+                if (result.deleted) {
+                    await this.removeWorkingFile(result.path);
+                } else {
+                    await this.writeWorkingFile(result.path, result.content);
+                }
+                if (!useIndex) continue;
+
+                if (result.conflict) {
+                    const existing = index.findIndex(entry => entry.path === result.path);
+                    if (existing !== -1) index.splice(existing, 1);
+                    index.push({ path: result.path, hash: null, conflict: true });
+                } else {
+                    this.stageEntry(index, headFiles, result.path, result.deleted ? null : await this.writeObject('blob', result.content));
+                }
+            }
+            if (useIndex) {
+                await fs.writeFile(this.indexPath, JSON.stringify(index));
+            }
+        }
+
+        return {
+            files: results.map(({ path: filePath, deleted = false, conflict = false, fuzz: fuzzUsed = 0 }) => ({ path: filePath, deleted, conflict, fuzz: fuzzUsed })),
+            conflicts: results.filter(result => result.conflict).map(result => result.path)
+        };
+    }
+
+    async apply(patchFiles = [], options = {}) {
+        const files = (await this.readPatchMails(patchFiles)).flatMap(mail => mail.files);
+        if (files.length === 0) {
+            throw new GrootError('No valid patches in input', 'EPATCH');
+        }
+        const result = await this.applyPatchSet(files, options);
+        if (result.conflicts.length > 0 && !options.check) {
+            const error = new ConflictError('Fix the conflicts and mark them resolved with "groot add <file>"', result.conflicts);
+            error.result = result;
+            throw error;
+        }
+        return result;
+    }
+
+    async am(patchFiles = [], options = {}) {
+        if (options.abort) {
+            return this.abortAm();
+        }
+
+        if (options.continue) {
+            return this.continueAm();
+        }
+
+        if (options.skip) {
+            return this.skipAm();
+        }
+
+        if (await this.readAmState()) {
+            throw new MergeError('An am session is already in progress. Use "groot am --continue", "--skip" or "--abort"');
+        }
+
+        if (await this.getMergeHead() || await this.readSequencer() || await this.readRebaseState()) {
+            throw new MergeError('A merge, cherry-pick, revert or rebase is already in progress');
+        }
+
+        const origHead = await this.getCurrentHead();
+        if (!origHead) {
+            throw new RevisionError('You need at least one commit to apply patches on', 'HEAD');
+        }
+
+        const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+        if (index.length > 0) {
+            throw new LocalChangesError(index.map(entry => entry.path), 'Your index has staged changes:', 'Commit or stash them first.');
+        }
+
+        const mails = await this.readPatchMails(patchFiles);
+        if (mails.length === 0 || mails.some(mail => !mail.author || !mail.subject)) {
+            throw new GrootError('Patch format detection failed: expected emails written by "groot format-patch"', 'EPATCH');
+        }
+
+        await this.writeAmState({ origHead, mails, next: 0, skipped: 0, stopped: false, threeWay: Boolean(options.threeWay), fuzz: options.fuzz });
+        return this.runAm();
+    }
+
+    async readAmState() {
+        try {
+            return JSON.parse(await fs.readFile(this.amStatePath, { encoding: 'utf-8' }));
+        } catch {
+            return null;
+        }
+    }
+
+    async writeAmState(state) {
+        await fs.writeFile(this.amStatePath, JSON.stringify(state));
+    }
+
+    async runAm() {
+        let state = await this.readAmState();
+        while (state.next < state.mails.length) {
+            const mail = state.mails[state.next];
+            this.emit('progress', { operation: 'am', message: `Applying: ${mail.subject}` });
+
+            let result = null;
+            let problem = null;
+            if (mail.files.length === 0) {
+                problem = 'Patch is empty.';
+            } else {
+                try {
+                    result = await this.applyPatchSet(mail.files, { index: true, threeWay: state.threeWay, fuzz: state.fuzz, label: mail.subject });
+                } catch (error) {
+                    problem = `error: ${error.message}`;
+                }
+            }
+
+            const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+            if (result && result.conflicts.length === 0 && index.length === 0) {
+                problem = 'No changes -- patch already applied.';
+                result = null;
+            }
+
+            if (!result || result.conflicts.length > 0) {
+                await this.writeAmState({ ...state, stopped: true });
+                const message = [
+                    ...(problem ? [problem] : []),
+                    `Patch failed at ${String(state.next + 1).padStart(4, '0')} ${mail.subject}`,
+                    'Resolve the problem and stage the result, then run "groot am --continue", or use "--skip" or "--abort".'
+                ].join('\n');
+                throw result ? new ConflictError(message, result.conflicts) : new GrootError(message, 'EPATCH');
+            }
+
+            await this.commit(mail.message, { author: mail.author, reason: 'am', verify: false });
+            state = { ...state, next: state.next + 1, stopped: false };
+            await this.writeAmState(state);
+        }
+
+        await fs.rm(this.amStatePath, { force: true });
+        return { status: 'applied', applied: state.mails.length - state.skipped, skipped: state.skipped };
+    }
+
+    async continueAm() {
+        const state = await this.readAmState();
+        if (!state) {
+            throw new MergeError('No am in progress');
+        }
+
+        if (state.stopped) {
+            const index = JSON.parse(await fs.readFile(this.indexPath, { encoding: 'utf-8' }));
+            const unresolved = index.filter(entry => entry.conflict).map(entry => entry.path);
+            if (unresolved.length > 0) {
+                throw new ConflictError('Cannot continue with unresolved conflicts', unresolved);
+            }
+
+            if (index.length === 0) {
+                throw new GrootError('No changes staged. Did you forget "groot add"? Use "groot am --skip" to drop this patch.', 'ENOCHANGES');
+            }
+
+            const mail = state.mails[state.next];
+            await this.commit(mail.message, { author: mail.author, reason: 'am', verify: false });
+            await this.writeAmState({ ...state, next: state.next + 1, stopped: false });
+        }
+
+        return this.runAm();
+    }
+
+    async skipAm() {
+        const state = await this.readAmState();
+        if (!state) {
+            throw new MergeError('No am in progress');
+        }
+
+        await this.resetTo(await this.getCurrentHead(), 'hard', 'am: skip');
+        await this.writeAmState({ ...state, next: state.next + 1, skipped: state.skipped + 1, stopped: false });
+        return this.runAm();
+    }
+
+    async abortAm() {
+        const state = await this.readAmState();
+        if (!state) {
+            throw new MergeError('No am in progress');
+        }
+
+        await this.resetTo(state.origHead, 'hard', 'am --abort');
+        await fs.rm(this.amStatePath, { force: true });
+        return { status: 'aborted', commit: state.origHead };
+    }
+
+    async createBundle(bundleFile, revisions = [], options = {}) {
+        const refs = new Map();
+        const excluded = [];
+        const addRef = async name => {
+            const candidates = name === 'HEAD' || name.startsWith('refs/') ? [name] : [`refs/heads/${name}`, `refs/tags/${name}`];
+            for (const ref of candidates.filter(candidate => candidate === 'HEAD' || isValidRefName(candidate))) {
+                const hash = ref === 'HEAD' ? await this.getCurrentHead() : await this.readRef(ref);
+                if (hash) {
+                    refs.set(ref, hash);
+                    return;
+                }
+            }
+            throw new RevisionError(`Not a branch or tag: ${name}`, name);
+        };
+
+        if (options.all) {
+            if (await this.getCurrentHead()) await addRef('HEAD');
+            for (const name of Object.keys(await this.getBranches()).sort()) await addRef(`refs/heads/${name}`);
+            for (const name of Object.keys(await this.getTags()).sort()) await addRef(`refs/tags/${name}`);
+        }
+        for (const revision of revisions) {
+            if (revision.startsWith('^')) {
+                excluded.push(await this.resolveRevision(revision.substring(1)));
+            } else if (revision.includes('..')) {
+                const [from, to] = revision.split('..');
+                excluded.push(await this.resolveRevision(from || 'HEAD'));
+                await addRef(to || 'HEAD');
+            } else {
+                await addRef(revision);
+            }
+        }
+        if (refs.size === 0) {
+            throw new GrootError('Refusing to create an empty bundle', 'EBUNDLE');
+        }
+
+        // The receiver must already have the boundary commits the bundle's history stops at
+        const known = new Set();
+        for (const hash of excluded) {
+            for (const ancestor of await this.getAncestors(hash)) known.add(ancestor);
+        }
+        const tips = [];
+        for (const hash of refs.values()) {
+            tips.push(await this.peelToCommit(hash));
+        }
+        const prerequisites = new Set(tips.filter(hash => known.has(hash)));
+        for (const { commitData } of await this.walkCommits(tips, known)) {
+            this.getParents(commitData).filter(parent => known.has(parent)).forEach(parent => prerequisites.add(parent));
+        }
+
+        const present = await this.reachableObjects([...prerequisites]);
+        const objects = await this.collectObjects([...new Set(refs.values())], async hash => present.has(hash));
+        const header = [BUNDLE_SIGNATURE];
+        for (const hash of prerequisites) {
+            header.push(`-${hash} ${(await this.readCommit(hash)).message.split('\n')[0]}`);
+        }
+        for (const [ref, hash] of refs) {
+            header.push(`${hash} ${ref}`);
+        }
+
+        await fs.writeFile(bundleFile, Buffer.concat([Buffer.from(`${header.join('\n')}\n\n`, 'utf-8'), await this.packObjects(objects)]));
+        return { refs: [...refs].map(([name, hash]) => ({ name, hash })), prerequisites: [...prerequisites], objects: objects.length };
+    }
+
+    async verifyBundle(bundleFile) {
+        const bundle = parseBundle(await fs.readFile(bundleFile));
+        const missing = [];
+        for (const { hash } of bundle.prerequisites) {
+            if (!await this.hasObject(hash)) missing.push(hash);
+        }
+        return { ...bundle, objects: this.parsePack(bundle.pack).entries.length, missing };
+    }
+
+    async bundle(action, bundleFile, args = [], options = {}) {
+        if (!['create', 'verify', 'list-heads', 'unbundle'].includes(action)) {
+            throw new GrootError(`Unknown bundle action: ${action}`, 'EUSAGE');
+        }
+        if (!bundleFile) {
+            throw new GrootError(`Usage: groot bundle ${action} <file>${action === 'create' ? ' <refs...>' : ''}`, 'EUSAGE');
+        }
+
+        if (action === 'create') {
+            return this.createBundle(bundleFile, args, options);
+        }
+        if (action === 'verify') {
+            return this.verifyBundle(bundleFile);
+        }
+        if (action === 'list-heads') {
+            const { refs } = parseBundle(await fs.readFile(bundleFile));
+            return { refs: refs.filter(({ name }) => args.length === 0 || args.some(pattern => name === pattern || name.endsWith(`/${pattern}`))) };
+        }
+
+        const transport = new BundleTransport(this, bundleFile);
+        const received = await transport.fetchObjects();
+        return { refs: (await transport.read()).refs, received };
+    }
+
+    // Applies a ref update sent by a pushing client, checking it here rather than trusting the client
+    async receiveRefUpdate(ref, oldHash, newHash, force = false) {
+        if (!isValidRefName(ref)) {
+            throw new GrootError(`Invalid ref name: ${ref}`, 'EBADREF');
+        }
+
+        const isTag = ref.startsWith('refs/tags/');
+        const current = await this.readRef(ref);
+        if (current !== (oldHash || null)) {
+            throw new RejectedError(`Stale info: ${ref} is now at ${current}`, [ref]);
+        }
+        if (!await this.hasObject(newHash) || (!isTag && !await this.getCommitData(newHash))) {
+            throw new ObjectNotFoundError(newHash);
+        }
+        if (current && !force) {
+            if (isTag) {
+                throw new RejectedError('Tag already exists', [ref]);
+            }
+            if (!(await this.getAncestors(newHash)).has(current)) {
+                throw new RejectedError('Non-fast-forward update rejected', [ref]);
+            }
+        }
+
+        // Moving the checked-out branch would leave this repository's worktree and index behind it
+        const checkedOut = ref === `refs/heads/${await this.getCurrentBranch()}` && !await this.isDetached();
+        if (checkedOut && (await this.getConfig('receive.denyCurrentBranch') || 'refuse') !== 'ignore') {
+            throw new RejectedError(`Refusing to update checked out branch ${ref}; set receive.denyCurrentBranch to "ignore" on the remote to allow it`, [ref]);
+        }
+
+        await this.writeRef(ref, newHash, force ? 'push (forced)' : 'push');
+        if (checkedOut) {
+            await this.appendReflog('HEAD', current, newHash, 'push');
+        }
+    }
+
+    async serve(options = {}) {
+        const port = Number(options.port ?? 8080);
+        const token = options.token || process.env.GROOT_SERVE_TOKEN;
+
+        const server = http.createServer((request, response) => {
+            this.handleRequest(request, response, token).catch(error => {
+                const status = { ETOOLARGE: 413, EBADREQUEST: 400, EBADOBJECT: 400 }[error.code] || 500;
+                if (status === 413) response.setHeader('Connection', 'close');
+                sendJson(response, status, { error: error.message });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, options.host, resolve);
+        });
+        return server;
+    }
+
+    async handleRequest(request, response, token) {
+        // Only the last path segment matters, so clients may use any prefix such as /my-repo
+        const { pathname: requestPath } = new URL(request.url, 'http://localhost');
+        const pathname = '/' + requestPath.split('/').pop();
+        this.emit('request', { method: request.method, path: requestPath });
+
+        // Pushes are refused before their body is read, so unauthenticated clients cannot make the server buffer a pack
+        if (request.method === 'POST' && (pathname === '/objects' || pathname === '/refs')) {
+            if (!token) {
+                refuseRequest(request, response, 403, 'Push is disabled on this server');
+                return;
+            }
+            if (!tokensMatch(request.headers.authorization, `Bearer ${token}`)) {
+                refuseRequest(request, response, 401, 'Authentication failed');
+                return;
+            }
+        }
+        const body = await readBody(request, pathname === '/objects' ? MAX_PACK_BODY : MAX_REQUEST_BODY);
+
+        if (request.method === 'GET' && pathname === '/refs') {
+            sendJson(response, 200, {
+                head: await this.getCurrentBranch(),
+                branches: await this.getBranches(),
+                tags: await this.getTags()
+            });
+            return;
+        }
+
+        if (request.method === 'POST' && pathname === '/negotiate') {
+            const { haves = [] } = parseJsonBody(body);
+            if (!Array.isArray(haves)) {
+                sendJson(response, 400, { error: 'haves must be a list of object hashes' });
+                return;
+            }
+            const common = [];
+            for (const hash of haves) {
+                if (await this.hasObject(hash)) common.push(hash);
+            }
+            sendJson(response, 200, { common });
+            return;
+        }
+
+        if (request.method === 'POST' && pathname === '/fetch') {
+            const { wants = [], haves = [] } = parseJsonBody(body);
+            if (!Array.isArray(wants) || !Array.isArray(haves) || ![...wants, ...haves].every(isObjectHash)) {
+                sendJson(response, 400, { error: 'wants and haves must be lists of object hashes' });
+                return;
+            }
+            for (const hash of wants) {
+                if (!await this.hasObject(hash)) {
+                    sendJson(response, 404, { error: `Unknown object: ${hash}` });
+                    return;
+                }
+            }
+
+            const known = [];
+            for (const hash of haves) {
+                if (await this.hasObject(hash)) known.push(hash);
+            }
+            const excluded = await this.reachableObjects(known);
+            const hashes = await this.collectObjects(wants, async hash => excluded.has(hash));
+
+            response.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            response.end(await this.packObjects(hashes));
+            return;
+        }
+
+        if (request.method === 'POST' && (pathname === '/objects' || pathname === '/refs')) {
+            if (pathname === '/objects') {
+                let received;
+                try {
+                    received = await this.unpackObjects(body);
+                } catch (error) {
+                    if (error.code !== 'ECORRUPT') throw error;
+                    sendJson(response, 400, { error: error.message });
+                    return;
+                }
+                sendJson(response, 200, { received });
+                return;
+            }
+
+            const update = parseJsonBody(body);
+            try {
+                await this.receiveRefUpdate(update.ref, update.old, update.new, update.force);
+            } catch (error) {
+                const status = { EBADREF: 400, ENOOBJECT: 400, EBADOBJECT: 400 }[error.code] || (error.code === 'EREJECTED' ? 409 : 500);
+                sendJson(response, status, { error: error.message });
+                return;
+            }
+            sendJson(response, 200, { updated: update.ref });
+            return;
+        }
+
+        sendJson(response, 404, { error: `Not found: ${request.method} ${pathname}` });
+    }
+}
+
+class FileTransport {
+
+    constructor(local, remote) {
+        this.local = local;
+        this.remote = remote;
+    }
+
+    async getRefs() {
+        return {
+            head: await this.remote.getCurrentBranch(),
+            branches: await this.remote.getBranches(),
+            tags: await this.remote.getTags()
+        };
+    }
+
+    async fetchObjects(wants) {
+        let received = 0;
+        for (const hash of new Set(wants)) {
+            received += await this.remote.sendObjects(this.local, hash);
+        }
+        return received;
+    }
+
+    async pushObjects(commitHash) {
+        return this.local.sendObjects(this.remote, commitHash);
+    }
+
+    async updateRef(ref, oldHash, newHash, force = false) {
+        await this.remote.receiveRefUpdate(ref, oldHash, newHash, force);
+    }
+}
+
+class HttpTransport {
+
+    constructor(local, url) {
+        this.local = local;
+        this.url = url.replace(/\/+$/, '');
+        this.token = process.env.GROOT_HTTP_TOKEN;
+    }
+
+    async request(endpoint, { method = 'GET', json, body } = {}) {
+        const headers = {};
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+        if (json) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(json);
+        } else if (body) {
+            headers['Content-Type'] = 'application/octet-stream';
+        }
+
+        const response = await fetch(`${this.url}${endpoint}`, { method, headers, body });
+        if (!response.ok) {
+            let message = `${response.status} ${response.statusText}`;
+            try {
+                message = (await response.json()).error;
+            } catch {
+                // Keep the HTTP status as the message
+            }
+            throw response.status === 409 ? new RejectedError(message) : new GrootError(message, 'EREMOTE');
+        }
+        return response;
+    }
+
+    async getRefs() {
+        return (await this.request('/refs')).json();
+    }
+
+    async fetchObjects(wants) {
+        const haves = await this.local.getRefHashes();
+        const { common } = await (await this.request('/negotiate', { method: 'POST', json: { haves } })).json();
+        const response = await this.request('/fetch', { method: 'POST', json: { wants, haves: common } });
+        return this.local.unpackObjects(Buffer.from(await response.arrayBuffer()));
+    }
+
+    async pushObjects(commitHash) {
+        const { branches, tags = {} } = await this.getRefs();
+        const known = [];
+        for (const hash of [...Object.values(branches), ...Object.values(tags)]) {
+            if (await this.local.hasObject(hash)) known.push(hash);
+        }
+
+        const excluded = await this.local.reachableObjects(known);
+        const hashes = await this.local.collectObjects([commitHash], async hash => excluded.has(hash));
+        if (hashes.length > 0) {
+            await this.request('/objects', { method: 'POST', body: await this.local.packObjects(hashes) });
+        }
+        return hashes.length;
+    }
+
+    async updateRef(ref, oldHash, newHash, force = false) {
+        await this.request('/refs', {
+            method: 'POST',
+            json: { ref, old: oldHash, new: newHash, force: Boolean(force) }
+        });
+    }
+}
+
+class BundleTransport {
+
+    constructor(local, bundlePath) {
+        this.local = local;
+        this.bundlePath = bundlePath;
+        this.bundle = null;
+    }
+
+    async read() {
+        if (!this.bundle) {
+            this.bundle = parseBundle(await fs.readFile(this.bundlePath));
+        }
+        return this.bundle;
+    }
+
+    async getRefs() {
+        const { refs } = await this.read();
+        const branches = {};
+        const tags = {};
+        for (const { name, hash } of refs) {
+            if (name.startsWith('refs/heads/')) branches[name.substring(11)] = hash;
+            if (name.startsWith('refs/tags/')) tags[name.substring(10)] = hash;
+        }
+
+        // A bundle only records the commit HEAD was at, so take the first branch pointing there
+        const head = refs.find(ref => ref.name === 'HEAD');
+        const names = Object.keys(branches);
+        return { head: (head && names.find(name => branches[name] === head.hash)) || names[0] || null, branches, tags };
+    }
+
+    async fetchObjects() {
+        const { prerequisites, pack } = await this.read();
+        const missing = [];
+        for (const { hash } of prerequisites) {
+            if (!await this.local.hasObject(hash)) missing.push(hash);
+        }
+        if (missing.length > 0) {
+            throw new GrootError(`Repository lacks these prerequisite commits: ${missing.join(', ')}`, 'EBUNDLE');
+        }
+        return this.local.unpackObjects(pack);
+    }
+
+    async pushObjects() {
+        throw new GrootError('Cannot push to a bundle', 'EBUNDLE');
+    }
+
+    async updateRef() {
+        throw new GrootError('Cannot push to a bundle', 'EBUNDLE');
+    }
+}
+
+// The remote decides which names and hashes it advertises, so check them before they become local refs
+async function getRemoteRefs(transport) {
+    const { head = null, branches = {}, tags = {} } = await transport.getRefs();
+    const refs = [
+        ...Object.entries(branches).map(([name, hash]) => [`refs/heads/${name}`, hash]),
+        ...Object.entries(tags).map(([name, hash]) => [`refs/tags/${name}`, hash])
+    ];
+    for (const [ref, hash] of refs) {
+        if (!isValidRefName(ref)) {
+            throw new GrootError(`Remote advertised an invalid ref name: ${ref}`, 'EBADREF');
+        }
+        if (!isObjectHash(hash)) {
+            throw new GrootError(`Remote advertised an invalid object hash for ${ref}: ${hash}`, 'EBADREF');
+        }
+    }
+    // A detached or unborn remote HEAD names no advertised branch, and is then of no use to a clone
+    return { head: Object.hasOwn(branches, head) ? head : null, branches, tags };
+}
+
+function indexDeltaBase(base) {
+    const index = new Map();
+    for (let i = 0; i + DELTA_BLOCK <= base.length; i += DELTA_BLOCK) {
+        const key = base.toString('latin1', i, i + DELTA_BLOCK);
+        if (!index.has(key)) index.set(key, i);
+    }
+    return index;
+}
+
+function encodeVarint(value) {
+    const bytes = [];
+    do {
+        let byte = value & 0x7f;
+        value = Math.floor(value / 128);
+        if (value > 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (value > 0);
+    return Buffer.from(bytes);
+}
+
+function decodeVarint(buffer, offset) {
+    let value = 0;
+    let shift = 1;
+    let byte;
+    do {
+        byte = buffer[offset++];
+        value += (byte & 0x7f) * shift;
+        shift *= 128;
+    } while (byte & 0x80);
+    return [value, offset];
+}
+
+// Deltas are a list of copy (0x80, offset, length) and insert (n < 128, bytes) instructions
+function createDelta(base, target, baseIndex = indexDeltaBase(base)) {
+    const chunks = [encodeVarint(base.length), encodeVarint(target.length)];
+    const pushInsert = (start, end) => {
+        for (let i = start; i < end; i += 127) {
+            const length = Math.min(127, end - i);
+            chunks.push(Buffer.from([length]), target.subarray(i, i + length));
+        }
+    };
+
+    let position = 0;
+    let insertStart = 0;
+    while (position + DELTA_BLOCK <= target.length) {
+        const match = baseIndex.get(target.toString('latin1', position, position + DELTA_BLOCK));
+        if (match === undefined) {
+            position++;
+            continue;
+        }
+
+        let baseStart = match;
+        let targetStart = position;
+        while (baseStart > 0 && targetStart > insertStart && base[baseStart - 1] === target[targetStart - 1]) {
+            baseStart--;
+            targetStart--;
+        }
+        let baseEnd = match + DELTA_BLOCK;
+        let targetEnd = position + DELTA_BLOCK;
+        while (baseEnd < base.length && targetEnd < target.length && base[baseEnd] === target[targetEnd]) {
+            baseEnd++;
+            targetEnd++;
+        }
+
+        pushInsert(insertStart, targetStart);
+        const copy = Buffer.alloc(9);
+        copy.writeUInt8(0x80, 0);
+        copy.writeUInt32BE(baseStart, 1);
+        copy.writeUInt32BE(baseEnd - baseStart, 5);
+        chunks.push(copy);
+
+        position = targetEnd;
+        insertStart = targetEnd;
+    }
+    pushInsert(insertStart, target.length);
+
+    return Buffer.concat(chunks);
+}
+
+function applyDelta(base, delta) {
+    const [baseSize, afterBaseSize] = decodeVarint(delta, 0);
+    const [targetSize, start] = decodeVarint(delta, afterBaseSize);
+    if (baseSize !== base.length) {
+        throw new CorruptObjectError('Delta does not match its base object');
+    }
+
+    const result = Buffer.alloc(targetSize);
+    let position = 0;
+    let offset = start;
+    while (offset < delta.length) {
+        const op = delta[offset++];
+        let length;
+        if (op === 0x80) {
+            const start = delta.readUInt32BE(offset);
+            length = delta.readUInt32BE(offset + 4);
+            offset += 8;
+            if (start + length > base.length || position + length > targetSize) {
+                throw new CorruptObjectError('Delta copies outside its base object');
+            }
+            base.copy(result, position, start, start + length);
+        } else if (op > 0 && op < 0x80) {
+            length = op;
+            if (offset + length > delta.length || position + length > targetSize) {
+                throw new CorruptObjectError('Truncated delta');
+            }
+            delta.copy(result, position, offset, offset + length);
+            offset += length;
+        } else {
+            throw new CorruptObjectError(`Invalid delta instruction: ${op}`);
+        }
+        position += length;
+    }
+
+    if (position !== targetSize) {
+        throw new CorruptObjectError('Delta produced an object of the wrong size');
+    }
+    return result;
+}
+
+function quoteFastImportPath(filePath) {
+    if (!/["\\\n]/.test(filePath)) return filePath;
+    return `"${filePath.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+// Splits a path off the front of a command argument, undoing C-style quoting
+function readFastImportPath(text, last = true) {
+    if (!text.startsWith('"')) {
+        const space = last ? -1 : text.indexOf(' ');
+        return space === -1 ? { path: text, rest: '' } : { path: text.substring(0, space), rest: text.substring(space + 1) };
+    }
+
+    const escapes = { a: 7, b: 8, f: 12, n: 10, r: 13, t: 9, v: 11, '"': 34, '\\': 92 };
+    const bytes = [];
+    let i = 1;
+    while (i < text.length && text[i] !== '"') {
+        if (text[i] !== '\\') {
+            bytes.push(...Buffer.from(text[i], 'utf-8'));
+            i++;
+        } else if (/^[0-7]{3}$/.test(text.substring(i + 1, i + 4))) {
+            bytes.push(parseInt(text.substring(i + 1, i + 4), 8));
+            i += 4;
+        } else if (escapes[text[i + 1]] !== undefined) {
+            bytes.push(escapes[text[i + 1]]);
+            i += 2;
+        } else {
+            throw new GrootError(`Invalid escape in path: ${text}`, 'EFASTIMPORT');
+        }
+    }
+    if (i >= text.length) {
+        throw new GrootError(`Unterminated quoted path: ${text}`, 'EFASTIMPORT');
+    }
+    return { path: Buffer.from(bytes).toString('utf-8'), rest: text.substring(i + 1).replace(/^ /, '') };
+}
+
+function parseFastImport(data) {
+    const commands = [];
+    let position = 0;
+
+    const readLine = () => {
+        if (position >= data.length) return null;
+        let end = data.indexOf(0x0a, position);
+        if (end === -1) end = data.length;
+        const line = data.subarray(position, end).toString('utf-8');
+        position = end + 1;
+        return line;
+    };
+    const peekLine = () => {
+        const saved = position;
+        const line = readLine();
+        position = saved;
+        return line;
+    };
+    const readOptional = keyword => {
+        const line = peekLine();
+        if (line === null || !line.startsWith(`${keyword} `)) return null;
+        readLine();
+        return line.substring(keyword.length + 1);
+    };
+    const checkRef = ref => {
+        if (!isValidRefName(ref)) {
+            throw new GrootError(`Invalid ref name in fast-import stream: ${ref}`, 'EFASTIMPORT');
+        }
+        return ref;
+    };
+    const checkPath = filePath => {
+        if (!isSafePath(filePath)) {
+            throw new GrootError(`Invalid path in fast-import stream: ${filePath}`, 'EFASTIMPORT');
+        }
+        return filePath;
+    };
+    const readData = () => {
+        const header = readLine();
+        const match = header !== null && header.match(/^data (?:(\d+)|<<(.+))$/);
+        if (!match) {
+            throw new GrootError(`Expected a data command, found: ${header}`, 'EFASTIMPORT');
+        }
+
+        if (match[1] !== undefined) {
+            const length = Number(match[1]);
+            const body = data.subarray(position, position + length);
+            if (body.length !== length) {
+                throw new GrootError('Truncated data in fast-import stream', 'EFASTIMPORT');
+            }
+            position += length;
+            if (data[position] === 0x0a) position++;
+            return body;
+        }
+
+        const lines = [];
+        for (let line = readLine(); line !== match[2]; line = readLine()) {
+            if (line === null) {
+                throw new GrootError(`Unterminated data <<${match[2]}`, 'EFASTIMPORT');
+            }
+            lines.push(`${line}\n`);
+        }
+        return Buffer.from(lines.join(''), 'utf-8');
+    };
+
+    for (let line = readLine(); line !== null; line = readLine()) {
+        if (line === '' || line.startsWith('#')) continue;
+        const space = line.indexOf(' ');
+        const keyword = space === -1 ? line : line.substring(0, space);
+        const argument = space === -1 ? '' : line.substring(space + 1);
+
+        if (keyword === 'done') break;
+        if (['feature', 'option', 'progress', 'checkpoint'].includes(keyword)) continue;
+
+        if (keyword === 'blob') {
+            const mark = readOptional('mark');
+            readOptional('original-oid');
+            commands.push({ type: 'blob', mark, data: readData() });
+        } else if (keyword === 'reset') {
+            commands.push({ type: 'reset', ref: checkRef(argument), from: readOptional('from') });
+        } else if (keyword === 'commit') {
+            const command = { type: 'commit', ref: checkRef(argument), mark: null, author: null, committer: null, from: null, merges: [], changes: [] };
+            command.mark = readOptional('mark');
+            readOptional('original-oid');
+            command.author = readOptional('author');
+            command.committer = readOptional('committer');
+            readOptional('encoding');
+            if (!command.committer) {
+                throw new GrootError(`Commit to ${argument} has no committer`, 'EFASTIMPORT');
+            }
+            command.message = readData();
+            command.from = readOptional('from');
+            for (let merge = readOptional('merge'); merge !== null; merge = readOptional('merge')) {
+                command.merges.push(merge);
+            }
+
+            for (let change = peekLine(); change !== null && change !== '' && /^(M|D|R|C|deleteall)( |$)/.test(change); change = peekLine()) {
+                readLine();
+                if (change === 'deleteall') {
+                    command.changes.push({ op: 'deleteall' });
+                } else if (change.startsWith('M ')) {
+                    const [, mode, dataRef, rest] = change.match(/^M (\S+) (\S+) (.*)$/) || [];
+                    if (!rest) {
+                        throw new GrootError(`Invalid file change: ${change}`, 'EFASTIMPORT');
+                    }
+                    const filePath = checkPath(readFastImportPath(rest).path);
+                    command.changes.push(dataRef === 'inline'
+                        ? { op: 'M', mode, path: filePath, data: readData() }
+                        : { op: 'M', mode, path: filePath, dataRef });
+                } else if (change.startsWith('D ')) {
+                    command.changes.push({ op: 'D', path: checkPath(readFastImportPath(change.substring(2)).path) });
+                } else {
+                    const source = readFastImportPath(change.substring(2), false);
+                    command.changes.push({ op: change[0], source: checkPath(source.path), path: checkPath(readFastImportPath(source.rest).path) });
+                }
+            }
+            commands.push(command);
+        } else if (keyword === 'tag') {
+            checkRef(`refs/tags/${argument}`);
+            const mark = readOptional('mark');
+            const from = readOptional('from');
+            readOptional('original-oid');
+            const tagger = readOptional('tagger');
+            commands.push({ type: 'tag', name: argument, mark, from, tagger, message: readData() });
+        } else {
+            throw new GrootError(`Unsupported fast-import command: ${line}`, 'EFASTIMPORT');
+        }
+    }
+    return commands;
+}
+
+// Git's binary patch encoding: base85 in lines of up to 52 bytes, each led by a length letter
+function encodeBinaryLines(data) {
+    const lines = [];
+    for (let offset = 0; offset < data.length; offset += 52) {
+        const chunk = data.subarray(offset, offset + 52);
+        let line = String.fromCharCode(chunk.length <= 26 ? 64 + chunk.length : 70 + chunk.length);
+        for (let i = 0; i < chunk.length; i += 4) {
+            let value = 0;
+            for (let j = 0; j < 4; j++) value = value * 256 + (chunk[i + j] || 0);
+            let group = '';
+            for (let j = 0; j < 5; j++) {
+                group = BASE85_ALPHABET[value % 85] + group;
+                value = Math.floor(value / 85);
+            }
+            line += group;
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+function decodeBinaryLines(lines) {
+    const chunks = [];
+    for (const line of lines) {
+        const code = line.charCodeAt(0);
+        const length = code >= 65 && code <= 90 ? code - 64 : code >= 97 && code <= 122 ? code - 70 : 0;
+        if (!length || line.length - 1 !== Math.ceil(length / 4) * 5) {
+            throw new GrootError(`Corrupt binary patch line: ${line}`, 'EPATCH');
+        }
+
+        const chunk = Buffer.alloc(Math.ceil(length / 4) * 4);
+        for (let i = 1; i < line.length; i += 5) {
+            let value = 0;
+            for (let j = 0; j < 5; j++) {
+                const digit = BASE85_ALPHABET.indexOf(line[i + j]);
+                if (digit === -1) {
+                    throw new GrootError(`Corrupt binary patch line: ${line}`, 'EPATCH');
+                }
+                value = value * 85 + digit;
+            }
+            chunk.writeUInt32BE(value, (i - 1) / 5 * 4);
+        }
+        chunks.push(chunk.subarray(0, length));
+    }
+    return Buffer.concat(chunks);
+}
+
+function encodeMailHeader(text) {
+    return /[^\x20-\x7e]/.test(text) ? `=?UTF-8?B?${Buffer.from(text, 'utf-8').toString('base64')}?=` : text;
+}
+
+function decodeMailHeader(text) {
+    return text
+        .replace(/\?=\s+=\?/g, '?==?')
+        .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, data) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(data, 'base64')
+                : Buffer.from(data.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1');
+            return bytes.toString('utf-8');
+        });
+}
+
+function formatMailAddress(identity) {
+    const name = /[^\x20-\x7e]/.test(identity.name) ? encodeMailHeader(identity.name)
+        : /[()<>@,;:\\".[\]]/.test(identity.name) ? `"${identity.name.replace(/(["\\])/g, '\\$1')}"` : identity.name;
+    return `${name} <${identity.email}>`;
+}
+
+// RFC 2822 date in the identity's own timezone, as Git writes it into patch emails
+function formatMailDate(identity) {
+    const timezone = identity.timezone || '+0000';
+    const minutes = (timezone[0] === '-' ? -1 : 1) * (Number(timezone.substring(1, 3)) * 60 + Number(timezone.substring(3, 5)));
+    const local = new Date(new Date(identity.timeStamp).getTime() + minutes * 60000);
+    return local.toUTCString().replace('GMT', timezone);
+}
+
+function parseMailIdentity(from, date) {
+    const match = decodeMailHeader(from).match(/^\s*(?:"((?:[^"\\]|\\.)*)"|([^<]*?))\s*<([^>]*)>/);
+    const timeStamp = new Date(date);
+    if (!match || Number.isNaN(timeStamp.getTime())) return null;
+
+    const zone = date.match(/([+-]\d{4})\s*(?:\(.*\))?$/);
+    return {
+        name: match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2],
+        email: match[3],
+        timeStamp: timeStamp.toISOString(),
+        timezone: zone ? zone[1] : '+0000'
+    };
+}
+
+function quotePatchPath(prefix, filePath) {
+    return quoteFastImportPath(`${prefix}${filePath}`);
+}
+
+// Names on ---/+++ lines carry a prefix to strip and may be followed by a tab and a timestamp
+function readPatchName(text) {
+    const name = text.startsWith('"') ? readFastImportPath(text).path : text.replace(/\t.*$/, '');
+    return name === '/dev/null' ? null : name.substring(name.indexOf('/') + 1);
+}
+
+function unquotePatchPath(text) {
+    return text.startsWith('"') ? readFastImportPath(text).path : text;
+}
+
+// Splits an mbox of format-patch emails, or a bare diff, into messages with their file patches
+function parseMailbox(text) {
+    const chunks = [{ hash: null, lines: [] }];
+    for (const line of text.split('\n')) {
+        const separator = line.match(PATCH_MAIL_SEPARATOR);
+        if (separator) {
+            chunks.push({ hash: separator[1], lines: [] });
+        } else {
+            chunks[chunks.length - 1].lines.push(line);
+        }
+    }
+    if (chunks[0].lines.every(line => line.trim() === '')) chunks.shift();
+    return chunks.map(parsePatchMail);
+}
+
+function parsePatchMail({ hash, lines }) {
+    const headers = {};
+    let i = 0;
+    if (hash) {
+        // Headers run up to the first blank line; indented lines continue the previous header
+        let last = null;
+        for (; i < lines.length && lines[i] !== ''; i++) {
+            const header = lines[i].match(/^([\w-]+):\s*(.*)$/);
+            if (/^\s/.test(lines[i]) && last) {
+                headers[last] += ` ${lines[i].trim()}`;
+            } else if (header) {
+                last = header[1].toLowerCase();
+                headers[last] = header[2];
+            }
+        }
+        i++;
+    }
+
+    const bodyStart = i;
+    while (i < lines.length && lines[i] !== '---' && !lines[i].startsWith('diff --git ')
+        && !(lines[i].startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ '))) {
+        i++;
+    }
+
+    const subject = decodeMailHeader(headers.subject || '').replace(/^\s*(\[[^\]]*\]\s*)+/, '').trim();
+    const body = lines.slice(bodyStart, i).join('\n').trim();
+    return {
+        hash,
+        author: headers.from && headers.date ? parseMailIdentity(headers.from, headers.date) : null,
+        subject,
+        message: body ? `${subject}\n\n${body}` : subject,
+        files: parsePatch(lines.slice(i))
+    };
+}
+
+function parsePatch(lines) {
+    const files = [];
+    const plainFiles = [];
+    let file = null;
+    let inHeader = false;
+    let i = 0;
+
+    const startFile = () => {
+        file = { status: 'M', oldPath: null, newPath: null, oldHash: null, newHash: null, hunks: [], binary: null };
+        files.push(file);
+    };
+    const readBinaryHunk = () => {
+        const header = (lines[i] || '').match(/^(literal|delta) (\d+)$/);
+        if (!header) return null;
+        const data = [];
+        for (i++; i < lines.length && lines[i] !== ''; i++) data.push(lines[i]);
+        i++;
+        return { method: header[1], size: Number(header[2]), lines: data };
+    };
+
+    while (i < lines.length) {
+        const line = lines[i++];
+        let match;
+        if (line.startsWith('diff --git ')) {
+            startFile();
+            inHeader = true;
+            const names = line.substring(11);
+            if (names.startsWith('"')) {
+                const first = readFastImportPath(names, false);
+                file.oldPath = readPatchName(first.path);
+                file.newPath = readPatchName(first.rest);
+            } else {
+                // Without a rename both names are the same, which tells where the first one ends
+                file.oldPath = file.newPath = readPatchName(names.substring((names.length + 1) / 2));
+            }
+        } else if (file && inHeader && (match = line.match(/^(new|deleted) file mode /))) {
+            file.status = match[1] === 'new' ? 'A' : 'D';
+        } else if (file && inHeader && (match = line.match(/^(rename|copy) (from|to) (.*)$/))) {
+            file.status = match[1] === 'rename' ? 'R' : 'C';
+            file[match[2] === 'from' ? 'oldPath' : 'newPath'] = unquotePatchPath(match[3]);
+        } else if (file && inHeader && (match = line.match(/^index ([0-9a-f]+)\.\.([0-9a-f]+)/))) {
+            file.oldHash = match[1];
+            file.newHash = match[2];
+        } else if (file && inHeader && line === 'GIT binary patch') {
+            file.binary = { forward: readBinaryHunk(), reverse: readBinaryHunk() };
+            inHeader = false;
+        } else if (file && inHeader && line.startsWith('Binary files ')) {
+            file.binary = { forward: null, reverse: null };
+            inHeader = false;
+        } else if (line.startsWith('--- ') && (lines[i] || '').startsWith('+++ ')) {
+            const oldName = readPatchName(line.substring(4));
+            const newName = readPatchName(lines[i++].substring(4));
+
+            // Plain unified diffs have no git header, so their file names start the next file
+            if (!inHeader) {
+                startFile();
+                plainFiles.push(file);
+                file.status = oldName === null ? 'A' : newName === null ? 'D' : 'M';
+            }
+            inHeader = false;
+            file.oldPath = oldName ?? file.oldPath ?? newName;
+            file.newPath = newName ?? file.newPath ?? oldName;
+        } else if (file && (match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/))) {
+            const hunk = {
+                oldStart: Number(match[1]),
+                oldLines: Number(match[2] ?? 1),
+                newStart: Number(match[3]),
+                newLines: Number(match[4] ?? 1),
+                lines: []
+            };
+            let oldCount = 0;
+            let newCount = 0;
+            while (oldCount < hunk.oldLines || newCount < hunk.newLines || (lines[i] || '').startsWith('\\')) {
+                if (i >= lines.length) {
+                    throw new GrootError(`Truncated hunk for ${file.newPath} at line ${hunk.oldStart}`, 'EPATCH');
+                }
+                const hunkLine = lines[i++];
+                const op = hunkLine[0] ?? ' ';
+                if (op === '\\') {
+                    // "\ No newline at end of file" follows the line it applies to
+                    const previous = hunk.lines[hunk.lines.length - 1];
+                    if (previous) previous.text = previous.text.replace(/\n$/, '');
+                    continue;
+                }
+                if (!' -+'.includes(op)) {
+                    throw new GrootError(`Corrupt hunk for ${file.newPath}: ${hunkLine}`, 'EPATCH');
+                }
+                hunk.lines.push({ op, text: `${hunkLine.substring(1)}\n` });
+                if (op !== '+') oldCount++;
+                if (op !== '-') newCount++;
+            }
+            file.hunks.push(hunk);
+            inHeader = false;
+        }
+    }
+
+    // Traditional diffs may mark a created or deleted file only by an empty range
+    for (const plain of plainFiles) {
+        const [hunk] = plain.hunks;
+        if (plain.status !== 'M' || plain.hunks.length !== 1) continue;
+        if (hunk.oldStart === 0 && hunk.oldLines === 0) plain.status = 'A';
+        if (hunk.newStart === 0 && hunk.newLines === 0) plain.status = 'D';
+    }
+
+    for (const { oldPath, newPath } of files) {
+        for (const filePath of [oldPath, newPath]) {
+            if (filePath !== null && !isSafePath(filePath)) {
+                throw new GrootError(`Invalid path in patch: ${filePath}`, 'EPATCH');
+            }
+        }
+    }
+    return files;
+}
+
+function parseBundle(data) {
+    const end = data.indexOf('\n\n');
+    const lines = end === -1 ? [] : data.subarray(0, end).toString('utf-8').split('\n');
+    if (lines[0] !== BUNDLE_SIGNATURE) {
+        throw new GrootError('Not a groot bundle', 'EBUNDLE');
+    }
+
+    const prerequisites = [];
+    const refs = [];
+    for (const line of lines.slice(1)) {
+        const match = line.match(/^(-?)([0-9a-f]{40})(?: (.*))?$/);
+        if (!match || (!match[1] && !match[3])) {
+            throw new GrootError(`Malformed bundle header line: ${line}`, 'EBUNDLE');
+        }
+        if (match[1]) {
+            prerequisites.push({ hash: match[2], comment: match[3] || '' });
+        } else if (match[3] !== 'HEAD' && !isValidRefName(match[3])) {
+            throw new GrootError(`Invalid ref name in bundle: ${match[3]}`, 'EBUNDLE');
+        } else {
+            refs.push({ hash: match[2], name: match[3] });
+        }
+    }
+    return { prerequisites, refs, pack: data.subarray(end + 2) };
+}
+
+function readBody(request, limit = Infinity) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                // Keep draining so the client can read the error, but stop holding the data
+                chunks.length = 0;
+                reject(new GrootError(`Request body exceeds ${limit} bytes`, 'ETOOLARGE'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+function parseJsonBody(body) {
+    try {
+        return JSON.parse(body.toString('utf-8') || '{}');
+    } catch {
+        throw new GrootError('Request body is not valid JSON', 'EBADREQUEST');
+    }
+}
+
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data));
+}
+
+// Answers without reading the body: what the client still sends is discarded and the connection closed
+function refuseRequest(request, response, status, error) {
+    response.setHeader('Connection', 'close');
+    sendJson(response, status, { error });
+    request.resume();
+}
+
+function tokensMatch(provided = '', expected) {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
-program.parse(process.argv);
+export {
+    Groot,
+    GrootError,
+    NotARepositoryError,
+    ObjectNotFoundError,
+    CorruptObjectError,
+    RevisionError,
+    MergeError,
+    LocalChangesError,
+    ConflictError,
+    HookError,
+    RejectedError,
+    createDelta,
+    applyDelta
+};
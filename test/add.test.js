@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createRepository } from './helpers.js';
+
+async function writeFiles(groot, files) {
+    for (const filePath of files) {
+        await fs.mkdir(path.dirname(path.join(groot.workingDir, filePath)), { recursive: true });
+        await fs.writeFile(path.join(groot.workingDir, filePath), `${filePath}\n`);
+    }
+}
+
+const pathspec = (groot, pattern) => path.join(groot.workingDir, pattern);
+
+test('a glob without a slash matches files in every directory', async t => {
+    const groot = await createRepository(t);
+    await writeFiles(groot, ['top.js', 'src/a.js', 'src/lib/b.js', 'src/c.txt', '.config/d.js']);
+
+    const { added } = await groot.add([pathspec(groot, '*.js')]);
+    assert.deepEqual(added, ['.config/d.js', 'src/a.js', 'src/lib/b.js', 'top.js']);
+});
+
+test('a glob with a slash is matched against the whole path', async t => {
+    const groot = await createRepository(t);
+    await writeFiles(groot, ['top.js', 'src/a.js', 'src/lib/b.js', 'src/c.txt']);
+
+    assert.deepEqual((await groot.add([pathspec(groot, 'src/*.js')])).added, ['src/a.js']);
+    // src/a.js matches again but is already staged
+    assert.deepEqual((await groot.add([pathspec(groot, 'src/**/*.js')])).added, ['src/lib/b.js']);
+    await assert.rejects(groot.add([pathspec(groot, '*.md')]), { code: 'EPATHSPEC', message: /did not match any files/ });
+});
+
+test('directories and exact paths stage what is under them', async t => {
+    const groot = await createRepository(t);
+    await writeFiles(groot, ['top.js', 'src/a.js', 'src/lib/b.js', 'srcfile.txt']);
+
+    assert.deepEqual((await groot.add([pathspec(groot, 'src')])).added, ['src/a.js', 'src/lib/b.js']);
+    assert.deepEqual((await groot.add([pathspec(groot, 'top.js')])).added, ['top.js']);
+});
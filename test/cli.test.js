@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import './helpers.js';
+
+const cliPath = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+function groot(cwd, args) {
+    const result = spawnSync(process.execPath, [cliPath, ...args], { cwd, env: { ...process.env, FORCE_COLOR: '0' }, encoding: 'utf-8' });
+    return { status: result.status, output: result.stdout + result.stderr };
+}
+
+test('commands outside a repository fail with the typed error instead of creating one', async t => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'groot-test-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    for (const args of [['status'], ['log'], ['diff'], ['add', 'file.txt'], ['config', 'user.name']]) {
+        const { status, output } = groot(directory, args);
+        assert.equal(status, 1, args.join(' '));
+        assert.match(output, new RegExp(`^Not a groot repository: ${directory}\n`), args.join(' '));
+    }
+    await assert.rejects(fs.access(path.join(directory, '.groot')));
+
+    assert.equal(groot(directory, ['init']).status, 0);
+    await fs.mkdir(path.join(directory, 'sub'));
+    assert.equal(groot(path.join(directory, 'sub'), ['status']).status, 1);
+    await assert.rejects(fs.access(path.join(directory, 'sub', '.groot')));
+    assert.equal(groot(directory, ['status']).status, 0);
+});
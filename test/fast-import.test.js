@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRepository, commitFiles } from './helpers.js';
+
+const hasGit = spawnSync('git', ['--version']).status === 0;
+
+// Commits record the branch they were made on, so hashes may differ after a round trip; trees may not
+async function branchTrees(groot) {
+    const trees = {};
+    for (const [name, hash] of Object.entries(await groot.getBranches())) {
+        trees[name] = (await groot.readCommit(hash)).tree;
+    }
+    return trees;
+}
+
+async function createHistory(t) {
+    const groot = await createRepository(t);
+    await commitFiles(groot, { 'README.md': '# Demo\n', 'src/app.js': 'console.log(1);\n' }, 'Initial commit');
+    await groot.branch('topic');
+    await groot.checkout('topic');
+    await commitFiles(groot, { 'src/topic.js': 'export default 2;\n' }, 'Add topic\n\nWith a body.');
+    await groot.checkout('main');
+    await commitFiles(groot, { 'README.md': '# Demo\n\nMore docs.\n' }, 'Document main');
+    await groot.merge('topic');
+    await groot.tag('v1.0', 'HEAD', { message: 'First release' });
+    await groot.tag('light', 'topic');
+    return groot;
+}
+
+test('fast-export output imports into an empty repository and exports unchanged', async t => {
+    const source = await createHistory(t);
+    const stream = await source.fastExport();
+
+    const target = await createRepository(t);
+    const result = await target.fastImport(stream);
+    assert.equal(result.commits, 4);
+    assert.equal(result.tags, 1);
+    assert.deepEqual(result.skipped, []);
+
+    assert.deepEqual(await branchTrees(target), await branchTrees(source));
+    assert.equal((await target.fastExport()).toString('utf-8'), stream.toString('utf-8'));
+});
+
+test('fast-import keeps merges, authors, messages and file contents', async t => {
+    const source = await createHistory(t);
+    const target = await createRepository(t);
+    await target.fastImport(await source.fastExport());
+
+    const [merge] = await target.log(['main'], { maxCount: 1 });
+    assert.equal(merge.parents.length, 2);
+
+    const [topic] = await target.log(['topic']);
+    assert.equal(topic.message, 'Add topic\n\nWith a body.');
+    assert.equal(topic.author.name, 'Ada Lovelace');
+    assert.equal(topic.author.email, 'ada@example.com');
+    assert.equal(topic.author.timezone, '+0100');
+    assert.equal(topic.committer.name, 'Charles Babbage');
+
+    const files = await target.getCommitFiles(merge.hash);
+    assert.deepEqual(files.map(file => file.path).sort(), ['README.md', 'src/app.js', 'src/topic.js']);
+    const readme = files.find(file => file.path === 'README.md');
+    assert.equal((await target.getFileContent(readme.hash)).toString('utf-8'), '# Demo\n\nMore docs.\n');
+
+    const tags = await target.tag(null, null, { list: true });
+    assert.deepEqual(tags.map(tag => [tag.name, tag.annotated, tag.message]), [['light', false, null], ['v1.0', true, 'First release']]);
+});
+
+test('fast-import warns that executable and symlink modes are imported as regular files', async t => {
+    const groot = await createRepository(t);
+    const warnings = [];
+    groot.on('warning', message => warnings.push(message));
+
+    const stream = [
+        'commit refs/heads/main',
+        'committer Ada <ada@example.com> 1706698800 +0000',
+        'data 5',
+        'init',
+        'M 100755 inline run.sh',
+        'data 10',
+        '#!/bin/sh',
+        'M 120000 inline link',
+        'data 6',
+        'run.sh',
+        'M 100644 inline plain.txt',
+        'data 3',
+        'hi',
+        ''
+    ].join('\n');
+    const result = await groot.fastImport(Buffer.from(stream));
+
+    assert.equal(result.commits, 1);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /^run\.sh: mode 100755 /);
+    assert.match(warnings[1], /^link: mode 120000 /);
+    assert.match(String(await groot.fastExport()), /^M 100644 :\d+ run\.sh$/m);
+});
+
+test('fast-import only moves branches that fast-forward unless forced', async t => {
+    const source = await createHistory(t);
+    const target = await createRepository(t);
+    await commitFiles(target, { 'other.txt': 'unrelated\n' }, 'Unrelated history');
+    const before = (await target.getBranches()).main;
+
+    const stream = await source.fastExport(['main']);
+    const result = await target.fastImport(stream);
+    assert.deepEqual(result.skipped, ['refs/heads/main']);
+    assert.equal((await target.getBranches()).main, before);
+
+    const forced = await target.fastImport(stream, { force: true });
+    assert.deepEqual(forced.skipped, []);
+    assert.equal((await branchTrees(target)).main, (await branchTrees(source)).main);
+});
+
+test('fast-import rejects malformed streams with a typed error', async t => {
+    const groot = await createRepository(t);
+    await assert.rejects(
+        groot.fastImport(Buffer.from('commit refs/heads/main\nM 100644 :9 missing\n')),
+        { name: 'GrootError', code: 'EFASTIMPORT' }
+    );
+});
+
+test('fast-import rejects paths and ref names that escape the repository before writing anything', async t => {
+    const groot = await createRepository(t);
+    await commitFiles(groot, { 'README.md': '# Demo\n' }, 'Initial commit');
+    const before = await groot.getBranches();
+
+    const commit = (ref, change) => Buffer.from([
+        `commit ${ref}`,
+        'committer Ada <ada@example.com> 1706698800 +0000',
+        'data 4',
+        'evil',
+        change,
+        'data 4',
+        'pwn',
+        ''
+    ].join('\n'));
+
+    for (const filePath of ['../escape.txt', '/tmp/absolute.txt', '.groot/hooks/post-checkout', 'src/../../x', 'a//b', './a']) {
+        await assert.rejects(
+            groot.fastImport(commit('refs/heads/main', `M 100644 inline ${filePath}`)),
+            { code: 'EFASTIMPORT', message: `Invalid path in fast-import stream: ${filePath}` }
+        );
+    }
+    for (const ref of ['refs/heads/../../x', 'HEAD', 'refs/remotes/../../../x', 'main']) {
+        await assert.rejects(
+            groot.fastImport(commit(ref, 'M 100644 inline ok.txt')),
+            { code: 'EFASTIMPORT', message: `Invalid ref name in fast-import stream: ${ref}` }
+        );
+    }
+    await assert.rejects(groot.fastImport(Buffer.from('tag ../../x\nfrom refs/heads/main\ndata 0\n')), { code: 'EFASTIMPORT' });
+
+    await groot.checkout('main', { force: true });
+    assert.deepEqual(await groot.getBranches(), before);
+    await assert.rejects(fs.access(path.join(groot.workingDir, '..', 'escape.txt')));
+    await assert.rejects(fs.access(path.join(groot.workingDir, '.groot', 'hooks', 'post-checkout')));
+});
+
+test('history survives a round trip through git fast-import and git fast-export', { skip: !hasGit && 'git is not installed' }, async t => {
+    const source = await createHistory(t);
+    const stream = await source.fastExport();
+
+    const gitDir = await fs.mkdtemp(path.join(os.tmpdir(), 'groot-git-'));
+    t.after(() => fs.rm(gitDir, { recursive: true, force: true }));
+    const git = (args, input) => {
+        const result = spawnSync('git', ['--git-dir', gitDir, ...args], { input, maxBuffer: 16 * 1024 * 1024 });
+        assert.equal(result.status, 0, result.stderr.toString());
+        return result.stdout;
+    };
+    git(['init', '--quiet', '--bare']);
+    git(['fast-import', '--quiet'], stream);
+
+    assert.equal(git(['cat-file', '-p', 'topic:src/topic.js']).toString('utf-8'), 'export default 2;\n');
+    assert.equal(git(['log', '-1', '--format=%P', 'main']).toString('utf-8').trim().split(' ').length, 2);
+
+    const target = await createRepository(t);
+    await target.fastImport(git(['fast-export', '--all']));
+    assert.deepEqual(await branchTrees(target), await branchTrees(source));
+    assert.equal((await target.fastExport()).toString('utf-8'), stream.toString('utf-8'));
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepository, commitFiles } from './helpers.js';
+
+const drawRows = rows => rows.map(row => (row.commit ? `${row.graph} ${row.commit.message.split('\n')[0]}` : row.graph));
+
+test('graph draws a merge edge across lanes in between to the lane it opens', async t => {
+    const groot = await createRepository(t);
+    await commitFiles(groot, { 'a.txt': 'a\n' }, 'Initial commit');
+    await groot.branch('b1');
+    await groot.branch('b2');
+    await groot.checkout('b1');
+    await commitFiles(groot, { 'b1.txt': '1\n' }, 'Work on b1');
+    await groot.checkout('b2');
+    await commitFiles(groot, { 'b2.txt': '2\n' }, 'Work on b2');
+    await groot.checkout('main');
+    await commitFiles(groot, { 'main.txt': 'm\n' }, 'Work on main');
+    await groot.merge('b1');
+    await groot.merge('b2');
+
+    const { rows, commits } = await groot.graph();
+    assert.equal(commits, 6);
+    assert.deepEqual(drawRows(rows), [
+        "* Merge branch 'b2' into main",
+        '|\\',
+        "* | Merge branch 'b1' into main",
+        '|\\ \\',
+        '| |\\',
+        '* | | Work on main',
+        '| | * Work on b1',
+        '| * | Work on b2',
+        '|/ /',
+        '* Initial commit'
+    ]);
+});
+
+test('graph keeps a merge of an adjacent lane on a single row', async t => {
+    const groot = await createRepository(t);
+    await commitFiles(groot, { 'a.txt': 'a\n' }, 'Initial commit');
+    await groot.branch('topic');
+    await groot.checkout('topic');
+    await commitFiles(groot, { 'topic.txt': 't\n' }, 'Work on topic');
+    await groot.checkout('main');
+    await commitFiles(groot, { 'main.txt': 'm\n' }, 'Work on main');
+    await groot.merge('topic');
+
+    const { rows } = await groot.graph();
+    assert.deepEqual(drawRows(rows), [
+        "* Merge branch 'topic' into main",
+        '|\\',
+        '* | Work on main',
+        '| * Work on topic',
+        '|/',
+        '* Initial commit'
+    ]);
+});
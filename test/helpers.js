@@ -0,0 +1,29 @@
+import path from 'path';
+import fs from 'fs/promises';
+import os from 'os';
+import { Groot } from '../groot.js';
+
+// Fixed identities and dates keep commit hashes stable, and the global config stays out of the tests
+process.env.GROOT_CONFIG_GLOBAL = path.join(os.tmpdir(), 'groot-test-global-config');
+process.env.GROOT_AUTHOR_NAME = 'Ada Lovelace';
+process.env.GROOT_AUTHOR_EMAIL = 'ada@example.com';
+process.env.GROOT_AUTHOR_DATE = '2024-01-31T12:00:00+01:00';
+process.env.GROOT_COMMITTER_NAME = 'Charles Babbage';
+process.env.GROOT_COMMITTER_EMAIL = 'charles@example.com';
+process.env.GROOT_COMMITTER_DATE = '2024-01-31T12:30:00+01:00';
+
+export async function createRepository(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'groot-test-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return Groot.open(directory, { create: true });
+}
+
+export async function commitFiles(groot, files, message) {
+    for (const [filePath, content] of Object.entries(files)) {
+        const fullPath = path.join(groot.workingDir, filePath);
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, content);
+    }
+    await groot.add(Object.keys(files).map(filePath => path.join(groot.workingDir, filePath)));
+    return (await groot.commit(message)).hash;
+}
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createRepository, commitFiles } from './helpers.js';
+
+const readFile = (groot, filePath) => fs.readFile(path.join(groot.workingDir, filePath), 'utf-8');
+
+// Commits the base files on main, then runs each side's changes on main and topic
+async function divergedRepository(t, base, ours, theirs) {
+    const groot = await createRepository(t);
+    await commitFiles(groot, base, 'Base');
+    await groot.branch('topic');
+    await groot.checkout('topic');
+    await theirs(groot);
+    await groot.checkout('main');
+    await ours(groot);
+    return groot;
+}
+
+async function removeFiles(groot, paths, message) {
+    await groot.rm(paths.map(filePath => path.join(groot.workingDir, filePath)));
+    await groot.commit(message);
+}
+
+test('merge combines edits to different parts of a file into a merge commit', async t => {
+    const groot = await divergedRepository(t,
+        { 'list.txt': 'one\ntwo\nthree\nfour\nfive\n' },
+        ours => commitFiles(ours, { 'list.txt': 'ONE\ntwo\nthree\nfour\nfive\n' }, 'Shout one'),
+        theirs => commitFiles(theirs, { 'list.txt': 'one\ntwo\nthree\nfour\nFIVE\n', 'new.txt': 'new\n' }, 'Shout five'));
+    const ourHead = await groot.getCurrentHead();
+
+    const result = await groot.merge('topic');
+    assert.equal(result.status, 'merged');
+    assert.equal(await readFile(groot, 'list.txt'), 'ONE\ntwo\nthree\nfour\nFIVE\n');
+    assert.equal(await readFile(groot, 'new.txt'), 'new\n');
+
+    const [merge] = await groot.log(['HEAD'], { maxCount: 1 });
+    assert.deepEqual(merge.parents, [ourHead, (await groot.getBranches()).topic]);
+    assert.equal(merge.message, "Merge branch 'topic' into main");
+    assert.equal(await groot.getMergeHead(), null);
+});
+
+test('merge fast-forwards when the current branch has no commits of its own', async t => {
+    const groot = await divergedRepository(t, { 'a.txt': 'a\n' }, async () => {}, theirs => commitFiles(theirs, { 'b.txt': 'b\n' }, 'Add b'));
+    const result = await groot.merge('topic');
+    assert.equal(result.status, 'fast-forward');
+    assert.equal(await groot.getCurrentHead(), (await groot.getBranches()).topic);
+    assert.equal((await groot.merge('topic')).status, 'up-to-date');
+});
+
+test('merge reports modify/delete conflicts from either side and keeps the modified file', async t => {
+    const groot = await divergedRepository(t,
+        { 'kept.txt': 'base\n', 'gone.txt': 'base\n' },
+        async ours => {
+            await commitFiles(ours, { 'kept.txt': 'ours\n' }, 'Change kept');
+            await removeFiles(ours, ['gone.txt'], 'Remove gone');
+        },
+        async theirs => {
+            await commitFiles(theirs, { 'gone.txt': 'theirs\n' }, 'Change gone');
+            await removeFiles(theirs, ['kept.txt'], 'Remove kept');
+        });
+
+    await assert.rejects(groot.merge('topic'), error => {
+        assert.equal(error.name, 'ConflictError');
+        assert.deepEqual(error.conflicts, [
+            { path: 'gone.txt', reason: 'deleted by us' },
+            { path: 'kept.txt', reason: 'deleted by them' }
+        ]);
+        return true;
+    });
+    assert.equal(await readFile(groot, 'kept.txt'), 'ours\n');
+    assert.equal(await readFile(groot, 'gone.txt'), 'theirs\n');
+    assert.equal(await groot.getMergeHead(), (await groot.getBranches()).topic);
+});
+
+test('merge refuses to combine binary files and leaves ours in place', async t => {
+    const binary = byte => Buffer.from([0, 1, 2, byte, 0, 255]);
+    const groot = await divergedRepository(t,
+        { 'image.bin': binary(3) },
+        ours => commitFiles(ours, { 'image.bin': binary(4) }, 'Ours'),
+        theirs => commitFiles(theirs, { 'image.bin': binary(5) }, 'Theirs'));
+
+    await assert.rejects(groot.merge('topic'), { name: 'ConflictError', conflicts: [{ path: 'image.bin', reason: 'binary' }] });
+    assert.deepEqual(await fs.readFile(path.join(groot.workingDir, 'image.bin')), binary(4));
+    assert.deepEqual((await groot.status()).conflicts, ['image.bin']);
+});
+
+test('merge writes conflict markers for add/add conflicts and --continue commits the resolution', async t => {
+    const groot = await divergedRepository(t,
+        { 'README.md': '# Demo\n' },
+        ours => commitFiles(ours, { 'config.ini': 'mode = ours\n' }, 'Add our config'),
+        theirs => commitFiles(theirs, { 'config.ini': 'mode = theirs\n' }, 'Add their config'));
+    const ourHead = await groot.getCurrentHead();
+
+    await assert.rejects(groot.merge('topic'), { name: 'ConflictError', conflicts: [{ path: 'config.ini', reason: null }] });
+    assert.equal(await readFile(groot, 'config.ini'), '<<<<<<< HEAD\nmode = ours\n=======\nmode = theirs\n>>>>>>> topic\n');
+    await assert.rejects(groot.merge('topic'), { name: 'MergeError', message: /already in progress/ });
+
+    await fs.writeFile(path.join(groot.workingDir, 'config.ini'), 'mode = both\n');
+    await assert.rejects(groot.merge(null, { continue: true }), { code: 'ECONFLICT' });
+    await groot.add([path.join(groot.workingDir, 'config.ini')]);
+    const { hash } = await groot.merge(null, { continue: true });
+
+    const [merge] = await groot.log(['HEAD'], { maxCount: 1 });
+    assert.equal(merge.hash, hash);
+    assert.deepEqual(merge.parents, [ourHead, (await groot.getBranches()).topic]);
+    assert.equal(await readFile(groot, 'config.ini'), 'mode = both\n');
+    assert.equal(await groot.getMergeHead(), null);
+});
+
+test('merge --abort restores the files and state from before the merge', async t => {
+    const groot = await divergedRepository(t,
+        { 'list.txt': 'one\n' },
+        ours => commitFiles(ours, { 'list.txt': 'ours\n' }, 'Ours'),
+        theirs => commitFiles(theirs, { 'list.txt': 'theirs\n', 'extra.txt': 'extra\n' }, 'Theirs'));
+    const ourHead = await groot.getCurrentHead();
+
+    await assert.rejects(groot.merge('topic'), { name: 'ConflictError' });
+    assert.equal(await readFile(groot, 'extra.txt'), 'extra\n');
+
+    assert.deepEqual(await groot.merge(null, { abort: true }), { aborted: true, commit: ourHead });
+    assert.equal(await readFile(groot, 'list.txt'), 'ours\n');
+    await assert.rejects(fs.access(path.join(groot.workingDir, 'extra.txt')));
+    assert.equal(await groot.getMergeHead(), null);
+    assert.equal(await groot.getCurrentHead(), ourHead);
+    assert.equal((await groot.status()).clean, true);
+    await assert.rejects(groot.merge(null, { abort: true }), { name: 'MergeError', message: 'No merge in progress' });
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Groot, createDelta, applyDelta } from '../groot.js';
+import { createRepository, commitFiles } from './helpers.js';
+
+// Deterministic bytes, so a failing case can be reproduced
+const bytes = (seed, length) => {
+    const chunks = [];
+    for (let i = 0; chunks.length * 20 < length; i++) {
+        chunks.push(crypto.createHash('sha1').update(`${seed}:${i}`).digest());
+    }
+    return Buffer.concat(chunks).subarray(0, length);
+};
+
+const lines = count => Buffer.from(Array.from({ length: count }, (_, i) => `line ${i} of a file that changes a little between versions\n`).join(''));
+
+// Several versions of a large file give the packer something to deltify
+async function createHistory(t) {
+    const groot = await createRepository(t);
+    let content = lines(200).toString('utf-8');
+    for (let version = 1; version <= 5; version++) {
+        content = content.replace(`line ${version * 30} `, `line ${version * 30} (edited in version ${version}) `);
+        await commitFiles(groot, { 'big.txt': content, [`notes/v${version}.txt`]: `version ${version}\n` }, `Version ${version}`);
+    }
+    return groot;
+}
+
+async function readAll(groot, hashes) {
+    return new Map(await Promise.all(hashes.map(async hash => [hash, await groot.readObject(hash)])));
+}
+
+test('applyDelta rebuilds the target from a delta made by createDelta', () => {
+    const base = lines(100);
+    const cases = [
+        ['identical', base, base],
+        ['edited in the middle', base, Buffer.concat([base.subarray(0, 2000), Buffer.from('inserted text\n'), base.subarray(2100)])],
+        ['prefix and suffix', base, Buffer.concat([Buffer.from('header\n'), base, Buffer.from('footer\n')])],
+        ['truncated', base, base.subarray(0, 1234)],
+        ['unrelated binary', bytes('base', 5000), bytes('target', 3000)],
+        ['binary with a shared block', bytes('base', 5000), Buffer.concat([bytes('x', 10), bytes('base', 5000).subarray(1000, 4000), bytes('y', 700)])],
+        ['empty base', Buffer.alloc(0), bytes('target', 400)],
+        ['empty target', base, Buffer.alloc(0)]
+    ];
+
+    for (const [name, from, to] of cases) {
+        const delta = createDelta(from, to);
+        assert.deepEqual(applyDelta(from, delta), to, name);
+    }
+    assert.ok(createDelta(base, cases[1][2]).length < 200, 'a small edit gives a small delta');
+});
+
+test('applyDelta rejects deltas that do not fit their base', () => {
+    const base = lines(50);
+    const target = Buffer.concat([base, Buffer.from('more\n')]);
+    const delta = createDelta(base, target);
+
+    assert.throws(() => applyDelta(base.subarray(1), delta), { name: 'CorruptObjectError', message: 'Delta does not match its base object' });
+    assert.throws(() => applyDelta(base, delta.subarray(0, delta.length - 2)), { name: 'CorruptObjectError' });
+
+    const outOfRange = Buffer.from(delta);
+    outOfRange.writeUInt32BE(base.length, outOfRange.indexOf(0x80) + 1);
+    assert.throws(() => applyDelta(base, outOfRange), { name: 'CorruptObjectError', message: 'Delta copies outside its base object' });
+});
+
+test('repack moves reachable objects into a deltified pack and reads them back', async t => {
+    const groot = await createHistory(t);
+    const hashes = await groot.listObjectHashes();
+    const before = await readAll(groot, hashes);
+
+    const result = await groot.repack();
+    assert.equal(result.objects, hashes.length);
+    assert.ok(result.deltas >= 4, `expected deltas between versions of big.txt, got ${result.deltas}`);
+    assert.match(result.pack, /^pack-[0-9a-f]{40}\.pack$/);
+    assert.deepEqual(await groot.listObjectHashes(), []);
+
+    // A fresh instance has no caches, so everything comes from the pack files
+    const reopened = await Groot.open(groot.workingDir);
+    assert.deepEqual(await readAll(reopened, hashes), before);
+    assert.deepEqual((await reopened.fsck()).problems, []);
+
+    // New objects are loose again, and both kinds are readable side by side
+    const loose = await commitFiles(reopened, { 'big.txt': 'rewritten\n' }, 'Version 6');
+    assert.ok((await reopened.listObjectHashes()).includes(loose));
+    const [latest, previous] = await reopened.log(['HEAD'], { maxCount: 2 });
+    assert.equal(latest.hash, loose);
+    assert.equal(previous.message, 'Version 5');
+    assert.equal((await reopened.repack()).objects, hashes.length + 3);
+});
+
+test('the pack index finds every packed object and nothing else', async t => {
+    const groot = await createHistory(t);
+    const hashes = (await groot.listObjectHashes()).sort();
+    await groot.repack();
+    const reopened = await Groot.open(groot.workingDir);
+
+    const offsets = new Set();
+    for (const hash of hashes) {
+        const found = await reopened.findPackedObject(hash);
+        assert.ok(found, hash);
+        offsets.add(found.offset);
+    }
+    assert.equal(offsets.size, hashes.length);
+
+    const absent = [
+        '0'.repeat(40),
+        'f'.repeat(40),
+        ...hashes.map(hash => hash.substring(0, 39) + (hash[39] === '0' ? '1' : '0')).filter(hash => !hashes.includes(hash))
+    ];
+    for (const hash of absent) {
+        assert.equal(await reopened.findPackedObject(hash), null, hash);
+    }
+    assert.equal(await reopened.findPackedObject('not a hash'), null);
+});
+
+test('packs with deltas transfer between repositories and a damaged pack is refused', async t => {
+    const source = await createHistory(t);
+    const head = await source.getCurrentHead();
+    const pack = await source.packObjects(await source.reachableObjects([head]));
+
+    const target = await createRepository(t);
+    const received = await target.unpackObjects(pack);
+    assert.equal(received, (await source.listObjectHashes()).length);
+    assert.deepEqual((await target.getCommitFiles(head)).map(file => file.path), ['big.txt', 'notes/v1.txt', 'notes/v2.txt', 'notes/v3.txt', 'notes/v4.txt', 'notes/v5.txt']);
+    assert.equal(await target.unpackObjects(pack), 0);
+
+    const damaged = Buffer.from(pack);
+    damaged[40] ^= 0xff;
+    const empty = await createRepository(t);
+    await assert.rejects(empty.unpackObjects(damaged), { name: 'CorruptObjectError', message: 'Pack checksum mismatch' });
+    await assert.rejects(empty.unpackObjects(Buffer.from('GPAK')), { name: 'CorruptObjectError', message: 'Not a groot pack' });
+});
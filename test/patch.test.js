@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Groot } from '../groot.js';
+import { createRepository, commitFiles } from './helpers.js';
+
+async function tempDir(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'groot-test-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+async function hostilePatch(t, escapePath) {
+    const source = await createRepository(t);
+    await commitFiles(source, { 'README.md': '# Demo\n' }, 'Initial commit');
+    await commitFiles(source, { 'notes.txt': 'pwned\n' }, 'Add notes');
+    const [patch] = await source.formatPatch('HEAD~1', { stdout: true });
+
+    const patchFile = path.join(await tempDir(t), '0001-add-notes.patch');
+    await fs.writeFile(patchFile, patch.content.replaceAll('notes.txt', escapePath));
+    return patchFile;
+}
+
+test('apply and am accept a patch made by format-patch', async t => {
+    const source = await createRepository(t);
+    await commitFiles(source, { 'README.md': '# Demo\n' }, 'Initial commit');
+    await commitFiles(source, { 'README.md': '# Demo\n\nMore.\n', 'src/new.js': 'export {};\n' }, 'Extend demo');
+    const [patch] = await source.formatPatch('HEAD~1', { outputDirectory: await tempDir(t) });
+
+    const target = await createRepository(t);
+    await commitFiles(target, { 'README.md': '# Demo\n' }, 'Initial commit');
+    const result = await target.am([patch.filePath]);
+    assert.equal(result.status, 'applied');
+    assert.equal(await fs.readFile(path.join(target.workingDir, 'src/new.js'), 'utf-8'), 'export {};\n');
+    const [commit] = await target.log(['HEAD'], { maxCount: 1 });
+    assert.equal(commit.message, 'Extend demo');
+});
+
+test('apply and am refuse patch paths outside the working tree', async t => {
+    const target = await createRepository(t);
+    await commitFiles(target, { 'README.md': '# Demo\n' }, 'Initial commit');
+    const head = await target.getCurrentHead();
+
+    for (const escapePath of ['../groot-escape-patch.txt', '.groot/hooks/post-checkout', 'src/../../groot-escape-patch.txt']) {
+        const patchFile = await hostilePatch(t, escapePath);
+        await assert.rejects(target.apply([patchFile]), { code: 'EPATCH', message: `Invalid path in patch: ${escapePath}` });
+        await assert.rejects(target.am([patchFile]), { code: 'EPATCH' });
+    }
+
+    assert.equal(await target.getCurrentHead(), head);
+    await assert.rejects(fs.access(path.join(target.workingDir, '..', 'groot-escape-patch.txt')));
+    await assert.rejects(fs.access(path.join(target.workingDir, '.groot', 'hooks', 'post-checkout')));
+});
+
+test('clone refuses a bundle whose ref names escape refs/', async t => {
+    const source = await createRepository(t);
+    await commitFiles(source, { 'README.md': '# Demo\n' }, 'Initial commit');
+    const directory = await tempDir(t);
+    const bundleFile = path.join(directory, 'evil.bundle');
+    await source.bundle('create', bundleFile, ['main']);
+
+    const bundle = await fs.readFile(bundleFile);
+    await fs.writeFile(bundleFile, Buffer.from(bundle.toString('latin1').replace(' refs/heads/main\n', ' refs/heads/../../../../escape3\n'), 'latin1'));
+
+    await assert.rejects(Groot.clone(bundleFile, path.join(directory, 'evilclone')), { code: 'EBUNDLE', message: 'Invalid ref name in bundle: refs/heads/../../../../escape3' });
+    await assert.rejects(fs.access(path.join(directory, 'escape3')));
+    await assert.rejects(fs.access(path.join(directory, 'evilclone', 'escape3')));
+});
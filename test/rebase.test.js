@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRepository, commitFiles } from './helpers.js';
+
+// main and topic fork at "Base"; each side then gets one commit per entry
+async function forkedRepository(t, mainCommits, topicCommits) {
+    const groot = await createRepository(t);
+    await commitFiles(groot, { 'shared.txt': 'base\n' }, 'Base');
+    await groot.branch('topic');
+    for (const [message, files] of mainCommits) await commitFiles(groot, files, message);
+    await groot.checkout('topic');
+    const topic = [];
+    for (const [message, files] of topicCommits) topic.push(await commitFiles(groot, files, message));
+    return { groot, topic };
+}
+
+async function withEnv(t, variables) {
+    const saved = Object.fromEntries(Object.keys(variables).map(name => [name, process.env[name]]));
+    Object.assign(process.env, variables);
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+}
+
+// The sequence editor replaces the todo list with one written by the test
+async function useTodo(t, lines) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'groot-test-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const todoFile = path.join(directory, 'todo');
+    await fs.writeFile(todoFile, lines.join('\n'));
+    await withEnv(t, { GROOT_SEQUENCE_EDITOR: `cp "${todoFile}"` });
+}
+
+const subjects = async (groot, range) => (await groot.log([range])).map(commit => commit.message);
+const exists = (groot, filePath) => fs.access(path.join(groot.workingDir, filePath)).then(() => true, () => false);
+
+test('rebase replays the branch on top of its upstream and moves the branch', async t => {
+    const { groot, topic } = await forkedRepository(t,
+        [['Main work', { 'main.txt': 'main\n' }]],
+        [['Topic one', { 'one.txt': '1\n' }], ['Topic two', { 'two.txt': '2\n' }]]);
+    const main = (await groot.getBranches()).main;
+
+    const result = await groot.rebase('main');
+    assert.equal(result.status, 'rebased');
+    assert.equal(result.branch, 'topic');
+    assert.deepEqual(result.steps.map(step => [step.action, step.commit, step.status]), [['pick', topic[0], 'picked'], ['pick', topic[1], 'picked']]);
+
+    assert.equal(await groot.getCurrentBranch(), 'topic');
+    assert.equal((await groot.getBranches()).topic, result.head);
+    assert.deepEqual(await subjects(groot, 'main..topic'), ['Topic two', 'Topic one']);
+    const [, first] = await groot.log(['topic'], { maxCount: 2 });
+    assert.deepEqual(first.parents, [main]);
+    assert.equal(await exists(groot, 'main.txt'), true);
+
+    assert.equal((await groot.rebase('main')).status, 'up-to-date');
+});
+
+test('an interactive todo list can squash, fixup, drop and reword commits', async t => {
+    const { groot, topic: [a, b, c, d, e] } = await forkedRepository(t,
+        [['Main work', { 'main.txt': 'main\n' }]],
+        [['Add a', { 'a.txt': 'a\n' }], ['Add b', { 'b.txt': 'b\n' }], ['Add c', { 'c.txt': 'c\n' }], ['Add d', { 'd.txt': 'd\n' }], ['Add e', { 'e.txt': 'e\n' }]]);
+
+    await useTodo(t, [
+        `pick ${a.substring(0, 7)} Add a`,
+        `s ${b.substring(0, 7)} Add b`,
+        `fixup ${c.substring(0, 7)} Add c`,
+        '# dropped by the test',
+        `drop ${d.substring(0, 7)} Add d`,
+        `reword ${e.substring(0, 7)} Add e`
+    ]);
+    await withEnv(t, { GROOT_EDITOR: 'sed -i -e "s/^Add e$/Add e, reworded/"' });
+
+    const result = await groot.rebase('main', { interactive: true });
+    assert.deepEqual(result.steps.map(step => step.action), ['pick', 'squash', 'fixup', 'reword']);
+    assert.deepEqual(await subjects(groot, 'main..topic'), ['Add e, reworded', 'Add a\n\nAdd b']);
+    assert.deepEqual(await Promise.all(['a.txt', 'b.txt', 'c.txt', 'd.txt', 'e.txt'].map(file => exists(groot, file))), [true, true, true, false, true]);
+});
+
+test('an interactive todo list is checked before the rebase starts', async t => {
+    const { groot, topic: [a, b] } = await forkedRepository(t, [], [['Add a', { 'a.txt': 'a\n' }], ['Add b', { 'b.txt': 'b\n' }]]);
+    const head = await groot.getCurrentHead();
+
+    await useTodo(t, [`squash ${a} Add a`, `pick ${b} Add b`]);
+    await assert.rejects(groot.rebase('main', { interactive: true }), { code: 'EUSAGE', message: 'Cannot "squash" without a previous commit' });
+
+    await useTodo(t, [`edit ${a} Add a`]);
+    await assert.rejects(groot.rebase('main', { interactive: true }), { code: 'EUSAGE', message: 'Unknown rebase command: edit' });
+
+    await useTodo(t, ['# nothing left']);
+    assert.equal((await groot.rebase('main', { interactive: true })).status, 'nothing-to-do');
+    assert.equal(await groot.getCurrentHead(), head);
+});
+
+test('rebase stops on a conflict and --continue commits the resolution', async t => {
+    const { groot, topic } = await forkedRepository(t,
+        [['Main edit', { 'shared.txt': 'main\n' }]],
+        [['Topic edit', { 'shared.txt': 'topic\n' }], ['Topic extra', { 'extra.txt': 'extra\n' }]]);
+
+    await assert.rejects(groot.rebase('main'), { name: 'ConflictError', paths: ['shared.txt'] });
+    await assert.rejects(groot.rebase('main'), { name: 'MergeError', message: /already in progress/ });
+    await assert.rejects(groot.rebase(null, { continue: true }), { name: 'ConflictError', message: 'Cannot continue with unresolved conflicts' });
+
+    await fs.writeFile(path.join(groot.workingDir, 'shared.txt'), 'resolved\n');
+    await groot.add([path.join(groot.workingDir, 'shared.txt')]);
+    const result = await groot.rebase(null, { continue: true });
+
+    assert.equal(result.status, 'rebased');
+    assert.deepEqual(result.steps.map(step => [step.commit, step.status]), [[topic[0], 'picked'], [topic[1], 'picked']]);
+    assert.deepEqual(await subjects(groot, 'main..topic'), ['Topic extra', 'Topic edit']);
+    assert.equal(await fs.readFile(path.join(groot.workingDir, 'shared.txt'), 'utf-8'), 'resolved\n');
+    await assert.rejects(groot.rebase(null, { continue: true }), { name: 'MergeError', message: 'No rebase in progress' });
+});
+
+test('rebase --skip drops the conflicting commit and --abort restores the branch', async t => {
+    const { groot } = await forkedRepository(t,
+        [['Main edit', { 'shared.txt': 'main\n' }]],
+        [['Topic edit', { 'shared.txt': 'topic\n' }], ['Topic extra', { 'extra.txt': 'extra\n' }]]);
+    const head = await groot.getCurrentHead();
+
+    await assert.rejects(groot.rebase('main'), { name: 'ConflictError' });
+    const skipped = await groot.rebase(null, { skip: true });
+    assert.equal(skipped.status, 'rebased');
+    assert.deepEqual(await subjects(groot, 'main..topic'), ['Topic extra']);
+    assert.equal(await fs.readFile(path.join(groot.workingDir, 'shared.txt'), 'utf-8'), 'main\n');
+
+    await groot.reset(head, { hard: true });
+    await assert.rejects(groot.rebase('main'), { name: 'ConflictError' });
+    const aborted = await groot.rebase(null, { abort: true });
+    assert.deepEqual(aborted, { status: 'aborted', branch: 'topic', head, steps: [] });
+    assert.equal(await groot.getCurrentBranch(), 'topic');
+    assert.equal(await groot.getCurrentHead(), head);
+    assert.equal(await fs.readFile(path.join(groot.workingDir, 'shared.txt'), 'utf-8'), 'topic\n');
+    assert.equal((await groot.status()).clean, true);
+});
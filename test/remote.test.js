@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Groot } from '../groot.js';
+import { createRepository, commitFiles } from './helpers.js';
+
+async function tempDir(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'groot-test-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('clone and fetch copy branches and tags from a filesystem remote', async t => {
+    const source = await createRepository(t);
+    const first = await commitFiles(source, { 'README.md': '# Demo\n' }, 'Initial commit');
+    await source.tag('v1.0', 'HEAD');
+
+    const { groot: clone, branch } = await Groot.clone(source.workingDir, path.join(await tempDir(t), 'clone'));
+    assert.equal(branch, 'main');
+    assert.equal(await clone.readRef('refs/tags/v1.0'), first);
+
+    const second = await commitFiles(source, { 'README.md': '# Demo\n\nMore.\n' }, 'Extend demo');
+    const result = await clone.fetch('origin');
+    assert.deepEqual(result.updates.map(update => [update.ref, update.oldHash, update.newHash]), [['origin/main', first, second]]);
+});
+
+test('fetch refuses ref names from the remote that are not valid ref names', async t => {
+    const source = await createRepository(t);
+    const commit = await commitFiles(source, { 'README.md': '# Demo\n' }, 'Initial commit');
+    const clone = (await Groot.clone(source.workingDir, path.join(await tempDir(t), 'clone'))).groot;
+
+    await fs.writeFile(path.join(source.workingDir, '.groot', 'refs', 'heads', 'bad name'), commit);
+    await assert.rejects(clone.fetch('origin'), { code: 'EBADREF', message: 'Remote advertised an invalid ref name: refs/heads/bad name' });
+    assert.equal(await clone.readRef('refs/remotes/origin/bad name'), null);
+});
+
+test('checkout refuses trees whose entry names lead outside the working tree', async t => {
+    const source = await createRepository(t);
+    await commitFiles(source, { 'README.md': '# Demo\n' }, 'Initial commit');
+    const blob = await source.writeObject('blob', 'pwned\n');
+
+    for (const name of ['..', '.groot', 'a/../../escape', '']) {
+        const tree = await source.writeObject('tree', JSON.stringify([{ name, type: 'blob', hash: blob }]));
+        const commit = await source.writeCommit(tree, [await source.getCurrentHead()], 'Hostile tree', { branch: 'main' });
+        await fs.writeFile(path.join(source.workingDir, '.groot', 'refs', 'heads', 'evil'), commit);
+
+        const parent = await tempDir(t);
+        const { groot: clone } = await Groot.clone(source.workingDir, path.join(parent, 'clone'));
+        await assert.rejects(clone.checkout('origin/evil'), { name: 'CorruptObjectError', message: /invalid entry name/ });
+        await assert.rejects(fs.access(path.join(parent, 'escape')));
+    }
+    await assert.rejects(fs.access(path.join(source.workingDir, '.groot', 'hooks', 'post-checkout')));
+});
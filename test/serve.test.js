@@ -0,0 +1,214 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { Groot } from '../groot.js';
+import { createRepository, commitFiles } from './helpers.js';
+
+async function startServer(t, options = {}) {
+    const groot = await createRepository(t);
+    await commitFiles(groot, { 'README.md': '# Shared\n' }, 'Initial commit');
+    await groot.branch('topic');
+
+    // Port 0 lets the system pick a free port, so tests never collide
+    const server = await groot.serve({ port: 0, host: '127.0.0.1', ...options });
+    t.after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+    return { groot, url: `http://127.0.0.1:${server.address().port}/shared` };
+}
+
+async function tempDir(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'groot-test-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+async function cloneFrom(t, url) {
+    return (await Groot.clone(url, path.join(await tempDir(t), 'clone'))).groot;
+}
+
+async function withToken(token, callback) {
+    process.env.GROOT_HTTP_TOKEN = token;
+    try {
+        return await callback();
+    } finally {
+        delete process.env.GROOT_HTTP_TOKEN;
+    }
+}
+
+async function commitOnTopic(clone, message) {
+    if (!(await clone.getBranches()).topic) {
+        await clone.branch('topic', 'origin/topic');
+        await clone.checkout('topic');
+    }
+    return commitFiles(clone, { [`${message}.txt`]: `${message}\n` }, message);
+}
+
+async function listen(t, server) {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+    return `http://127.0.0.1:${server.address().port}/shared`;
+}
+
+// Sends the headers and a first chunk, then waits for the answer without finishing the body
+function startUpload(url, headers) {
+    return new Promise((resolve, reject) => {
+        const request = http.request(url, { method: 'POST', headers: { 'Content-Length': 512 * 1024 * 1024, ...headers } }, response => {
+            request.destroy();
+            resolve(response);
+        });
+        request.on('error', reject);
+        request.write(Buffer.alloc(64 * 1024));
+    });
+}
+
+function post(url, body, headers = { 'Content-Type': 'application/json' }) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer secret', ...headers },
+        body: typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body)
+    });
+}
+
+test('clone over HTTP copies branches, remote-tracking refs and the working tree', async t => {
+    const { groot: server, url } = await startServer(t);
+    const requests = [];
+    server.on('request', request => requests.push(request));
+
+    const clone = await cloneFrom(t, url);
+    const branches = await server.getBranches();
+    assert.equal(await clone.getCurrentBranch(), 'main');
+    assert.deepEqual(await clone.getBranches(), { main: branches.main });
+    assert.equal(await clone.readRef('refs/remotes/origin/topic'), branches.topic);
+    assert.equal(await fs.readFile(path.join(clone.workingDir, 'README.md'), 'utf-8'), '# Shared\n');
+    assert.deepEqual(requests[0], { method: 'GET', path: '/shared/refs' });
+});
+
+test('push with the token updates the remote branch and its reflog', async t => {
+    const { groot: server, url } = await startServer(t, { token: 'secret' });
+    const clone = await cloneFrom(t, url);
+    const commit = await commitOnTopic(clone, 'feature');
+
+    const result = await withToken('secret', () => clone.push('origin', 'topic'));
+    assert.deepEqual(result.updates.map(update => [update.name, update.newHash]), [['topic', commit]]);
+    assert.equal((await server.getBranches()).topic, commit);
+    assert.equal((await server.readReflog('refs/heads/topic')).at(-1).message, 'push');
+    assert.equal(await clone.readRef('refs/remotes/origin/topic'), commit);
+});
+
+test('push is refused without the right token, or when the server has no token', async t => {
+    const { groot: server, url } = await startServer(t, { token: 'secret' });
+    const clone = await cloneFrom(t, url);
+    await commitOnTopic(clone, 'feature');
+    const before = (await server.getBranches()).topic;
+
+    await assert.rejects(clone.push('origin', 'topic'), { code: 'EREMOTE', message: 'Authentication failed' });
+    await assert.rejects(withToken('wrong', () => clone.push('origin', 'topic')), { code: 'EREMOTE', message: 'Authentication failed' });
+    assert.equal((await server.getBranches()).topic, before);
+
+    const { url: readOnlyUrl } = await startServer(t);
+    await clone.remote('add', 'readonly', readOnlyUrl);
+    await assert.rejects(withToken('secret', () => clone.push('readonly', 'topic')), { code: 'EREMOTE', message: 'Push is disabled on this server' });
+});
+
+test('the server refuses its checked-out branch, stale and non-fast-forward updates', async t => {
+    const { groot: server, url } = await startServer(t, { token: 'secret' });
+    const { main, topic } = await server.getBranches();
+    const clone = await cloneFrom(t, url);
+
+    await commitFiles(clone, { 'main.txt': 'main\n' }, 'Change main');
+    await assert.rejects(withToken('secret', () => clone.push('origin', 'main')), { name: 'RejectedError', code: 'EREJECTED', message: /checked out branch/ });
+    assert.equal((await server.getBranches()).main, main);
+
+    const pushed = await commitOnTopic(clone, 'feature');
+    await withToken('secret', () => clone.push('origin', 'topic'));
+
+    const rewind = await post(`${url}/refs`, { ref: 'refs/heads/topic', old: pushed, new: topic });
+    assert.equal(rewind.status, 409);
+    assert.deepEqual(await rewind.json(), { error: 'Non-fast-forward update rejected' });
+
+    const stale = await post(`${url}/refs`, { ref: 'refs/heads/topic', old: topic, new: pushed });
+    assert.equal(stale.status, 409);
+    assert.match((await stale.json()).error, /^Stale info/);
+    assert.equal((await server.getBranches()).topic, pushed);
+});
+
+test('requests with invalid refs, hashes or bodies are answered with 4xx errors', async t => {
+    const { groot: server, url } = await startServer(t, { token: 'secret' });
+    const { main } = await server.getBranches();
+
+    const traversal = await post(`${url}/fetch`, { wants: ['../../../../etc/passwd'] });
+    assert.equal(traversal.status, 400);
+
+    const unknown = await post(`${url}/fetch`, { wants: ['0'.repeat(40)] });
+    assert.equal(unknown.status, 404);
+
+    for (const ref of ['refs/heads/../../config', 'HEAD', 'refs/heads/a..b', 'refs/heads/']) {
+        const response = await post(`${url}/refs`, { ref, old: null, new: main });
+        assert.equal(response.status, 400, ref);
+        assert.match((await response.json()).error, /^Invalid ref name/);
+    }
+
+    const badHash = await post(`${url}/refs`, { ref: 'refs/heads/other', old: null, new: '../objects/xx' });
+    assert.equal(badHash.status, 400);
+
+    const badJson = await post(`${url}/negotiate`, '{"haves": [');
+    assert.equal(badJson.status, 400);
+    assert.deepEqual(await badJson.json(), { error: 'Request body is not valid JSON' });
+
+    const badPack = await post(`${url}/objects`, Buffer.from('not a pack'), { 'Content-Type': 'application/octet-stream' });
+    assert.equal(badPack.status, 400);
+
+    const tooLarge = await post(`${url}/negotiate`, { haves: ['a'.repeat(2 * 1024 * 1024)] });
+    assert.equal(tooLarge.status, 413);
+
+    const missing = await fetch(`${url}/nowhere`);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(Object.keys(await server.getBranches()).sort(), ['main', 'topic']);
+});
+
+test('pushes are refused before the server reads their body', { timeout: 10000 }, async t => {
+    const { url } = await startServer(t, { token: 'secret' });
+    assert.equal((await startUpload(`${url}/objects`)).statusCode, 401);
+    assert.equal((await startUpload(`${url}/refs`, { Authorization: 'Bearer wrong' })).statusCode, 401);
+
+    const { url: readOnlyUrl } = await startServer(t);
+    assert.equal((await startUpload(`${readOnlyUrl}/objects`, { Authorization: 'Bearer secret' })).statusCode, 403);
+});
+
+test('clone and fetch refuse ref names and hashes a hostile server advertises', async t => {
+    const { groot: source } = await startServer(t);
+    const { main } = await source.getBranches();
+    let refs = { head: 'main', branches: { main }, tags: {} };
+    const url = await listen(t, http.createServer(async (request, response) => {
+        if (request.url.endsWith('/refs')) {
+            response.end(JSON.stringify(refs));
+        } else {
+            await source.handleRequest(request, response, null);
+        }
+    }));
+
+    const clone = await cloneFrom(t, url);
+    const cases = [
+        [{ branches: { main, '../../../escape': main } }, 'Remote advertised an invalid ref name: refs/heads/../../../escape'],
+        [{ branches: { main }, tags: { '../../hooks/post-checkout': main } }, 'Remote advertised an invalid ref name: refs/tags/../../hooks/post-checkout'],
+        [{ branches: { main: '../../config' } }, 'Remote advertised an invalid object hash for refs/heads/main: ../../config']
+    ];
+    for (const [advertised, message] of cases) {
+        refs = { head: 'main', tags: {}, ...advertised };
+        await assert.rejects(clone.fetch('origin'), { code: 'EBADREF', message });
+    }
+
+    refs = { head: '../../../escape', branches: { main }, tags: {} };
+    const { branch, commit } = await Groot.clone(url, path.join(await tempDir(t), 'clone'));
+    assert.equal(branch, null);
+    assert.equal(commit, null);
+    assert.deepEqual(await clone.fetch('origin'), { remote: 'origin', received: 0, updates: [] });
+});